@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Exit codes: partial failure means the command finished but some images or chapters failed
+const EXIT = {
+    OK: 0,
+    FAILED: 1,
+    USAGE: 2,
+    PARTIAL: 3
+};
+
+class UsageError extends Error {}
+
+const GLOBAL_OPTIONS = {
+    config: { type: 'string', description: 'Config file (default: $MANGA_CONFIG or ./manga.config.json)' },
+    json: { type: 'boolean', description: 'Print the result as JSON on stdout (logs go to stderr)' },
+    help: { type: 'boolean', short: 'h', description: 'Show help' }
+};
+
+// Modules are imported per command so `manga --help` doesn't load Puppeteer or sharp
+const COMMANDS = {
+    scrape: {
+        args: '<url|series>',
+        description: 'Download chapters by following "next chapter" links from <url> (or a config series\' sourceUrl), then build a PDF',
+        options: {
+            chapters: { type: 'string', description: 'Chapter selection, e.g. 30-40, 1-50,!13, latest:5' },
+            out: { type: 'string', description: 'Directory the series folder is created in (default: current directory)' },
+            capture: { type: 'boolean', description: 'Scroll chapters to load lazy images and save them from the browser instead of downloading them again' },
+            'block-ads': { type: 'boolean', description: 'Block ad and tracker requests while loading chapters' },
+            'no-pdf': { type: 'boolean', description: 'Only download, skip building the output' }
+        },
+        async run({ values, positionals: [target] }, { config, progress }) {
+            if (!target) throw new UsageError('scrape needs a chapter URL or series name');
+            const url = config.series[target]?.sourceUrl || target;
+            if (!/^https?:\/\//i.test(url)) {
+                throw new UsageError(`"${target}" is not a URL or a series with a sourceUrl in the config`);
+            }
+            const { scrapeManga } = await import('../puppeteer-scrape.js');
+            const { getSeriesSettings } = await import('../lib/config.js');
+
+            // Keeps the capture and ad blocking settings configured for the series
+            const seriesSettings = getSeriesSettings(config.series[target] ? target : null);
+            const result = await scrapeManga(url, {
+                chapters: values.chapters,
+                outputDir: path.resolve(values.out || '.'),
+                createPdf: !values['no-pdf'],
+                capture: values.capture ? seriesSettings.capture || true : undefined,
+                blockAds: values['block-ads'] ? seriesSettings.blockAds || true : undefined,
+                progress
+            });
+
+            if (result.chaptersDownloaded === 0) return { result, exitCode: EXIT.FAILED };
+            const partial = result.failedChapters > 0 || result.failedImages > 0;
+            return { result, exitCode: partial ? EXIT.PARTIAL : EXIT.OK };
+        }
+    },
+
+    update: {
+        args: '<folder>',
+        description: 'Download chapters released since the last scrape and rebuild the outputs that include them',
+        options: {
+            chapters: { type: 'string', description: 'Only fetch new chapters in this selection' },
+            source: { type: 'string', description: 'Chapter URL to start from for a folder without a manifest' },
+            capture: { type: 'boolean', description: 'Save chapter images from the browser instead of downloading them again' },
+            'block-ads': { type: 'boolean', description: 'Block ad and tracker requests while loading chapters' },
+            'no-build': { type: 'boolean', description: 'Only download, skip rebuilding outputs' }
+        },
+        async run({ values, positionals: [folder] }, { progress }) {
+            if (!folder) throw new UsageError('update needs a manga folder');
+            const { updateManga } = await import('../puppeteer-scrape.js');
+            const { getSeriesSettings } = await import('../lib/config.js');
+
+            const folderPath = path.resolve(folder);
+            const seriesSettings = getSeriesSettings(path.basename(folderPath));
+            const result = await updateManga(folderPath, {
+                chapters: values.chapters,
+                sourceUrl: values.source,
+                build: !values['no-build'],
+                capture: values.capture ? seriesSettings.capture || true : undefined,
+                blockAds: values['block-ads'] ? seriesSettings.blockAds || true : undefined,
+                progress
+            });
+
+            if (result.newChapters > 0 && result.chaptersDownloaded === 0) return { result, exitCode: EXIT.FAILED };
+            const partial = result.failedChapters > 0 || result.failedImages > 0;
+            return { result, exitCode: partial ? EXIT.PARTIAL : EXIT.OK };
+        }
+    },
+
+    download: {
+        args: '<url>',
+        description: 'Download the images of a single chapter page into downloads/<folder>',
+        options: {
+            folder: { type: 'string', description: 'Folder name under downloads/ (default: chapter-images)' },
+            list: { type: 'string', description: 'Download image URLs from a file (JSON array or one per line) instead of scraping <url>' }
+        },
+        async run({ values, positionals: [url] }) {
+            if (!url && !values.list) throw new UsageError('download needs a chapter URL or --list <file>');
+            const { downloadImages } = await import('../downloader.js');
+
+            let imageUrls;
+            if (values.list) {
+                const content = fs.readFileSync(values.list, 'utf8').trim();
+                imageUrls = content.startsWith('[')
+                    ? JSON.parse(content)
+                    : content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+            } else {
+                const { scrapeMangaImages } = await import('../scraper.js');
+                imageUrls = await scrapeMangaImages(url);
+            }
+
+            const result = await downloadImages(imageUrls, values.folder || 'chapter-images');
+            console.log(`✅ Downloaded ${result.downloaded.length}, skipped ${result.skipped.length}, failed ${result.failed.length}`);
+
+            const exitCode = result.failed.length === 0 ? EXIT.OK
+                : result.failed.length === imageUrls.length ? EXIT.FAILED : EXIT.PARTIAL;
+            return { result, exitCode };
+        }
+    },
+
+    build: {
+        args: '<folder>',
+        description: 'Build a PDF, CBZ or EPUB from a manga folder (or a single chapter with --chapter)',
+        options: {
+            format: { type: 'string', description: 'pdf, cbz or epub (default: from config, else pdf)' },
+            out: { type: 'string', description: 'Output file, relative to <folder> (default: config outputName, else manga.<format>)' },
+            chapter: { type: 'boolean', description: '<folder> is a single chapter folder' },
+            chapters: { type: 'string', description: 'Chapter selection, e.g. 10-20, latest:5' },
+            layout: { type: 'string', description: 'fit-width (default), paper or device' },
+            paper: { type: 'string', description: 'Paper size for --layout paper (A4, A5, B5, Letter)' },
+            device: { type: 'string', description: 'Device preset for --layout device (ipad, kindle-paperwhite, ...)' },
+            webtoon: { type: 'string', description: 'stitch or slice long-strip images' },
+            volumes: { type: 'string', description: 'Split into volumes of N chapters' },
+            'volume-size': { type: 'string', description: 'Split into volumes of at most N MB' },
+            cover: { type: 'boolean', description: 'Add a title page' },
+            toc: { type: 'boolean', description: 'Add a table of contents' },
+            junk: { type: 'boolean', description: 'Drop duplicate pages and pages on the config\'s junk blocklist' },
+            optimize: { type: 'boolean', description: 'Downscale and re-encode images to shrink the PDF' },
+            dpi: { type: 'string', description: 'Optimise images to this resolution on the page (implies --optimize)' },
+            quality: { type: 'string', description: 'JPEG quality of optimised images, 1-100 (implies --optimize)' },
+            direction: { type: 'string', description: 'Reading direction: ltr (default) or rtl' },
+            spread: { type: 'boolean', description: 'Show PDF pages as two-page spreads, cover alone' }
+        },
+        async run({ values, positionals: [folder] }, { progress }) {
+            if (!folder) throw new UsageError('build needs a manga folder');
+            const { BUILDERS, buildSeries } = await import('../lib/builders.js');
+            const { getSeriesSettings } = await import('../lib/config.js');
+
+            const folderPath = path.resolve(folder);
+            const seriesName = path.basename(values.chapter ? path.dirname(folderPath) : folderPath);
+            const seriesSettings = getSeriesSettings(seriesName);
+            const format = values.format || seriesSettings.format;
+            if (!BUILDERS[format]) {
+                throw new UsageError(`--format must be one of: ${Object.keys(BUILDERS).join(', ')}`);
+            }
+
+            if ((values.volumes || values['volume-size']) && format !== 'pdf') {
+                throw new UsageError('--volumes and --volume-size only apply to --format pdf');
+            }
+
+            const [, buildChapter] = BUILDERS[format];
+            const options = {
+                chapters: values.chapters,
+                layout: values.layout && withoutUndefined({ mode: values.layout, paperSize: values.paper, device: values.device }),
+                webtoon: values.webtoon,
+                volumes: values.volumes ? Number(values.volumes)
+                    : values['volume-size'] ? { maxSizeMB: Number(values['volume-size']) } : undefined,
+                cover: values.cover,
+                toc: values.toc,
+                // Keeps the blocklist and threshold configured for the series
+                junk: values.junk ? seriesSettings.junk || true : undefined,
+                optimize: values.optimize || values.dpi || values.quality
+                    ? {
+                        ...(typeof seriesSettings.optimize === 'object' && seriesSettings.optimize),
+                        ...withoutUndefined({ dpi: values.dpi && Number(values.dpi), quality: values.quality && Number(values.quality) })
+                    }
+                    : undefined,
+                direction: values.direction,
+                // Keeps the cover and double page settings configured for the series
+                spread: values.spread ? seriesSettings.spread || true : undefined,
+                progress
+            };
+
+            const result = values.chapter
+                ? await buildChapter(folderPath, values.out, options)
+                : await buildSeries(format, folderPath, values.out, options);
+
+            const skipped = result.stats?.skippedImages ?? 0;
+            return { result, exitCode: skipped > 0 ? EXIT.PARTIAL : EXIT.OK };
+        }
+    },
+
+    junk: {
+        args: '<folder>',
+        description: 'List duplicate pages and pages matching the junk blocklist, without building anything',
+        options: {
+            hash: { type: 'string', description: 'Print the hash of an image, for the junk blocklist, instead' }
+        },
+        async run({ values, positionals: [folder] }) {
+            const { hashImage, findSeriesJunk, resolveJunk } = await import('../lib/junk-pages.js');
+            if (values.hash) {
+                const { hash } = await hashImage(path.resolve(values.hash));
+                console.log(hash);
+                return { result: { hash }, exitCode: EXIT.OK };
+            }
+            if (!folder) throw new UsageError('junk needs a manga folder');
+
+            const { getSeriesSettings } = await import('../lib/config.js');
+            const { listChapters } = await import('../lib/manga-files.js');
+            const folderPath = path.resolve(folder);
+            const junk = resolveJunk(getSeriesSettings(path.basename(folderPath)).junk || true);
+
+            const junkPages = await findSeriesJunk(folderPath, listChapters(folderPath), junk);
+            for (const page of junkPages) {
+                console.log(`🗑️  ${page.chapter}/${page.file} - ${page.reason}`);
+            }
+            console.log(`\n${junkPages.length} junk page(s) found`);
+            return { result: { junkPages }, exitCode: EXIT.OK };
+        }
+    },
+
+    diagnose: {
+        args: '<folder>',
+        description: 'Check every chapter image for corruption and write a report',
+        options: {
+            quarantine: { type: 'boolean', description: 'Move corrupted files into _corrupted_images' },
+            deep: { type: 'boolean', description: 'Decode every image and flag truncated, mislabelled and junk files' },
+            repair: { type: 'boolean', description: 'Re-download corrupted images from the source URLs in the manifest' }
+        },
+        async run({ values, positionals: [folder] }, { webhooks }) {
+            if (!folder) throw new UsageError('diagnose needs a manga folder');
+            const { diagnoseImages } = await import('../diagnose-images.js');
+
+            if (values.quarantine) {
+                console.log('🚨 Quarantine mode enabled - corrupted files will be moved to _corrupted_images folder\n');
+            }
+            const result = await diagnoseImages(path.resolve(folder), values.quarantine, { deep: values.deep, repair: values.repair });
+            if (result.corruptedImages.length > 0) {
+                webhooks?.dispatch('corrupted-images', { command: 'diagnose', folder: path.resolve(folder), corruptedImages: result.corruptedImages });
+            }
+            return { result, exitCode: result.corruptedImages.length > 0 ? EXIT.PARTIAL : EXIT.OK };
+        }
+    },
+
+    serve: {
+        args: '',
+        description: 'Start the HTTP API and job queue',
+        options: {
+            port: { type: 'string', description: 'Port to listen on (default: $PORT or 3000)' }
+        },
+        async run({ values }, { config }) {
+            const { startServer } = await import('../server.js');
+            // The config loaded from --config, not ./manga.config.json again
+            await startServer(values.port ? Number(values.port) : undefined, config);
+            // Keeps running until the process is stopped
+            return null;
+        }
+    }
+};
+
+const withoutUndefined = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+function formatOptions(options) {
+    return Object.entries(options).map(([name, option]) => {
+        const flag = `${option.short ? `-${option.short}, ` : ''}--${name}${option.type === 'string' ? ' <value>' : ''}`;
+        return `  ${flag.padEnd(26)} ${option.description}`;
+    }).join('\n');
+}
+
+function printHelp(commandName) {
+    const command = COMMANDS[commandName];
+    if (command) {
+        console.log(`Usage: manga ${commandName} ${command.args} [options]\n\n${command.description}\n`);
+        console.log(`Options:\n${formatOptions({ ...command.options, ...GLOBAL_OPTIONS })}`);
+        return;
+    }
+
+    console.log('Usage: manga <command> [options]\n\nCommands:');
+    for (const [name, { args, description }] of Object.entries(COMMANDS)) {
+        console.log(`  ${`${name} ${args}`.padEnd(26)} ${description}`);
+    }
+    console.log(`\nGlobal options:\n${formatOptions(GLOBAL_OPTIONS)}`);
+    console.log('\nRun "manga <command> --help" for command options.');
+    console.log('\nExit codes: 0 success, 1 failure, 2 usage error, 3 partial failure (some images or chapters failed)');
+}
+
+async function main(argv) {
+    const [commandName, ...args] = argv;
+    const command = COMMANDS[commandName];
+
+    if (!command) {
+        const wantsHelp = !commandName || commandName === '--help' || commandName === '-h';
+        if (!wantsHelp) console.error(`Unknown command "${commandName}"\n`);
+        printHelp();
+        return wantsHelp ? EXIT.OK : EXIT.USAGE;
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args, allowPositionals: true, options: { ...command.options, ...GLOBAL_OPTIONS } });
+    } catch (err) {
+        console.error(`${err.message}\n`);
+        printHelp(commandName);
+        return EXIT.USAGE;
+    }
+
+    if (parsed.values.help) {
+        printHelp(commandName);
+        return EXIT.OK;
+    }
+
+    // Keep stdout clean for the JSON result
+    const json = parsed.values.json;
+    if (json) console.log = console.error;
+
+    let webhooks = null;
+    try {
+        // Loaded and validated up front so a bad config fails before any work starts
+        const { loadConfig } = await import('../lib/config.js');
+        const config = loadConfig(parsed.values.config);
+
+        // `serve` sends its own job events
+        let progress;
+        if (config.webhooks.length > 0 && commandName !== 'serve') {
+            ({ webhooks, progress } = await createWebhooks(config.webhooks, commandName));
+        }
+
+        const outcome = await command.run(parsed, { config, progress, webhooks });
+        if (!outcome) return null;
+
+        webhooks?.dispatch(outcome.exitCode === EXIT.FAILED ? 'job-failed' : 'job-completed', {
+            command: commandName,
+            exitCode: outcome.exitCode,
+            result: outcome.result
+        });
+        if (json) {
+            process.stdout.write(`${JSON.stringify({ command: commandName, exitCode: outcome.exitCode, result: outcome.result }, null, 2)}\n`);
+        }
+        return outcome.exitCode;
+    } catch (err) {
+        if (err instanceof UsageError) {
+            console.error(`${err.message}\n`);
+            printHelp(commandName);
+            return EXIT.USAGE;
+        }
+
+        console.error(`❌ ${err.message}`);
+        webhooks?.dispatch('job-failed', { command: commandName, exitCode: EXIT.FAILED, error: err.message });
+        if (json) {
+            process.stdout.write(`${JSON.stringify({ command: commandName, exitCode: EXIT.FAILED, error: err.message }, null, 2)}\n`);
+        }
+        return EXIT.FAILED;
+    } finally {
+        // Deliveries (and their retries) finish before the process exits
+        await webhooks?.flush();
+    }
+}
+
+/**
+ * Webhook dispatcher for one command run, with a progress emitter whose events it forwards
+ */
+async function createWebhooks(configured, commandName) {
+    const { WebhookDispatcher } = await import('../lib/webhooks.js');
+    const { ProgressEmitter } = await import('../lib/progress.js');
+
+    const webhooks = new WebhookDispatcher({
+        webhooks: configured,
+        logFile: path.join(__dirname, '..', 'data', 'webhook-deliveries.log')
+    });
+    const progress = new ProgressEmitter();
+    progress.on('progress', event => webhooks.handleProgress(event, { command: commandName }));
+    return { webhooks, progress };
+}
+
+const exitCode = await main(process.argv.slice(2));
+// `serve` returns null and keeps the process alive
+if (exitCode !== null) {
+    process.exitCode = exitCode;
+}
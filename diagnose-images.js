@@ -1,5 +1,19 @@
 import fs from 'fs';
 import path from 'path';
+import sharp from 'sharp';
+import { createReport, jsonReportPath, writeJsonReport, describeImage, successRate } from './lib/reports.js';
+import { getChapterNumber, listChapters, readFileHeader, detectImageFormat } from './lib/manga-files.js';
+import { loadManifest, saveManifest, refreshPage } from './lib/manifest.js';
+import { repairImage } from './lib/image-repair.js';
+
+// Formats an image extension promises
+const EXTENSION_FORMATS = { '.jpg': 'jpeg', '.jpeg': 'jpeg', '.png': 'png', '.gif': 'gif', '.webp': 'webp' };
+
+// Pages are never this small on either side: tracking pixels and spacers are
+const MIN_PAGE_SIDE = 50;
+// Wide, short images are site banners or ads saved between the pages
+const BANNER_MIN_RATIO = 3;
+const BANNER_MAX_HEIGHT = 400;
 
 /**
  * Validates if an image file is readable and not corrupted
@@ -14,20 +28,11 @@ function validateImageFile(imagePath) {
             return { valid: false, reason: 'File too small (likely corrupted)', size: stats.size };
         }
         
-        // Read first few bytes to check for common image headers
-        const buffer = fs.readFileSync(imagePath, { start: 0, end: 10 });
-        const hex = buffer.toString('hex');
-        
-        // Check for valid image file signatures
-        const isJPEG = hex.startsWith('ffd8ff');
-        const isPNG = hex.startsWith('89504e47');
-        const isGIF = hex.startsWith('474946');
-        const isWebP = hex.includes('57454250'); // WEBP in ASCII
-        
-        if (!isJPEG && !isPNG && !isGIF && !isWebP) {
+        const header = readFileHeader(imagePath);
+        if (!detectImageFormat(header)) {
             return { 
                 valid: false, 
-                reason: `Invalid file header (${hex.substring(0, 12)}...)`, 
+                reason: `Invalid file header (${header.toString('hex').substring(0, 12)}...)`, 
                 size: stats.size 
             };
         }
@@ -38,14 +43,145 @@ function validateImageFile(imagePath) {
     }
 }
 
+/**
+ * Names the kind of text body (an HTML error page, a JSON API response) a file holds, or null
+ */
+function detectTextBody(buffer) {
+    const start = buffer.subarray(0, 512).toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+    if (/^<(!doctype html|html|head|body|\?xml|!--)/.test(start)) return 'HTML page';
+    if (/^[{[]\s*["{[\]}]/.test(start)) return 'JSON body';
+    return null;
+}
+
+/**
+ * Whether the file ends the way its format requires; returns the problem, or null
+ * A missing end marker almost always means the download was cut short
+ */
+function checkFileEnd(buffer, format) {
+    switch (format) {
+        case 'jpeg': {
+            // Encoders and servers sometimes append padding after the EOI marker
+            const tail = buffer.subarray(Math.max(0, buffer.length - 1024));
+            return tail.lastIndexOf(Buffer.from([0xff, 0xd9])) === -1 ? 'Missing JPEG end-of-image marker (truncated)' : null;
+        }
+        case 'png':
+            return buffer.subarray(-12).includes('IEND') ? null : 'Missing PNG IEND chunk (truncated)';
+        case 'gif':
+            return buffer[buffer.length - 1] === 0x3b ? null : 'Missing GIF trailer (truncated)';
+        case 'webp':
+            return buffer.length >= 12 && buffer.readUInt32LE(4) + 8 <= buffer.length ? null : 'WebP shorter than its RIFF header says (truncated)';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Deep scan of one image: looks for text bodies, format/extension mismatches,
+ * truncation and suspicious dimensions, and fully decodes the pixels with sharp
+ *
+ * Issues are { type, severity, message }; errors mean the file is unusable,
+ * warnings that it decodes but probably isn't a page
+ */
+async function deepCheckImage(imagePath) {
+    const issues = [];
+    const error = (type, message) => issues.push({ type, severity: 'error', message });
+    const warning = (type, message) => issues.push({ type, severity: 'warning', message });
+
+    const buffer = fs.readFileSync(imagePath);
+    const textBody = detectTextBody(buffer);
+    if (textBody) {
+        error('text-body', `${textBody} saved as an image`);
+        return { issues };
+    }
+
+    const format = detectImageFormat(buffer.subarray(0, 12));
+    if (!format) {
+        error('unknown-format', 'Not a JPEG, PNG, GIF or WebP image');
+        return { issues };
+    }
+
+    const extension = path.extname(imagePath).toLowerCase();
+    if (EXTENSION_FORMATS[extension] && EXTENSION_FORMATS[extension] !== format) {
+        warning('extension-mismatch', `${format.toUpperCase()} data in a ${extension} file`);
+    }
+
+    const endProblem = checkFileEnd(buffer, format);
+    if (endProblem) error('truncated', endProblem);
+
+    try {
+        // failOn 'truncated' makes sharp reject images libvips would otherwise pad out
+        const image = sharp(buffer, { failOn: 'truncated' });
+        const { width, height } = await image.metadata();
+        await image.stats();
+
+        if (Math.min(width, height) < MIN_PAGE_SIDE) {
+            warning('tiny', `${width}×${height} image (tracking pixel or spacer)`);
+        } else if (width / height >= BANNER_MIN_RATIO && height < BANNER_MAX_HEIGHT) {
+            warning('banner', `${width}×${height} image (site banner or ad)`);
+        }
+    } catch (err) {
+        error('decode-failed', `Could not decode: ${err.message}`);
+    }
+
+    return { issues };
+}
+
+/**
+ * 'corrupted' if any issue is an error, 'suspicious' if there are only warnings
+ */
+function imageStatus(issues) {
+    if (issues.some(issue => issue.severity === 'error')) return 'corrupted';
+    return issues.length > 0 ? 'suspicious' : 'valid';
+}
+
+/**
+ * Quick or deep check of one image: { status, reason, issues, size }
+ */
+async function checkImage(imagePath, deep) {
+    const validation = validateImageFile(imagePath);
+    // The deep scan explains bad headers (and judges tiny files) better than the quick check
+    const issues = deep && validation.size > 0
+        ? (await deepCheckImage(imagePath)).issues
+        : validation.valid ? [] : [{ type: 'invalid', severity: 'error', message: validation.reason }];
+    return {
+        status: imageStatus(issues),
+        reason: issues.map(issue => issue.message).join('; ') || null,
+        issues,
+        size: validation.size
+    };
+}
+
+/**
+ * 0-100 share of a chapter's images that are usable pages, suspicious ones counting half
+ * (repaired images count as valid)
+ */
+function healthScore({ images, valid, suspicious, repaired = 0 }) {
+    return images > 0 ? Math.round((100 * (valid + repaired + suspicious / 2)) / images) : null;
+}
+
 /**
  * Scans all images in the manga folder and reports on their status
+ * Writes image-diagnosis-report.txt and image-diagnosis-report.json (see lib/reports.js)
+ * into the folder; resolves the results with the JSON `report` and its `reportPath`
+ *
+ * The quick scan checks sizes and file headers. With `deep`, every image is also
+ * decoded and checked by deepCheckImage; images with only warnings are reported as
+ * suspicious but never quarantined.
+ *
+ * With `repair`, corrupted images are re-downloaded from the page URLs in the
+ * folder's manifest (see lib/image-repair.js) before anything is quarantined;
+ * images that can't be repaired are left to quarantine as before.
  */
-function diagnoseImages(mangaFolderPath, createQuarantine = false) {
-    console.log(`🔍 Diagnosing images in: ${mangaFolderPath}`);
+async function diagnoseImages(mangaFolderPath, createQuarantine = false, { deep = false, repair = false, signal } = {}) {
+    console.log(`🔍 Diagnosing images in: ${mangaFolderPath}${deep ? ' (deep scan)' : ''}`);
+    const startedAt = Date.now();
+    const imageRecords = [];
+    const chapterRecords = [];
     
     const results = {
         validImages: [],
+        suspiciousImages: [],
+        repairedImages: [],
         corruptedImages: [],
         totalSize: 0,
         corruptedSize: 0
@@ -61,25 +197,27 @@ function diagnoseImages(mangaFolderPath, createQuarantine = false) {
         }
     }
 
-    // Get all chapter folders
-    const chapters = fs.readdirSync(mangaFolderPath)
-        .filter(item => {
-            const fullPath = path.join(mangaFolderPath, item);
-            return fs.statSync(fullPath).isDirectory() && !item.startsWith('_');
-        })
-        .sort((a, b) => {
-            const numA = parseInt(a.match(/\d+/)?.[0] || '0');
-            const numB = parseInt(b.match(/\d+/)?.[0] || '0');
-            return numA - numB;
-        });
+    const manifest = repair ? loadManifest(mangaFolderPath) : null;
+    if (repair && !manifest) {
+        console.log(`⚠️  No manifest in ${mangaFolderPath} - source URLs are unknown, so nothing can be repaired`);
+    }
+    const validateRepair = async (filePath) => {
+        const { status, reason } = await checkImage(filePath, deep);
+        return { valid: status !== 'corrupted', reason };
+    };
+
+    // Get all chapter folders (not the quarantine or the .optimized/.thumbnails caches)
+    const chapters = listChapters(mangaFolderPath);
 
     console.log(`📚 Found ${chapters.length} chapters to scan\n`);
 
-    chapters.forEach((chapterFolder) => {
+    for (const chapterFolder of chapters) {
         const chapterPath = path.join(mangaFolderPath, chapterFolder);
+        const chapterStartedAt = Date.now();
+        const chapterRecord = { name: chapterFolder, number: getChapterNumber(chapterFolder), images: 0, valid: 0, suspicious: 0, repaired: 0, corrupted: 0 };
         
         const images = fs.readdirSync(chapterPath)
-            .filter(file => /\.(jpg|jpeg|png|gif|webp)$/i.test(file))
+            .filter(file => /\.(jpg|jpeg|png|gif|webp)$/i.test(file) && !file.startsWith('.'))
             .sort((a, b) => {
                 const numA = parseInt(a.match(/\d+/)?.[0] || '0');
                 const numB = parseInt(b.match(/\d+/)?.[0] || '0');
@@ -88,55 +226,140 @@ function diagnoseImages(mangaFolderPath, createQuarantine = false) {
 
         console.log(`📖 Scanning ${chapterFolder}: ${images.length} images`);
 
-        images.forEach((imageFile) => {
+        for (const imageFile of images) {
             const imagePath = path.join(chapterPath, imageFile);
-            const validation = validateImageFile(imagePath);
+            const imageStartedAt = Date.now();
+            const { status: checkedStatus, reason, issues, size } = await checkImage(imagePath, deep);
+
+            let repairResult = null;
+            if (repair && checkedStatus === 'corrupted') {
+                console.log(`  ❌ ${imageFile} - ${reason}`);
+                repairResult = await repairImage(manifest, mangaFolderPath, { chapter: chapterFolder, file: imageFile }, { validate: validateRepair, signal });
+                if (repairResult.status === 'repaired') {
+                    refreshPage(manifest, mangaFolderPath, { folder: chapterFolder, file: imageFile });
+                } else {
+                    console.log(`     ⚠️  Could not repair: ${repairResult.error}`);
+                }
+            }
+            const status = repairResult?.status === 'repaired' ? 'repaired' : checkedStatus;
+
+            const record = {
+                chapter: chapterFolder,
+                file: imageFile,
+                status,
+                reason,
+                issues,
+                ...await describeImage(imagePath),
+                repair: repairResult,
+                quarantinedTo: null
+            };
+            chapterRecord.images++;
             
-            if (validation.valid) {
+            if (status === 'valid') {
+                chapterRecord.valid++;
                 results.validImages.push({
                     path: imagePath,
                     chapter: chapterFolder,
                     file: imageFile,
-                    size: validation.size
+                    size
                 });
-                results.totalSize += validation.size;
-                console.log(`  ✅ ${imageFile} (${(validation.size / 1024).toFixed(1)} KB)`);
+                results.totalSize += size;
+                console.log(`  ✅ ${imageFile} (${(size / 1024).toFixed(1)} KB)`);
+            } else if (status === 'suspicious') {
+                chapterRecord.suspicious++;
+                results.suspiciousImages.push({
+                    path: imagePath,
+                    chapter: chapterFolder,
+                    file: imageFile,
+                    size,
+                    reason
+                });
+                results.totalSize += size;
+                console.log(`  ⚠️  ${imageFile} - ${reason}`);
+            } else if (status === 'repaired') {
+                chapterRecord.repaired++;
+                const repairedSize = fs.statSync(imagePath).size;
+                results.repairedImages.push({
+                    path: imagePath,
+                    chapter: chapterFolder,
+                    file: imageFile,
+                    size: repairedSize,
+                    reason,
+                    url: repairResult.url
+                });
+                results.totalSize += repairedSize;
+                console.log(`     🔧 Re-downloaded from ${repairResult.url} (${(repairedSize / 1024).toFixed(1)} KB)`);
             } else {
+                chapterRecord.corrupted++;
                 results.corruptedImages.push({
                     path: imagePath,
                     chapter: chapterFolder,
                     file: imageFile,
-                    size: validation.size,
-                    reason: validation.reason
+                    size,
+                    reason
                 });
-                results.corruptedSize += validation.size;
-                console.log(`  ❌ ${imageFile} - ${validation.reason}`);
+                results.corruptedSize += size;
+                if (!repairResult) console.log(`  ❌ ${imageFile} - ${reason}`);
                 
                 // Move to quarantine if requested
                 if (createQuarantine && quarantinePath) {
                     try {
                         const quarantineFile = path.join(quarantinePath, `${chapterFolder}_${imageFile}`);
                         fs.renameSync(imagePath, quarantineFile);
+                        record.quarantinedTo = quarantineFile;
                         console.log(`     📦 Moved to quarantine: ${quarantineFile}`);
                     } catch (err) {
                         console.log(`     ⚠️  Failed to move to quarantine: ${err.message}`);
                     }
                 }
             }
-        });
+            imageRecords.push({ ...record, durationMs: Date.now() - imageStartedAt });
+        }
         
+        chapterRecords.push({ ...chapterRecord, health: healthScore(chapterRecord), durationMs: Date.now() - chapterStartedAt });
         console.log(''); // Empty line for readability
-    });
+    }
+
+    if (results.repairedImages.length > 0) {
+        saveManifest(mangaFolderPath, manifest);
+    }
+
+    const totalImages = results.validImages.length + results.suspiciousImages.length + results.repairedImages.length + results.corruptedImages.length;
+    const readableImages = totalImages - results.corruptedImages.length;
+    const unhealthyChapters = chapterRecords.filter(chapter => chapter.health !== null && chapter.health < 100);
 
     // Print summary
     console.log(`\n📊 Diagnosis Summary:`);
-    console.log(`   Total images: ${results.validImages.length + results.corruptedImages.length}`);
+    console.log(`   Total images: ${totalImages}`);
     console.log(`   Valid images: ${results.validImages.length}`);
+    if (deep) console.log(`   Suspicious images: ${results.suspiciousImages.length}`);
+    if (repair) console.log(`   Repaired images: ${results.repairedImages.length}`);
     console.log(`   Corrupted images: ${results.corruptedImages.length}`);
-    console.log(`   Success rate: ${((results.validImages.length / (results.validImages.length + results.corruptedImages.length)) * 100).toFixed(1)}%`);
+    console.log(`   Success rate: ${successRate(readableImages, totalImages)}%`);
     console.log(`   Total size: ${(results.totalSize / (1024 * 1024)).toFixed(1)} MB`);
     console.log(`   Corrupted size: ${(results.corruptedSize / 1024).toFixed(1)} KB`);
 
+    if (unhealthyChapters.length > 0) {
+        console.log(`\n🩺 Chapter Health:`);
+        unhealthyChapters.forEach(chapter => {
+            console.log(`   • ${chapter.name}: ${chapter.health}/100`);
+        });
+    }
+
+    if (results.suspiciousImages.length > 0) {
+        console.log(`\n⚠️  Suspicious Files Details:`);
+        results.suspiciousImages.forEach(item => {
+            console.log(`   • ${item.chapter}/${item.file} - ${item.reason}`);
+        });
+    }
+
+    if (results.repairedImages.length > 0) {
+        console.log(`\n🔧 Repaired Files Details:`);
+        results.repairedImages.forEach(item => {
+            console.log(`   • ${item.chapter}/${item.file} - was: ${item.reason}`);
+        });
+    }
+
     if (results.corruptedImages.length > 0) {
         console.log(`\n❌ Corrupted Files Details:`);
         results.corruptedImages.forEach(item => {
@@ -147,8 +370,10 @@ function diagnoseImages(mangaFolderPath, createQuarantine = false) {
         console.log(`   1. Re-download the affected chapters if possible`);
         console.log(`   2. Check the original source for these images`);
         console.log(`   3. Run with --quarantine flag to move bad files automatically`);
-        if (!createQuarantine) {
-            console.log(`   4. Run: node diagnose-images.js --quarantine`);
+        if (!repair) {
+            console.log(`   4. Run: manga diagnose "${mangaFolderPath}" --repair (re-downloads pages with a recorded source URL)`);
+        } else if (!createQuarantine) {
+            console.log(`   4. Run: manga diagnose "${mangaFolderPath}" --quarantine`);
         }
     }
 
@@ -157,18 +382,30 @@ function diagnoseImages(mangaFolderPath, createQuarantine = false) {
     const reportContent = `Image Diagnosis Report
 Generated: ${new Date().toISOString()}
 Scanned: ${mangaFolderPath}
+Mode: ${deep ? 'deep' : 'quick'}${repair ? ' + repair' : ''}
 
 SUMMARY:
-- Total images: ${results.validImages.length + results.corruptedImages.length}
+- Total images: ${totalImages}
 - Valid images: ${results.validImages.length}
+- Suspicious images: ${results.suspiciousImages.length}
+- Repaired images: ${results.repairedImages.length}
 - Corrupted images: ${results.corruptedImages.length}
-- Success rate: ${((results.validImages.length / (results.validImages.length + results.corruptedImages.length)) * 100).toFixed(1)}%
+- Success rate: ${successRate(readableImages, totalImages)}%
 - Total size: ${(results.totalSize / (1024 * 1024)).toFixed(1)} MB
 - Corrupted size: ${(results.corruptedSize / 1024).toFixed(1)} KB
 
+CHAPTER HEALTH:
+${chapterRecords.map(chapter => `${chapter.name}: ${chapter.health ?? '-'}/100 (${chapter.valid} valid, ${chapter.suspicious} suspicious, ${chapter.repaired} repaired, ${chapter.corrupted} corrupted)`).join('\n')}
+
 CORRUPTED FILES:
 ${results.corruptedImages.map(item => `${item.path} - ${item.reason} (${item.size} bytes)`).join('\n')}
 
+SUSPICIOUS FILES:
+${results.suspiciousImages.map(item => `${item.path} - ${item.reason} (${item.size} bytes)`).join('\n')}
+
+REPAIRED FILES:
+${results.repairedImages.map(item => `${item.path} - was: ${item.reason}; re-downloaded from ${item.url} (${item.size} bytes)`).join('\n')}
+
 VALID FILES:
 ${results.validImages.map(item => `${item.path} (${(item.size / 1024).toFixed(1)} KB)`).join('\n')}
 `;
@@ -176,15 +413,35 @@ ${results.validImages.map(item => `${item.path} (${(item.size / 1024).toFixed(1)
     fs.writeFileSync(reportPath, reportContent);
     console.log(`\n📄 Detailed report saved: ${reportPath}`);
 
-    return results;
-}
-
-// Main execution
-const mangaFolder = 'd:\\Projects\\Github\\manga-scrappar\\my-bias-gets-on-the-last-train';
-const shouldQuarantine = process.argv.includes('--quarantine');
+    const report = createReport('image-diagnosis', startedAt, {
+        source: mangaFolderPath,
+        deep,
+        repair,
+        quarantine: createQuarantine ? quarantinePath : null,
+        summary: {
+            chapters: chapters.length,
+            totalImages,
+            validImages: results.validImages.length,
+            suspiciousImages: results.suspiciousImages.length,
+            repairedImages: results.repairedImages.length,
+            corruptedImages: results.corruptedImages.length,
+            successRate: successRate(readableImages, totalImages),
+            health: healthScore({
+                images: totalImages,
+                valid: results.validImages.length,
+                suspicious: results.suspiciousImages.length,
+                repaired: results.repairedImages.length
+            }),
+            totalBytes: results.totalSize,
+            corruptedBytes: results.corruptedSize
+        },
+        chapters: chapterRecords,
+        images: imageRecords
+    });
+    const jsonPath = writeJsonReport(jsonReportPath(reportPath), report);
+    console.log(`📄 JSON report saved: ${jsonPath}`);
 
-if (shouldQuarantine) {
-    console.log('🚨 Quarantine mode enabled - corrupted files will be moved to _corrupted_images folder\n');
+    return { ...results, report, reportPath: jsonPath };
 }
 
-diagnoseImages(mangaFolder, shouldQuarantine);
+export { diagnoseImages, validateImageFile, deepCheckImage };
@@ -1,29 +1,26 @@
-import { mkdirSync, createWriteStream } from 'fs';
 import { join, extname, dirname } from 'path';
-import { get } from 'axios';
 import { fileURLToPath } from 'url';
+import { downloadFiles } from './lib/download-engine.js';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-async function downloadImages(urls, folderName = 'chapter-images') {
-    const dir = join(__dirname, 'downloads', folderName);
-    mkdirSync(dir, { recursive: true });
+/**
+ * Downloads chapter images into downloads/<folderName> using the shared download engine
+ * (`downloadsDir` moves the downloads folder). Other options are passed through to
+ * downloadFiles (concurrency, timeout, retries, headers...)
+ */
+async function downloadImages(urls, folderName = 'chapter-images', options = {}) {
+    const { downloadsDir = join(__dirname, 'downloads'), ...downloadOptions } = options;
+    const dir = join(downloadsDir, folderName);
 
-    for (let i = 0; i < urls.length; i++) {
-        const url = urls[i];
-        const ext = extname(url).split('?')[0] || '.jpg';
-        const filePath = join(dir, `page-${i + 1}${ext}`);
+    const items = urls.map((url, i) => {
+        const ext = extname(new URL(url).pathname) || '.jpg';
+        return { url, dest: join(dir, `page-${i + 1}${ext}`) };
+    });
 
-        const response = await get(url, { responseType: 'stream' });
-        await new Promise((resolve, reject) => {
-            const stream = createWriteStream(filePath);
-            response.data.pipe(stream);
-            stream.on('finish', resolve);
-            stream.on('error', reject);
-        });
-    }
+    return downloadFiles(items, downloadOptions);
 }
 
 export { downloadImages };
@@ -0,0 +1,20 @@
+/**
+ * Fallback adapter used when no site-specific adapter matches the URL
+ * Covers the common "#chapter-images" reader markup plus a few widespread variants
+ */
+export default {
+    name: 'generic',
+    hosts: [],
+    urlPattern: /./,
+    seriesPattern: /\/(?:manga|manhwa|comic|series|read-manga)\/([^/]+)\//,
+    imageSelectors: [
+        '#chapter-images .chapter-image img',
+        '.reading-content img',
+        '.chapter-content img'
+    ],
+    lazyAttributes: ['data-src', 'data-lazy-src', 'data-original', 'src'],
+    nextChapterSelectors: ['a.next-chapter', 'a[rel="next"]', 'a.next_page'],
+    nextChapterText: 'next',
+    chapterListSelectors: ['.chapter-list a', 'ul.main li a', '.wp-manga-chapter a'],
+    titleSelectors: ['h1', 'title']
+};
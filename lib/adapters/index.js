@@ -0,0 +1,267 @@
+import fs from 'fs';
+import generic from './generic.js';
+
+/**
+ * Site adapter registry
+ *
+ * An adapter is a plain object describing how to read one manga site:
+ *   name                  - unique identifier
+ *   hosts                 - hostnames the adapter handles (empty = any host)
+ *   urlPattern            - RegExp a chapter URL must match
+ *   seriesPattern         - RegExp whose first group is the series slug
+ *   imageSelectors        - CSS selectors for the chapter page images
+ *   lazyAttributes        - attributes checked in order for the real image URL
+ *   nextChapterSelectors  - CSS selectors for the "next chapter" link
+ *   nextChapterText       - fallback link text for the "next chapter" link
+ *   chapterListSelectors  - CSS selectors for links in the chapter list
+ *   titleSelectors        - CSS selectors for the chapter title
+ *   extractTitle          - optional (rawTitle, url) => string post-processing
+ *
+ * To support a new site, add a module next to this one that default-exports its
+ * adapter: every module in this folder except index.js and generic.js (the fallback)
+ * is registered on import, in file name order.
+ */
+const adapters = [];
+let fallbackAdapter = generic;
+
+const REQUIRED_FIELDS = ['name', 'urlPattern', 'imageSelectors'];
+
+/**
+ * Adds an adapter to the registry; later registrations take precedence
+ */
+function registerAdapter(adapter) {
+    for (const field of REQUIRED_FIELDS) {
+        if (!adapter[field]) {
+            throw new Error(`Adapter is missing required field "${field}"`);
+        }
+    }
+    if (adapters.some(existing => existing.name === adapter.name)) {
+        throw new Error(`Adapter "${adapter.name}" is already registered`);
+    }
+
+    adapters.unshift({
+        hosts: [],
+        lazyAttributes: ['src'],
+        nextChapterSelectors: [],
+        nextChapterText: null,
+        chapterListSelectors: [],
+        titleSelectors: ['h1'],
+        ...adapter
+    });
+}
+
+/**
+ * Sets the adapter used when no registered adapter matches a URL
+ */
+function setFallbackAdapter(adapter) {
+    fallbackAdapter = adapter;
+}
+
+/**
+ * Checks whether an adapter's host and URL rules match the given URL
+ */
+function adapterMatches(adapter, url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+
+    if (adapter.hosts.length > 0 && !adapter.hosts.includes(parsed.hostname)) {
+        return false;
+    }
+    return adapter.urlPattern.test(parsed.pathname + parsed.search);
+}
+
+/**
+ * Picks the adapter for a URL, falling back to the generic adapter
+ */
+function getAdapterForUrl(url) {
+    return adapters.find(adapter => adapterMatches(adapter, url)) || fallbackAdapter;
+}
+
+/**
+ * Looks up a registered adapter by name
+ */
+function getAdapter(name) {
+    if (name === fallbackAdapter.name) return fallbackAdapter;
+    return adapters.find(adapter => adapter.name === name) || null;
+}
+
+function listAdapters() {
+    return [...adapters, fallbackAdapter];
+}
+
+/**
+ * Extracts the series slug from a chapter URL, or null if the adapter can't tell
+ */
+function getSeriesSlug(adapter, url) {
+    const match = url.match(adapter.seriesPattern || /$^/);
+    if (!match) return null;
+    return match[1].replace(/[\/\\?%*:|"<>]/g, '-');
+}
+
+/**
+ * Applies the adapter's title extractor to a raw title string
+ */
+function resolveTitle(adapter, rawTitle, url) {
+    const title = adapter.extractTitle
+        ? adapter.extractTitle(rawTitle || '', url)
+        : (rawTitle || '').trim();
+    return title || 'chapter';
+}
+
+/**
+ * Returns the JSON-serialisable part of an adapter, for use inside page.evaluate
+ */
+function serializableAdapter(adapter) {
+    return {
+        imageSelectors: adapter.imageSelectors,
+        lazyAttributes: adapter.lazyAttributes,
+        nextChapterSelectors: adapter.nextChapterSelectors,
+        nextChapterText: adapter.nextChapterText,
+        chapterListSelectors: adapter.chapterListSelectors,
+        titleSelectors: adapter.titleSelectors
+    };
+}
+
+function toAbsoluteUrl(value, baseUrl) {
+    if (!value) return null;
+    try {
+        return new URL(value.trim(), baseUrl).href;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Reads chapter information from a page loaded with cheerio
+ */
+function extractWithCheerio($, adapter, pageUrl) {
+    const imageUrls = [];
+    $(adapter.imageSelectors.join(', ')).each((_, img) => {
+        for (const attr of adapter.lazyAttributes) {
+            const src = toAbsoluteUrl($(img).attr(attr), pageUrl);
+            if (src && !src.startsWith('data:')) {
+                imageUrls.push(src);
+                break;
+            }
+        }
+    });
+
+    let rawTitle = '';
+    for (const selector of adapter.titleSelectors) {
+        rawTitle = $(selector).first().text().trim();
+        if (rawTitle) break;
+    }
+
+    let nextChapterUrl = null;
+    for (const selector of adapter.nextChapterSelectors) {
+        nextChapterUrl = toAbsoluteUrl($(selector).first().attr('href'), pageUrl);
+        if (nextChapterUrl) break;
+    }
+    if (!nextChapterUrl && adapter.nextChapterText) {
+        $('a').each((_, link) => {
+            if ($(link).text().trim().toLowerCase().includes(adapter.nextChapterText)) {
+                nextChapterUrl = toAbsoluteUrl($(link).attr('href'), pageUrl);
+                return false;
+            }
+        });
+    }
+
+    const chapterUrls = [];
+    if (adapter.chapterListSelectors.length > 0) {
+        $(adapter.chapterListSelectors.join(', ')).each((_, link) => {
+            const href = toAbsoluteUrl($(link).attr('href'), pageUrl);
+            if (href && !chapterUrls.includes(href)) chapterUrls.push(href);
+        });
+    }
+
+    return {
+        title: resolveTitle(adapter, rawTitle, pageUrl),
+        imageUrls,
+        nextChapterUrl,
+        chapterUrls
+    };
+}
+
+/**
+ * Reads chapter information from the page currently open in a Puppeteer tab
+ */
+async function extractWithPage(page, adapter) {
+    const raw = await page.evaluate((rules) => {
+        const resolve = (value) => {
+            if (!value) return null;
+            try {
+                return new URL(value.trim(), location.href).href;
+            } catch {
+                return null;
+            }
+        };
+
+        const imageUrls = [];
+        document.querySelectorAll(rules.imageSelectors.join(', ')).forEach(img => {
+            for (const attr of rules.lazyAttributes) {
+                const src = resolve(img.getAttribute(attr));
+                if (src && !src.startsWith('data:')) {
+                    imageUrls.push(src);
+                    break;
+                }
+            }
+        });
+
+        let title = '';
+        for (const selector of rules.titleSelectors) {
+            title = document.querySelector(selector)?.textContent?.trim() || '';
+            if (title) break;
+        }
+
+        let nextChapterUrl = null;
+        for (const selector of rules.nextChapterSelectors) {
+            nextChapterUrl = resolve(document.querySelector(selector)?.getAttribute('href'));
+            if (nextChapterUrl) break;
+        }
+        if (!nextChapterUrl && rules.nextChapterText) {
+            const link = Array.from(document.querySelectorAll('a'))
+                .find(a => a.textContent.trim().toLowerCase().includes(rules.nextChapterText));
+            nextChapterUrl = resolve(link?.getAttribute('href'));
+        }
+
+        const chapterUrls = [];
+        if (rules.chapterListSelectors.length > 0) {
+            document.querySelectorAll(rules.chapterListSelectors.join(', ')).forEach(link => {
+                const href = resolve(link.getAttribute('href'));
+                if (href && !chapterUrls.includes(href)) chapterUrls.push(href);
+            });
+        }
+
+        return { title, imageUrls, nextChapterUrl, chapterUrls };
+    }, serializableAdapter(adapter));
+
+    return {
+        ...raw,
+        title: resolveTitle(adapter, raw.title, page.url())
+    };
+}
+
+const ADAPTER_DIR = new URL('./', import.meta.url);
+const adapterModules = fs.readdirSync(ADAPTER_DIR)
+    .filter(file => file.endsWith('.js') && !['index.js', 'generic.js'].includes(file))
+    .sort();
+for (const file of adapterModules) {
+    const { default: adapter } = await import(new URL(file, ADAPTER_DIR));
+    registerAdapter(adapter);
+}
+
+export {
+    registerAdapter,
+    setFallbackAdapter,
+    getAdapterForUrl,
+    getAdapter,
+    listAdapters,
+    adapterMatches,
+    getSeriesSlug,
+    extractWithCheerio,
+    extractWithPage
+};
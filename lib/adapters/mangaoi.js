@@ -0,0 +1,16 @@
+/**
+ * Adapter for mangaoi.net
+ * Chapter URLs look like https://mangaoi.net/read-manga/<series>/chapter-<n>
+ */
+export default {
+    name: 'mangaoi',
+    hosts: ['mangaoi.net', 'www.mangaoi.net'],
+    urlPattern: /\/read-manga\/[^/]+\/[^/]+/,
+    seriesPattern: /\/read-manga\/([^/]+)\//,
+    imageSelectors: ['.chapter-content .item-chapter img'],
+    lazyAttributes: ['data-src', 'data-lazy-src', 'data-original', 'src'],
+    nextChapterSelectors: ['a.next-chapter', 'a[rel="next"]'],
+    nextChapterText: 'next',
+    chapterListSelectors: ['.list-chapter a', '.chapter-list a'],
+    titleSelectors: ['h1']
+};
@@ -0,0 +1,106 @@
+import { createHash } from 'crypto';
+
+// Requests a client may make per window, unless its key sets its own limit
+const DEFAULT_RATE_LIMIT = 300;
+const RATE_WINDOW = 60 * 1000;
+
+// Expired windows are dropped once this many clients are tracked
+const MAX_TRACKED_CLIENTS = 1000;
+
+const hashKey = key => createHash('sha256').update(key).digest('hex');
+
+/**
+ * API-key authentication and per-client rate limiting for the HTTP API.
+ * With keys configured every request needs one, sent as `X-API-Key: <key>`,
+ * `Authorization: Bearer <key>` or, for links and <img> tags that can't set
+ * headers, `?api_key=<key>`. Without keys the API is open and limits apply per IP.
+ * Limits are fixed windows of RATE_WINDOW ms
+ */
+class ApiAccess {
+    constructor() {
+        this.keys = new Map();      // sha256 of the key -> { name, rateLimit }
+        this.rateLimit = DEFAULT_RATE_LIMIT;
+        this.windows = new Map();   // client id -> { count, resetAt }
+    }
+
+    /**
+     * Applies the config's "server" section: { apiKeys: [{ name, key, rateLimit }], rateLimit }
+     */
+    configure({ apiKeys = [], rateLimit = DEFAULT_RATE_LIMIT } = {}) {
+        this.rateLimit = rateLimit;
+        this.keys = new Map(apiKeys.map(({ name, key, rateLimit: keyLimit }) =>
+            [hashKey(key.trim()), { name, rateLimit: keyLimit ?? rateLimit }]));
+        this.windows.clear();
+    }
+
+    get enabled() {
+        return this.keys.size > 0;
+    }
+
+    /**
+     * The key a request carries, or null
+     */
+    readKey(req) {
+        const bearer = req.get('Authorization')?.match(/^Bearer\s+(.+)$/i);
+        const key = req.get('X-API-Key') || bearer?.[1] || req.query.api_key;
+        return typeof key === 'string' && key ? key.trim() : null;
+    }
+
+    /**
+     * Counts a request against the client's window; returns { allowed, remaining, resetAt }
+     */
+    consume(clientId, limit, now = Date.now()) {
+        if (this.windows.size >= MAX_TRACKED_CLIENTS) {
+            for (const [id, window] of this.windows) {
+                if (window.resetAt <= now) this.windows.delete(id);
+            }
+        }
+
+        let window = this.windows.get(clientId);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + RATE_WINDOW };
+            this.windows.set(clientId, window);
+        }
+        window.count++;
+        return { allowed: window.count <= limit, remaining: Math.max(0, limit - window.count), resetAt: window.resetAt };
+    }
+
+    /**
+     * Express middleware: answers 401 without a valid key (when keys are configured)
+     * and 429 over the limit; otherwise sets req.apiClient to the key's name
+     */
+    middleware() {
+        return (req, res, next) => {
+            let client = { id: `ip:${req.ip}`, name: null, rateLimit: this.rateLimit };
+            if (this.enabled) {
+                const key = this.readKey(req);
+                const entry = key && this.keys.get(hashKey(key));
+                if (!entry) {
+                    res.set('WWW-Authenticate', 'Bearer');
+                    return res.status(401).json({ error: key ? 'Invalid API key' : 'API key required' });
+                }
+                client = { id: `key:${entry.name}`, ...entry };
+            }
+
+            const { allowed, remaining, resetAt } = this.consume(client.id, client.rateLimit);
+            const resetSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+            res.set({
+                'RateLimit-Limit': String(client.rateLimit),
+                'RateLimit-Remaining': String(remaining),
+                'RateLimit-Reset': String(resetSeconds)
+            });
+            if (!allowed) {
+                res.set('Retry-After', String(resetSeconds));
+                return res.status(429).json({ error: `Rate limit of ${client.rateLimit} requests per minute exceeded` });
+            }
+
+            req.apiClient = client.name;
+            next();
+        };
+    }
+}
+
+export {
+    DEFAULT_RATE_LIMIT,
+    ApiAccess
+};
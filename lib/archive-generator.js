@@ -0,0 +1,517 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import archiver from 'archiver';
+import sharp from 'sharp';
+import { JobCancelledError } from './job-queue.js';
+import { PROGRESS_EVENTS } from './progress.js';
+import { validateImageFile, listChapters, listChapterImages, getSeriesMetadata, getChapterNumber } from './manga-files.js';
+import { preprocessProblematicImage } from './image-fixer.js';
+import { parseChapterSelection, selectChapters } from './chapter-selection.js';
+import { getSeriesSettings, formatOutputName } from './config.js';
+import { resolveJunk, findSeriesJunk, isJunkPage } from './junk-pages.js';
+import { resolveDirection } from './spreads.js';
+import { resolveVolumes } from './volumes.js';
+
+const MEDIA_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp'
+};
+
+const EXTENSIONS = {
+    jpeg: 'jpg',
+    png: 'png',
+    gif: 'gif',
+    webp: 'webp'
+};
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+const pad = (value, width) => String(value).padStart(width, '0');
+
+/**
+ * Reads image dimensions and runs the shared fixing pipeline when the image
+ * can't be decoded or uses a format the target container doesn't allow
+ */
+async function prepareImage(imagePath, { allowWebP, settings }) {
+    let metadata = null;
+    try {
+        metadata = await sharp(imagePath).metadata();
+    } catch {
+        // Unreadable - preprocessProblematicImage falls back to emergency recovery
+    }
+
+    const needsFix = !metadata || !MEDIA_TYPES[metadata.format] || (metadata.format === 'webp' && !allowWebP);
+    if (!needsFix) {
+        return { path: imagePath, format: metadata.format, width: metadata.width, height: metadata.height, fix: null };
+    }
+
+    const fix = await preprocessProblematicImage(imagePath, settings);
+    if (!fix.success) {
+        throw new Error(fix.error);
+    }
+    if (!fix.fixedPath) {
+        throw new Error(`Unsupported image format (${metadata?.format || 'unknown'})`);
+    }
+
+    const fixedMetadata = await sharp(fix.fixedPath).metadata();
+    return {
+        path: fix.fixedPath,
+        format: fixedMetadata.format,
+        width: fixedMetadata.width,
+        height: fixedMetadata.height,
+        fix
+    };
+}
+
+/**
+ * Validates, fixes and measures every image of the given chapters, adding them to
+ * `pages` in reading order as it goes (so the caller can remove fixed copies even
+ * when this throws part-way); problems are recorded in `stats`
+ */
+async function collectPages(chapters, pages, stats, { allowWebP, signal, progress, settings }) {
+    const counters = {
+        chaptersDone: 0,
+        chaptersTotal: chapters.length,
+        imagesDone: 0,
+        imagesTotal: chapters.reduce((sum, chapter) => sum + chapter.images.length, 0)
+    };
+
+    for (const chapter of chapters) {
+        console.log(`📖 Processing ${chapter.name}: ${chapter.images.length} images`);
+        stats.totalImages += chapter.images.length;
+        progress?.report(PROGRESS_EVENTS.CHAPTER_STARTED, {
+            chapter: chapter.name,
+            chapterImages: chapter.images.length,
+            ...counters
+        });
+
+        for (const imageFile of chapter.images) {
+            if (signal?.aborted) {
+                throw new JobCancelledError();
+            }
+
+            const imagePath = path.join(chapter.path, imageFile);
+            const event = { chapter: chapter.name, file: imageFile };
+            counters.imagesDone++;
+
+            const validation = validateImageFile(imagePath);
+            if (!validation.valid) {
+                console.warn(`  ⚠️  Skipping ${imageFile}: ${validation.reason}`);
+                stats.skippedImages++;
+                stats.corruptedFiles.push({ file: imagePath, chapter: chapter.name, reason: validation.reason });
+                progress?.report(PROGRESS_EVENTS.IMAGE_SKIPPED, { ...event, reason: validation.reason, ...counters });
+                continue;
+            }
+
+            try {
+                const image = await prepareImage(imagePath, { allowWebP, settings });
+                pages.push({ chapter: chapter.name, source: imagePath, ...image });
+                stats.successfulImages++;
+
+                if (image.fix) {
+                    console.log(`  ✅ Added ${imageFile} (fixed: ${image.fix.reason})`);
+                    stats.fixedImages++;
+                    stats.fixedFiles.push({
+                        original: imagePath,
+                        fixed: image.fix.fixedPath,
+                        reason: image.fix.reason,
+                        originalFormat: image.fix.originalFormat,
+                        originalSize: image.fix.originalSize
+                    });
+                    progress?.report(PROGRESS_EVENTS.IMAGE_FIXED, { ...event, reason: image.fix.reason, ...counters });
+                } else {
+                    console.log(`  ✅ Added ${imageFile}`);
+                    progress?.report(PROGRESS_EVENTS.IMAGE_ADDED, { ...event, ...counters });
+                }
+            } catch (err) {
+                console.error(`  ❌ Could not add ${imageFile}: ${err.message}`);
+                stats.skippedImages++;
+                stats.errorDetails.push({ file: imagePath, chapter: chapter.name, error: err.message });
+                progress?.report(PROGRESS_EVENTS.IMAGE_SKIPPED, { ...event, reason: err.message, ...counters });
+            }
+        }
+
+        counters.chaptersDone++;
+        progress?.report(PROGRESS_EVENTS.CHAPTER_FINISHED, { chapter: chapter.name, ...counters });
+    }
+}
+
+/**
+ * Writes a zip file from `{ name, path?, data?, store? }` entries, in order
+ */
+function writeZip(outputPath, entries) {
+    return new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(outputPath);
+        const archive = archiver('zip', { zlib: { level: 9 } });
+
+        const fail = err => {
+            archive.abort();
+            output.destroy();
+            reject(err);
+        };
+
+        output.on('close', resolve);
+        output.on('error', reject);
+        archive.on('error', fail);
+        archive.pipe(output);
+
+        for (const entry of entries) {
+            const source = entry.data ?? fs.createReadStream(entry.path).on('error', fail);
+            archive.append(source, { name: entry.name, store: entry.store });
+        }
+
+        archive.finalize();
+    });
+}
+
+/**
+ * ComicInfo.xml (ComicRack schema) describing the series and each page
+ */
+function buildComicInfo(metadata, pages, direction) {
+    const chapterStarts = new Set();
+    const pageEntries = pages.map((page, index) => {
+        const attributes = [
+            `Image="${index}"`,
+            `ImageWidth="${page.width}"`,
+            `ImageHeight="${page.height}"`,
+            `ImageSize="${fs.statSync(page.path).size}"`
+        ];
+        if (index === 0) {
+            attributes.push('Type="FrontCover"');
+        }
+        if (!chapterStarts.has(page.chapter)) {
+            chapterStarts.add(page.chapter);
+            attributes.push(`Bookmark="${escapeXml(page.chapter)}"`);
+        }
+        return `    <Page ${attributes.join(' ')} />`;
+    });
+
+    const fields = [
+        ['Title', metadata.chapterTitle || metadata.title],
+        ['Series', metadata.title],
+        ['Number', metadata.number],
+        ['Summary', metadata.summary],
+        ['Writer', metadata.author],
+        ['Web', metadata.sourceUrl],
+        ['Tags', Array.isArray(metadata.tags) ? metadata.tags.join(',') : metadata.tags],
+        ['PageCount', pages.length],
+        ['LanguageISO', metadata.language],
+        ['Manga', direction === 'rtl' ? 'YesAndRightToLeft' : 'Yes']
+    ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+${fields.map(([name, value]) => `  <${name}>${escapeXml(value)}</${name}>`).join('\n')}
+  <Pages>
+${pageEntries.join('\n')}
+  </Pages>
+</ComicInfo>
+`;
+}
+
+function buildCBZEntries(pages, metadata, direction) {
+    const width = Math.max(3, String(pages.length).length);
+    return [
+        ...pages.map((page, index) => ({
+            name: `${pad(index + 1, width)}.${EXTENSIONS[page.format]}`,
+            path: page.path,
+            store: true
+        })),
+        { name: 'ComicInfo.xml', data: buildComicInfo(metadata, pages, direction) }
+    ];
+}
+
+/**
+ * Fixed-layout EPUB 3: one XHTML page per image with a matching viewport,
+ * and a navigation document pointing at the first page of each chapter
+ */
+function buildEPUBEntries(pages, metadata, direction) {
+    const width = Math.max(4, String(pages.length).length);
+    const identifier = `urn:uuid:${randomUUID()}`;
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+    const language = metadata.language || 'en';
+
+    const items = pages.map((page, index) => {
+        const id = pad(index + 1, width);
+        return {
+            page,
+            imageId: `img-${id}`,
+            imageHref: `images/${id}.${EXTENSIONS[page.format]}`,
+            pageId: `page-${id}`,
+            pageHref: `pages/${id}.xhtml`
+        };
+    });
+
+    const pageDocuments = items.map(item => ({
+        name: `OEBPS/${item.pageHref}`,
+        data: `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}">
+<head>
+  <title>${escapeXml(item.page.chapter)}</title>
+  <meta name="viewport" content="width=${item.page.width}, height=${item.page.height}" />
+  <link rel="stylesheet" type="text/css" href="../style.css" />
+</head>
+<body>
+  <img src="../${item.imageHref}" alt="" width="${item.page.width}" height="${item.page.height}" />
+</body>
+</html>
+`
+    }));
+
+    const tocEntries = [];
+    for (const item of items) {
+        if (!tocEntries.some(entry => entry.chapter === item.page.chapter)) {
+            tocEntries.push({ chapter: item.page.chapter, href: item.pageHref });
+        }
+    }
+
+    const nav = `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}">
+<head>
+  <title>${escapeXml(metadata.title)}</title>
+</head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <h1>${escapeXml(metadata.title)}</h1>
+    <ol>
+${tocEntries.map(entry => `      <li><a href="${entry.href}">${escapeXml(entry.chapter)}</a></li>`).join('\n')}
+    </ol>
+  </nav>
+</body>
+</html>
+`;
+
+    const first = items[0].page;
+    const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" prefix="rendition: http://www.idpf.org/vocab/rendition/#">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${identifier}</dc:identifier>
+    <dc:title>${escapeXml(metadata.chapterTitle ? `${metadata.title} - ${metadata.chapterTitle}` : metadata.title)}</dc:title>
+    <dc:language>${escapeXml(language)}</dc:language>
+${metadata.author ? `    <dc:creator>${escapeXml(metadata.author)}</dc:creator>\n` : ''}    <meta property="dcterms:modified">${modified}</meta>
+    <meta property="rendition:layout">pre-paginated</meta>
+    <meta property="rendition:orientation">auto</meta>
+    <meta property="rendition:spread">none</meta>
+    <meta name="cover" content="${items[0].imageId}" />
+    <meta name="original-resolution" content="${first.width}x${first.height}" />
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />
+    <item id="style" href="style.css" media-type="text/css" />
+${items.map((item, index) => `    <item id="${item.imageId}" href="${item.imageHref}" media-type="${MEDIA_TYPES[item.page.format]}"${index === 0 ? ' properties="cover-image"' : ''} />
+    <item id="${item.pageId}" href="${item.pageHref}" media-type="application/xhtml+xml" />`).join('\n')}
+  </manifest>
+  <spine page-progression-direction="${direction}">
+${items.map(item => `    <itemref idref="${item.pageId}" />`).join('\n')}
+  </spine>
+</package>
+`;
+
+    const container = `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+  </rootfiles>
+</container>
+`;
+
+    const style = 'html, body { margin: 0; padding: 0; }\nimg { display: block; width: 100%; height: 100%; object-fit: contain; }\n';
+
+    return [
+        // The mimetype entry must come first and be stored uncompressed
+        { name: 'mimetype', data: 'application/epub+zip', store: true },
+        { name: 'META-INF/container.xml', data: container },
+        { name: 'OEBPS/content.opf', data: opf },
+        { name: 'OEBPS/nav.xhtml', data: nav },
+        { name: 'OEBPS/style.css', data: style },
+        ...pageDocuments,
+        ...items.map(item => ({ name: `OEBPS/${item.imageHref}`, path: item.page.path, store: true }))
+    ];
+}
+
+const FORMATS = {
+    cbz: { label: 'CBZ', allowWebP: true, buildEntries: buildCBZEntries },
+    epub: { label: 'EPUB', allowWebP: false, buildEntries: buildEPUBEntries }
+};
+
+function printSummary(stats) {
+    console.log(`\n📊 Processing Summary:`);
+    console.log(`   Total images found: ${stats.totalImages}`);
+    console.log(`   Successfully added: ${stats.successfulImages}`);
+    console.log(`   Auto-fixed: ${stats.fixedImages}`);
+    console.log(`   Skipped/Error: ${stats.skippedImages}`);
+    if (stats.junkImages > 0) {
+        console.log(`   Junk pages dropped: ${stats.junkImages}`);
+    }
+    console.log(`   Success rate: ${((stats.successfulImages / stats.totalImages) * 100).toFixed(1)}%`);
+}
+
+/**
+ * Shared builder for CBZ and EPUB output
+ */
+async function buildArchive(format, chapters, outputPath, metadata, options = {}) {
+    const { label, allowWebP, buildEntries } = FORMATS[format];
+    const { signal, progress } = options;
+
+    const stats = {
+        totalImages: 0,
+        successfulImages: 0,
+        skippedImages: 0,
+        fixedImages: 0,
+        junkImages: 0,
+        corruptedFiles: [],
+        fixedFiles: [],
+        junkFiles: [],
+        errorDetails: []
+    };
+
+    console.log(`📚 Creating ${label} with ${chapters.length} chapter(s)...`);
+
+    // Duplicates and blocklisted pages are judged against the whole series folder
+    const junk = resolveJunk(options.junk);
+    if (junk) {
+        const junkPages = await findSeriesJunk(path.dirname(chapters[0].path), chapters.map(({ name }) => name), junk);
+        for (const page of junkPages) {
+            console.log(`  🗑️  Dropped ${page.chapter}/${page.file}: ${page.reason}`);
+            stats.junkImages++;
+            stats.junkFiles.push({ file: path.join(path.dirname(chapters[0].path), page.chapter, page.file), chapter: page.chapter, reason: page.reason });
+        }
+        chapters = chapters.map(chapter => ({
+            ...chapter,
+            images: chapter.images.filter(file => !isJunkPage(junkPages, chapter.name, file))
+        }));
+    }
+
+    const pages = [];
+    try {
+        await collectPages(chapters, pages, stats, { allowWebP, signal, progress, settings: options });
+        if (pages.length === 0) {
+            throw new Error('No usable images found');
+        }
+
+        await writeZip(outputPath, buildEntries(pages, { ...metadata, ...options.metadata }, resolveDirection(options.direction)));
+    } catch (err) {
+        // Never leave a truncated archive behind, whatever stopped the build
+        fs.rmSync(outputPath, { force: true });
+        throw err;
+    } finally {
+        // Fixed copies are only needed until they are inside the archive
+        for (const page of pages) {
+            if (page.fix) fs.rmSync(page.path, { force: true });
+        }
+    }
+
+    console.log(`\n🎉 ${label} created successfully!`);
+    console.log(`📁 Location: ${outputPath}`);
+    printSummary(stats);
+
+    progress?.report(PROGRESS_EVENTS.FINISHED, { outputPath, stats });
+    return { outputPath, chapters: chapters.map(({ name }) => name), stats };
+}
+
+function mangaChapters(mangaFolderPath, selection) {
+    const chapters = selectChapters(listChapters(mangaFolderPath), parseChapterSelection(selection)).map(name => {
+        const chapterPath = path.join(mangaFolderPath, name);
+        return { name, path: chapterPath, images: listChapterImages(chapterPath) };
+    });
+    if (chapters.length === 0) {
+        throw new Error(selection ? 'No chapters match the chapter selection' : 'No chapters found in the manga folder');
+    }
+    return chapters;
+}
+
+function singleChapter(chapterFolderPath) {
+    const name = path.basename(chapterFolderPath);
+    const images = listChapterImages(chapterFolderPath);
+    if (images.length === 0) {
+        throw new Error('No images found in the chapter folder');
+    }
+    return [{ name, path: chapterFolderPath, images }];
+}
+
+function chapterMetadata(chapterFolderPath) {
+    const chapterName = path.basename(chapterFolderPath);
+    return {
+        ...getSeriesMetadata(path.dirname(chapterFolderPath)),
+        chapterTitle: chapterName,
+        number: getChapterNumber(chapterName)
+    };
+}
+
+/**
+ * Whole-manga archive: settings and the default file name come from the config
+ * (see createMangaPDF), explicit options win
+ */
+async function buildMangaArchive(format, mangaFolderPath, outputFileName, options) {
+    const metadata = getSeriesMetadata(mangaFolderPath);
+    const settings = getSeriesSettings(metadata.slug, options);
+    if (resolveVolumes(settings.volumes)) {
+        throw new Error(`Volume splitting only applies to PDF output, not ${format.toUpperCase()}`);
+    }
+    const fileName = outputFileName
+        || formatOutputName(settings.outputName, { slug: metadata.slug, title: metadata.title, format })
+        || `manga.${format}`;
+
+    return buildArchive(format, mangaChapters(mangaFolderPath, settings.chapters),
+        path.resolve(mangaFolderPath, fileName), metadata, { ...options, ...settings });
+}
+
+/**
+ * Single-chapter archive next to the chapter folder, using the series' settings
+ */
+async function buildChapterArchive(format, chapterFolderPath, outputFileName, options) {
+    const metadata = chapterMetadata(chapterFolderPath);
+    const settings = getSeriesSettings(metadata.slug, options);
+    const outputPath = path.resolve(path.dirname(chapterFolderPath), outputFileName || `${path.basename(chapterFolderPath)}.${format}`);
+
+    return buildArchive(format, singleChapter(chapterFolderPath), outputPath, metadata, { ...options, ...settings });
+}
+
+/**
+ * Creates a CBZ (with ComicInfo.xml) from every chapter of a manga folder,
+ * or the chapters picked by `options.chapters` (see parseChapterSelection)
+ */
+async function createMangaCBZ(mangaFolderPath, outputFileName, options = {}) {
+    return buildMangaArchive('cbz', mangaFolderPath, outputFileName, options);
+}
+
+/**
+ * Creates a CBZ for a single chapter, next to the chapter folder
+ */
+async function createChapterCBZ(chapterFolderPath, outputFileName, options = {}) {
+    return buildChapterArchive('cbz', chapterFolderPath, outputFileName, options);
+}
+
+/**
+ * Creates a fixed-layout EPUB from every chapter of a manga folder,
+ * or the chapters picked by `options.chapters`
+ */
+async function createMangaEPUB(mangaFolderPath, outputFileName, options = {}) {
+    return buildMangaArchive('epub', mangaFolderPath, outputFileName, options);
+}
+
+/**
+ * Creates a fixed-layout EPUB for a single chapter, next to the chapter folder
+ */
+async function createChapterEPUB(chapterFolderPath, outputFileName, options = {}) {
+    return buildChapterArchive('epub', chapterFolderPath, outputFileName, options);
+}
+
+export {
+    createMangaCBZ,
+    createChapterCBZ,
+    createMangaEPUB,
+    createChapterEPUB
+};
@@ -0,0 +1,252 @@
+import { matchesHost } from './sandbox.js';
+
+// Browser capture: chapter pages are scrolled so lazy loaders fire, and the images
+// are saved from the responses the browser received (see ResponseCapture)
+const DEFAULT_CAPTURE = {
+    scrollDelay: 250,   // ms between scroll steps, for lazy loaders to react
+    maxScrolls: 300,    // scroll steps before giving up on an endless page
+    settleTime: 1000    // ms without new image responses before the images are taken
+};
+
+// Ad networks and trackers blocked by `blockAds` (subdomains included)
+const AD_HOSTS = [
+    'doubleclick.net', 'googlesyndication.com', 'googleadservices.com', 'googletagservices.com',
+    'googletagmanager.com', 'google-analytics.com', 'adservice.google.com', 'amazon-adsystem.com',
+    'adnxs.com', 'criteo.com', 'criteo.net', 'taboola.com', 'outbrain.com', 'mgid.com',
+    'popads.net', 'popcash.net', 'propellerads.com', 'exoclick.com', 'juicyads.com',
+    'adsterra.com', 'onclickads.net', 'scorecardresearch.com', 'quantserve.com',
+    'hotjar.com', 'histats.com', 'mc.yandex.ru', 'connect.facebook.net'
+];
+
+// Request types blocked along with the ad hosts: video ads and web fonts
+const BLOCKED_RESOURCE_TYPES = ['media', 'font'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+/**
+ * Resolves the `capture` option: true for the defaults or { scrollDelay, maxScrolls,
+ * settleTime }; null (the default) keeps the plain download of image URLs
+ */
+function resolveCapture(option) {
+    if (option === undefined || option === null || option === false) return null;
+    if (option === true) return { ...DEFAULT_CAPTURE };
+    if (typeof option !== 'object' || Array.isArray(option)) {
+        throw new Error('capture must be true or an object');
+    }
+
+    const unknown = Object.keys(option).filter(key => !(key in DEFAULT_CAPTURE));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown capture setting(s): ${unknown.join(', ')}`);
+    }
+    const settings = { ...DEFAULT_CAPTURE, ...option };
+    for (const key of Object.keys(DEFAULT_CAPTURE)) {
+        if (!isPositiveInteger(settings[key])) {
+            throw new Error(`capture.${key} must be a positive integer`);
+        }
+    }
+    return settings;
+}
+
+/**
+ * Resolves the `blockAds` option: true blocks AD_HOSTS, { hosts } blocks these hosts
+ * as well. Null (the default) lets every request through
+ */
+function resolveBlockAds(option) {
+    if (option === undefined || option === null || option === false) return null;
+    if (option === true) return { hosts: [...AD_HOSTS], resourceTypes: [...BLOCKED_RESOURCE_TYPES] };
+    if (typeof option !== 'object' || Array.isArray(option)) {
+        throw new Error('blockAds must be true or { hosts: [...] }');
+    }
+
+    const unknown = Object.keys(option).filter(key => key !== 'hosts');
+    if (unknown.length > 0) {
+        throw new Error(`Unknown blockAds setting(s): ${unknown.join(', ')}`);
+    }
+    const hosts = option.hosts ?? [];
+    if (!Array.isArray(hosts) || hosts.some(host => typeof host !== 'string' || !host)) {
+        throw new Error('blockAds.hosts must be a list of host names');
+    }
+    return { hosts: [...AD_HOSTS, ...hosts], resourceTypes: [...BLOCKED_RESOURCE_TYPES] };
+}
+
+/**
+ * Aborts a Puppeteer page's requests to ad and tracker hosts (see resolveBlockAds)
+ */
+async function blockRequests(page, blockAds) {
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+        if (request.isInterceptResolutionHandled()) return;
+        let host = null;
+        try {
+            host = new URL(request.url()).hostname;
+        } catch {
+            // data: and blob: URLs have no host
+        }
+        if ((host && matchesHost(host, blockAds.hosts)) || blockAds.resourceTypes.includes(request.resourceType())) {
+            request.abort('blockedbyclient');
+        } else {
+            request.continue();
+        }
+    });
+}
+
+/**
+ * Keeps the bodies of the image responses a Puppeteer page receives, so chapter
+ * images are saved as the browser loaded them - with its cookies and Referer, from
+ * lazy loaders, blob: and data: URLs - instead of being downloaded a second time
+ */
+class ResponseCapture {
+    constructor(page, settings) {
+        this.page = page;
+        this.settings = settings;
+        this.responses = new Map();     // url -> Promise<Buffer | null>
+        this.lastResponseAt = 0;
+        page.on('response', response => this.record(response));
+    }
+
+    /**
+     * Turns off the browser cache, whose responses come without a body
+     */
+    async attach() {
+        await this.page.setCacheEnabled(false);
+    }
+
+    record(response) {
+        const url = response.url();
+        const type = response.headers()['content-type'] || '';
+        if (!/^https?:/i.test(url) || !response.ok()) return;
+        if (response.request().resourceType() !== 'image' && !type.startsWith('image/')) return;
+
+        const body = response.buffer().catch(() => null);
+        this.responses.set(url, body);
+        // The page still refers to a redirected image by the URL it asked for
+        const [original] = response.request().redirectChain();
+        if (original) this.responses.set(original.url(), body);
+        this.lastResponseAt = Date.now();
+    }
+
+    /**
+     * Forgets the previous chapter's responses; call before loading a chapter
+     */
+    reset() {
+        this.responses.clear();
+        this.lastResponseAt = Date.now();
+    }
+
+    /**
+     * Scrolls to the bottom step by step until the page stops growing, so lazy
+     * loaders request every image
+     */
+    async scrollToEnd() {
+        let bottomSeen = 0;
+        for (let step = 0; step < this.settings.maxScrolls && bottomSeen < 2; step++) {
+            const atBottom = await this.page.evaluate(() => {
+                window.scrollBy(0, Math.max(1, window.innerHeight * 0.8));
+                return window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+            });
+            await sleep(this.settings.scrollDelay);
+            // Reaching the bottom twice in a row means no more content was appended
+            bottomSeen = atBottom ? bottomSeen + 1 : 0;
+        }
+    }
+
+    /**
+     * Waits until every image matching `selector` has loaded (or failed) and no new
+     * image response arrived for settleTime ms; gives up after `timeout` ms
+     */
+    async waitForImages(selector, timeout) {
+        const deadline = Date.now() + timeout;
+        try {
+            await this.page.waitForFunction(
+                sel => Array.from(document.querySelectorAll(sel))
+                    .filter(element => element.tagName === 'IMG')
+                    .every(img => img.complete),
+                { timeout },
+                selector
+            );
+        } catch {
+            console.warn(`  ⚠️  Not every image finished loading within ${timeout}ms`);
+        }
+        while (Date.now() - this.lastResponseAt < this.settings.settleTime && Date.now() < deadline) {
+            await sleep(Math.min(this.settings.settleTime, 250));
+        }
+    }
+
+    /**
+     * Bytes of a blob: or data: image, read inside the page
+     */
+    async readInPage(src) {
+        const base64 = await this.page.evaluate(async (url) => {
+            const response = await fetch(url);
+            const bytes = new Uint8Array(await response.arrayBuffer());
+            let binary = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+            }
+            return btoa(binary);
+        }, src);
+        return Buffer.from(base64, 'base64');
+    }
+
+    /**
+     * Scrolls the loaded chapter page, waits for its images and resolves them in DOM
+     * order as download items: [{ url, data, headers }]. `data` holds the captured
+     * bytes, or is null when the browser didn't deliver them; `url` is null for
+     * blob:/data: images, and `headers` (Referer, Cookie) let the download engine
+     * fetch a missing image the way the browser would
+     */
+    async captureImages(adapter, timeout) {
+        const selector = adapter.imageSelectors.join(', ');
+        await this.scrollToEnd();
+        await this.waitForImages(selector, timeout);
+
+        const sources = await this.page.evaluate((rules) => {
+            const resolve = (value) => {
+                if (!value) return null;
+                try {
+                    return new URL(value.trim(), location.href).href;
+                } catch {
+                    return null;
+                }
+            };
+            return Array.from(document.querySelectorAll(rules.selector))
+                .map(img => [img.currentSrc, ...rules.lazyAttributes.map(attr => img.getAttribute(attr))].map(resolve).filter(Boolean))
+                .filter(candidates => candidates.length > 0)
+                .map(candidates => [...new Set(candidates)]);
+        }, { selector, lazyAttributes: adapter.lazyAttributes });
+
+        const pageUrl = this.page.url();
+        const images = [];
+        for (const candidates of sources) {
+            const url = candidates.find(candidate => /^https?:/i.test(candidate)) || null;
+            let data = null;
+            for (const candidate of candidates) {
+                if (/^(blob|data):/i.test(candidate)) {
+                    data = await this.readInPage(candidate).catch(() => null);
+                } else {
+                    data = await this.responses.get(candidate) ?? null;
+                }
+                if (data?.length) break;
+            }
+
+            const cookies = url ? await this.page.cookies(url) : [];
+            const headers = { Referer: pageUrl };
+            if (cookies.length > 0) headers.Cookie = cookies.map(({ name, value }) => `${name}=${value}`).join('; ');
+            images.push({ url, data: data?.length ? data : null, headers });
+        }
+
+        const captured = images.filter(image => image.data).length;
+        console.log(`  📸 Captured ${captured} of ${images.length} images from the browser`);
+        return images;
+    }
+}
+
+export {
+    DEFAULT_CAPTURE,
+    AD_HOSTS,
+    resolveCapture,
+    resolveBlockAds,
+    blockRequests,
+    ResponseCapture
+};
@@ -0,0 +1,57 @@
+import path from 'path';
+import { createMangaPDF, createChapterPDF } from './pdf-generator.js';
+import { createMangaCBZ, createChapterCBZ, createMangaEPUB, createChapterEPUB } from './archive-generator.js';
+import { loadManifest, saveManifest, recordBuild } from './manifest.js';
+import { getSeriesMetadata } from './manga-files.js';
+import { getSeriesSettings, formatOutputName } from './config.js';
+
+// Builders per output format: [whole manga, single chapter]
+const BUILDERS = {
+    pdf: [createMangaPDF, createChapterPDF],
+    cbz: [createMangaCBZ, createChapterCBZ],
+    epub: [createMangaEPUB, createChapterEPUB]
+};
+
+// Options that shape an output; the ones given to a build are kept in the
+// series manifest so `update` can rebuild it the same way
+const BUILD_OPTIONS = ['layout', 'webtoon', 'cover', 'toc', 'metadata', 'volumes', 'chapters', 'junk', 'optimize', 'direction', 'spread'];
+
+/**
+ * Builds a whole manga folder in `format` and records the output files in the
+ * folder's manifest, when it has one
+ */
+async function buildSeries(format, mangaFolderPath, outputFileName, options = {}) {
+    const [buildManga] = BUILDERS[format];
+    const result = await buildManga(mangaFolderPath, outputFileName, options);
+
+    const manifest = loadManifest(mangaFolderPath);
+    if (manifest) {
+        const buildOptions = Object.fromEntries(
+            BUILD_OPTIONS.filter(key => options[key] !== undefined).map(key => [key, options[key]])
+        );
+        recordBuild(manifest, mangaFolderPath, { format, outputName: outputFileName || null, options: buildOptions, result });
+        saveManifest(mangaFolderPath, manifest);
+    }
+    return result;
+}
+
+/**
+ * Path a build writes to (for volumes, the folder and base name of the volume files),
+ * worked out the way the builders do: outputFileName, else for a whole series the
+ * config's outputName template, else manga.<format> / <chapter>.<format>.
+ * `type` is 'chapter' for a single chapter folder
+ */
+function resolveOutputPath(format, folderPath, outputFileName, options = {}, type = 'manga') {
+    if (type === 'chapter') {
+        return path.resolve(path.dirname(folderPath), outputFileName || `${path.basename(folderPath)}.${format}`);
+    }
+    // PDFs take the title from the metadata option too
+    const metadata = { ...getSeriesMetadata(folderPath), ...(format === 'pdf' && options.metadata) };
+    const settings = getSeriesSettings(metadata.slug, options);
+    const fileName = outputFileName
+        || formatOutputName(settings.outputName, { slug: metadata.slug, title: metadata.title, format })
+        || `manga.${format}`;
+    return path.resolve(folderPath, fileName);
+}
+
+export { BUILDERS, BUILD_OPTIONS, buildSeries, resolveOutputPath };
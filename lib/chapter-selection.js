@@ -0,0 +1,121 @@
+import { getChapterNumber } from './manga-files.js';
+
+/**
+ * '10-20' / '30-' / '-5' / '12.5' / [1, 8] / 7 -> { from, to }
+ * Open-ended ranges use -Infinity / Infinity
+ */
+function parseChapterRange(range) {
+    let bounds;
+    if (Array.isArray(range)) {
+        bounds = { from: Number(range[0]), to: Number(range[1] ?? range[0]) };
+    } else if (typeof range === 'number') {
+        bounds = { from: range, to: range };
+    } else {
+        const match = String(range).trim().match(/^(\d+(?:\.\d+)?)?\s*(-)?\s*(\d+(?:\.\d+)?)?$/);
+        if (!match || (!match[1] && !match[3])) {
+            throw new Error(`Invalid chapter range "${range}"`);
+        }
+        const [, from, dash, to] = match;
+        bounds = dash
+            ? { from: from ? Number(from) : -Infinity, to: to ? Number(to) : Infinity }
+            : { from: Number(from), to: Number(from) };
+    }
+
+    if (Number.isNaN(bounds.from) || Number.isNaN(bounds.to) || bounds.from > bounds.to) {
+        throw new Error(`Invalid chapter range "${range}"`);
+    }
+    return bounds;
+}
+
+/**
+ * Normalises a chapter selection to { include, exclude, latest }
+ * Accepts a string of comma-separated chapters and ranges, where "!" excludes
+ * and "latest:N" keeps only the last N chapters:
+ *   "10-20,25,30.5"   "1-50,!13,!27.5"   "40-"   "latest:5,!99"
+ * or an object { ranges: ['10-20', 25], exclude: [13], latest: 5 }
+ * Returns null when nothing is selected (all chapters)
+ */
+function parseChapterSelection(selection) {
+    if (selection === undefined || selection === null || selection === '') return null;
+
+    const result = { include: [], exclude: [], latest: null };
+
+    if (typeof selection === 'object' && !Array.isArray(selection)) {
+        const toList = value => value === undefined ? [] : [].concat(value);
+        result.include = toList(selection.ranges ?? selection.chapters).map(parseChapterRange);
+        result.exclude = toList(selection.exclude).map(parseChapterRange);
+        result.latest = selection.latest ?? null;
+    } else {
+        const tokens = Array.isArray(selection) ? selection : String(selection).split(',');
+        for (const token of tokens.map(item => String(item).trim()).filter(Boolean)) {
+            const latest = token.match(/^(?:latest|last)[:\s]*(\d+)$/i);
+            if (latest) {
+                result.latest = Number(latest[1]);
+            } else if (token.startsWith('!')) {
+                result.exclude.push(parseChapterRange(token.slice(1)));
+            } else {
+                result.include.push(parseChapterRange(token));
+            }
+        }
+    }
+
+    if (result.latest !== null && !(Number.isInteger(result.latest) && result.latest > 0)) {
+        throw new Error('latest must be a positive integer');
+    }
+    return result;
+}
+
+const inRanges = (ranges, number) => ranges.some(({ from, to }) => number >= from && number <= to);
+
+/**
+ * Whether a chapter number passes the include/exclude rules
+ * (`latest` needs the full list - see selectChapters)
+ * Chapters without a number are only kept when no ranges were given
+ */
+function isChapterSelected(selection, number) {
+    if (!selection) return true;
+    if (number === null || number === undefined) {
+        return selection.include.length === 0 && selection.latest === null;
+    }
+    if (selection.include.length > 0 && !inRanges(selection.include, number)) return false;
+    return !inRanges(selection.exclude, number);
+}
+
+/**
+ * Whether a chapter lies beyond every selected range, so a scraper walking
+ * chapters in order can stop. Never true for open-ended or "latest" selections
+ */
+function isPastSelection(selection, number) {
+    if (!selection || selection.latest !== null || selection.include.length === 0 || number === null) {
+        return false;
+    }
+    return number > Math.max(...selection.include.map(({ to }) => to));
+}
+
+/**
+ * Filters items (chapter folder names or URLs by default) by a selection,
+ * keeping their original order
+ */
+function selectChapters(items, selection, getNumber = getChapterNumber) {
+    if (!selection) return items;
+
+    let selected = items.filter(item => isChapterSelected(selection, getNumber(item)));
+
+    if (selection.latest !== null) {
+        const latest = new Set(
+            [...selected]
+                .sort((a, b) => getNumber(a) - getNumber(b))
+                .slice(-selection.latest)
+        );
+        selected = selected.filter(item => latest.has(item));
+    }
+    return selected;
+}
+
+export {
+    parseChapterRange,
+    parseChapterSelection,
+    isChapterSelected,
+    isPastSelection,
+    selectChapters
+};
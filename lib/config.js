@@ -0,0 +1,356 @@
+import fs from 'fs';
+import path from 'path';
+import { resolveLayout } from './page-layout.js';
+import { resolveWebtoon } from './webtoon.js';
+import { resolveVolumes } from './volumes.js';
+import { parseChapterSelection } from './chapter-selection.js';
+import { resolveJunk, isPageHash } from './junk-pages.js';
+import { resolveOptimize } from './image-optimizer.js';
+import { resolveDirection, resolveSpread } from './spreads.js';
+import { resolveCapture, resolveBlockAds } from './browser-capture.js';
+import { getAdapter } from './adapters/index.js';
+import { WEBHOOK_EVENTS } from './webhooks.js';
+import { DEFAULT_RATE_LIMIT } from './api-access.js';
+
+const CONFIG_FILE = 'manga.config.json';
+
+const OUTPUT_FORMATS = ['pdf', 'cbz', 'epub'];
+
+// Built-in settings; the config file's "defaults" override these and each
+// "series" entry overrides the defaults for that series folder/slug
+const DEFAULT_SETTINGS = {
+    format: 'pdf',
+    outputName: null,       // e.g. "{slug}.{format}" - null keeps each command's own default
+    layout: 'fit-width',
+    webtoon: null,
+    chapters: null,
+    volumes: null,
+    cover: false,
+    toc: false,
+    junk: null,             // drop duplicate/blocklisted pages from builds (see resolveJunk)
+    optimize: null,         // downscale/re-encode PDF images (see resolveOptimize)
+    direction: 'ltr',       // reading direction: 'ltr' or 'rtl'
+    spread: null,           // two-page spread layout for PDFs (see resolveSpread)
+    userAgent: 'Mozilla/5.0',
+    capture: null,          // save chapter images from the browser's responses (see resolveCapture)
+    blockAds: null,         // block ad/tracker requests while scraping (see resolveBlockAds)
+    maxErrors: 3,           // consecutive chapter failures before scraping stops
+    pageTimeout: 10000,     // ms to wait for a chapter's images to appear
+    jpegQuality: 92,        // re-encoding problematic images
+    recoveryQuality: 85,    // emergency recovery of corrupted images
+    maxImageHeight: 8000,   // height cap when re-encoding images
+    checkInterval: 60,      // minutes between checks of a followed series
+    download: {
+        concurrency: 4,
+        timeout: 30000,
+        retries: 3
+    }
+};
+
+// HTTP API settings (the "server" section)
+const DEFAULT_SERVER = {
+    libraryDir: null,       // folder the API may read and write in - null: next to server.js
+    allowedHosts: [],       // hosts scrapes may start from besides the site adapters'
+    apiKeys: [],            // [{ name, key, rateLimit }] - none leaves the API open
+    rateLimit: DEFAULT_RATE_LIMIT   // requests per minute per key (per IP without keys)
+};
+
+// API keys shorter than this are too easy to guess
+const MIN_API_KEY_LENGTH = 16;
+
+// Only meaningful for a single series
+const SERIES_ONLY_KEYS = ['sourceUrl', 'adapter'];
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+let loadedConfig = null;
+
+/**
+ * Merges settings layers left to right; undefined values and keys that aren't
+ * settings are ignored, so option objects can be passed as the last layer
+ */
+function mergeSettings(...layers) {
+    const merged = {};
+    const keys = [...Object.keys(DEFAULT_SETTINGS), ...SERIES_ONLY_KEYS];
+
+    for (const layer of layers.filter(Boolean)) {
+        for (const key of keys) {
+            if (layer[key] === undefined) continue;
+            merged[key] = key === 'download'
+                ? { ...merged.download, ...layer.download }
+                : layer[key];
+        }
+    }
+    return merged;
+}
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+/**
+ * Checks one settings block ("defaults" or a series entry); `where` names it in errors
+ */
+function validateSettings(settings, where, allowSeriesKeys) {
+    const allowed = [...Object.keys(DEFAULT_SETTINGS), ...(allowSeriesKeys ? SERIES_ONLY_KEYS : [])];
+    const unknown = Object.keys(settings).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) {
+        throw new ConfigError(`Unknown setting(s) in ${where}: ${unknown.join(', ')}`);
+    }
+
+    const check = (key, valid, expected) => {
+        if (settings[key] !== undefined && settings[key] !== null && !valid(settings[key])) {
+            throw new ConfigError(`${where}.${key} must be ${expected}`);
+        }
+    };
+    const wrap = (key, resolve) => {
+        if (settings[key] === undefined || settings[key] === null) return;
+        try {
+            resolve(settings[key]);
+        } catch (err) {
+            throw new ConfigError(`${where}.${key}: ${err.message}`);
+        }
+    };
+
+    check('format', value => OUTPUT_FORMATS.includes(value), `one of ${OUTPUT_FORMATS.join(', ')}`);
+    check('outputName', value => typeof value === 'string' && value.length > 0, 'a file name');
+    check('cover', value => typeof value === 'boolean', 'true or false');
+    check('toc', value => typeof value === 'boolean', 'true or false');
+    check('userAgent', value => typeof value === 'string' && value.length > 0, 'a non-empty string');
+    check('maxErrors', isPositiveInteger, 'a positive integer');
+    check('pageTimeout', isPositiveInteger, 'a positive integer (ms)');
+    check('jpegQuality', value => isPositiveInteger(value) && value <= 100, 'an integer from 1 to 100');
+    check('recoveryQuality', value => isPositiveInteger(value) && value <= 100, 'an integer from 1 to 100');
+    check('maxImageHeight', isPositiveInteger, 'a positive integer');
+    check('checkInterval', isPositiveInteger, 'a positive integer (minutes)');
+    check('sourceUrl', value => /^https?:\/\//i.test(value), 'an http(s) URL');
+    check('adapter', value => Boolean(getAdapter(value)), 'the name of a registered site adapter');
+
+    wrap('layout', resolveLayout);
+    wrap('webtoon', resolveWebtoon);
+    wrap('volumes', resolveVolumes);
+    wrap('chapters', parseChapterSelection);
+    wrap('junk', resolveJunk);
+    wrap('optimize', resolveOptimize);
+    wrap('direction', resolveDirection);
+    wrap('spread', resolveSpread);
+    wrap('capture', resolveCapture);
+    wrap('blockAds', resolveBlockAds);
+
+    if (settings.download !== undefined) {
+        const download = settings.download;
+        const downloadKeys = Object.keys(DEFAULT_SETTINGS.download);
+        if (typeof download !== 'object' || download === null) {
+            throw new ConfigError(`${where}.download must be an object`);
+        }
+        for (const [key, value] of Object.entries(download)) {
+            if (!downloadKeys.includes(key)) {
+                throw new ConfigError(`Unknown setting in ${where}.download: ${key}`);
+            }
+            if (!(Number.isInteger(value) && value >= 0)) {
+                throw new ConfigError(`${where}.download.${key} must be a non-negative integer`);
+            }
+        }
+    }
+}
+
+/**
+ * Only PDF builds split into volumes, so a series that would build another
+ * format must not inherit or set `volumes`
+ */
+function validateVolumeFormat(file) {
+    const defaults = mergeSettings(DEFAULT_SETTINGS, file.defaults);
+    const blocks = [['defaults', defaults], ...Object.entries(file.series || {})
+        .map(([name, entry]) => [`series["${name}"]`, mergeSettings(defaults, entry)])];
+
+    for (const [where, settings] of blocks) {
+        if (settings.volumes && settings.format !== 'pdf') {
+            throw new ConfigError(`${where}.volumes only applies to pdf output, but format is ${settings.format}`);
+        }
+    }
+}
+
+/**
+ * Blocklist images named in the config file are relative to the file
+ */
+function resolveSettingPaths(settings, baseDir) {
+    if (!Array.isArray(settings?.junk?.blocklist)) return settings;
+    const blocklist = settings.junk.blocklist.map(entry => isPageHash(entry) ? entry : path.resolve(baseDir, entry));
+    return { ...settings, junk: { ...settings.junk, blocklist } };
+}
+
+/**
+ * Checks the "webhooks" section: [{ url, events?, secret?, headers? }]
+ */
+function validateWebhooks(webhooks) {
+    if (!Array.isArray(webhooks)) {
+        throw new ConfigError('webhooks must be an array');
+    }
+    webhooks.forEach((webhook, index) => {
+        const where = `webhooks[${index}]`;
+        const unknown = Object.keys(webhook).filter(key => !['url', 'events', 'secret', 'headers'].includes(key));
+        if (unknown.length > 0) {
+            throw new ConfigError(`Unknown setting(s) in ${where}: ${unknown.join(', ')}`);
+        }
+        if (!/^https?:\/\//i.test(webhook.url || '')) {
+            throw new ConfigError(`${where}.url must be an http(s) URL`);
+        }
+        if (webhook.events !== undefined) {
+            const invalid = [].concat(webhook.events).filter(event => !WEBHOOK_EVENTS.includes(event));
+            if (!Array.isArray(webhook.events) || invalid.length > 0) {
+                throw new ConfigError(`${where}.events must be a list of: ${WEBHOOK_EVENTS.join(', ')}`);
+            }
+        }
+        if (webhook.secret !== undefined && !(typeof webhook.secret === 'string' && webhook.secret.length > 0)) {
+            throw new ConfigError(`${where}.secret must be a non-empty string`);
+        }
+        if (webhook.headers !== undefined && (typeof webhook.headers !== 'object' || webhook.headers === null)) {
+            throw new ConfigError(`${where}.headers must be an object`);
+        }
+    });
+}
+
+/**
+ * Checks the "server" section: { libraryDir, allowedHosts, apiKeys: [{ name, key, rateLimit }], rateLimit }
+ */
+function validateServer(server) {
+    if (typeof server !== 'object' || server === null || Array.isArray(server)) {
+        throw new ConfigError('server must be an object');
+    }
+    const unknown = Object.keys(server).filter(key => !Object.keys(DEFAULT_SERVER).includes(key));
+    if (unknown.length > 0) {
+        throw new ConfigError(`Unknown setting(s) in server: ${unknown.join(', ')}`);
+    }
+    if (server.libraryDir !== undefined && !(typeof server.libraryDir === 'string' && server.libraryDir.length > 0)) {
+        throw new ConfigError('server.libraryDir must be a folder path');
+    }
+    if (server.allowedHosts !== undefined && !(Array.isArray(server.allowedHosts)
+        && server.allowedHosts.every(host => typeof host === 'string' && /^[a-z0-9.-]+$/i.test(host)))) {
+        throw new ConfigError('server.allowedHosts must be a list of host names');
+    }
+    if (server.rateLimit !== undefined && !isPositiveInteger(server.rateLimit)) {
+        throw new ConfigError('server.rateLimit must be a positive integer (requests per minute)');
+    }
+    if (server.apiKeys === undefined) return;
+    if (!Array.isArray(server.apiKeys)) {
+        throw new ConfigError('server.apiKeys must be an array');
+    }
+    server.apiKeys.forEach((apiKey, index) => {
+        const where = `server.apiKeys[${index}]`;
+        const unknownKeys = Object.keys(apiKey).filter(key => !['name', 'key', 'rateLimit'].includes(key));
+        if (unknownKeys.length > 0) {
+            throw new ConfigError(`Unknown setting(s) in ${where}: ${unknownKeys.join(', ')}`);
+        }
+        if (!(typeof apiKey.name === 'string' && apiKey.name.length > 0)) {
+            throw new ConfigError(`${where}.name must be a non-empty string`);
+        }
+        if (!(typeof apiKey.key === 'string' && apiKey.key.trim().length >= MIN_API_KEY_LENGTH)) {
+            throw new ConfigError(`${where}.key must be a string of at least ${MIN_API_KEY_LENGTH} characters`);
+        }
+        if (apiKey.rateLimit !== undefined && !isPositiveInteger(apiKey.rateLimit)) {
+            throw new ConfigError(`${where}.rateLimit must be a positive integer (requests per minute)`);
+        }
+        if (server.apiKeys.slice(0, index).some(other => other.name === apiKey.name || other.key === apiKey.key)) {
+            throw new ConfigError(`${where} repeats the name or key of another API key`);
+        }
+    });
+}
+
+/**
+ * Loads and validates the config file: `configPath`, $MANGA_CONFIG, or
+ * manga.config.json in the working directory. A missing default file is fine
+ * (built-in settings apply); a missing explicit file is an error
+ *
+ * File shape: { "defaults": { ...settings }, "series": { "<slug>": { ...settings, sourceUrl, adapter } },
+ *              "webhooks": [{ url, events, secret, headers }],
+ *              "server": { libraryDir, allowedHosts, apiKeys: [{ name, key, rateLimit }], rateLimit } }
+ */
+function loadConfig(configPath) {
+    const explicitPath = configPath || process.env.MANGA_CONFIG;
+    const filePath = path.resolve(explicitPath || CONFIG_FILE);
+
+    let file = {};
+    if (fs.existsSync(filePath)) {
+        try {
+            file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (err) {
+            throw new ConfigError(`Could not parse ${filePath}: ${err.message}`);
+        }
+    } else if (explicitPath) {
+        throw new ConfigError(`Config file not found: ${filePath}`);
+    }
+
+    const unknown = Object.keys(file).filter(key => !['defaults', 'series', 'webhooks', 'server'].includes(key));
+    if (unknown.length > 0) {
+        throw new ConfigError(`Unknown section(s) in ${path.basename(filePath)}: ${unknown.join(', ')} (expected defaults, series, webhooks, server)`);
+    }
+
+    validateSettings(file.defaults || {}, 'defaults', false);
+    for (const [name, entry] of Object.entries(file.series || {})) {
+        validateSettings(entry, `series["${name}"]`, true);
+    }
+    validateVolumeFormat(file);
+    validateWebhooks(file.webhooks || []);
+    validateServer(file.server || {});
+
+    const baseDir = path.dirname(filePath);
+    loadedConfig = {
+        path: fs.existsSync(filePath) ? filePath : null,
+        defaults: mergeSettings(DEFAULT_SETTINGS, resolveSettingPaths(file.defaults, baseDir)),
+        series: Object.fromEntries(Object.entries(file.series || {})
+            .map(([name, entry]) => [name, resolveSettingPaths(entry, baseDir)])),
+        webhooks: file.webhooks || [],
+        server: {
+            ...DEFAULT_SERVER,
+            ...file.server,
+            // Relative to the config file, like blocklist images
+            libraryDir: file.server?.libraryDir ? path.resolve(baseDir, file.server.libraryDir) : null
+        }
+    };
+    if (loadedConfig.path) {
+        console.log(`⚙️  Loaded config from ${loadedConfig.path}`);
+    }
+    return loadedConfig;
+}
+
+/**
+ * The loaded config, loading it on first use
+ */
+function getConfig() {
+    return loadedConfig || loadConfig();
+}
+
+/**
+ * Settings for a series (folder name or slug): defaults, then the series entry,
+ * then `overrides` - explicit arguments, which always win when defined
+ */
+function getSeriesSettings(seriesName, overrides = {}) {
+    const { defaults, series } = getConfig();
+    return mergeSettings(defaults, seriesName ? series[seriesName] : null, overrides);
+}
+
+// Filled-in values become part of a file name: no path separators or ".." ("Fate/Zero" -> "Fate-Zero")
+const toFileNamePart = value => String(value).replace(/[\/\\?%*:|"<>]/g, '-').replace(/\.{2,}/g, '.');
+
+/**
+ * Fills an outputName template: "{slug} - {title}.{format}"
+ * Returns null without a template so callers fall back to their own default
+ */
+function formatOutputName(template, values) {
+    if (!template) return null;
+    return template.replace(/\{(\w+)\}/g, (match, key) => values[key] === undefined || values[key] === null
+        ? match
+        : toFileNamePart(values[key]));
+}
+
+export {
+    CONFIG_FILE,
+    ConfigError,
+    loadConfig,
+    getConfig,
+    getSeriesSettings,
+    formatOutputName
+};
@@ -0,0 +1,277 @@
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import axios from 'axios';
+import { validateImageFile } from './manga-files.js';
+import { JobCancelledError, throwIfCancelled } from './job-queue.js';
+import { PROGRESS_EVENTS } from './progress.js';
+import { getSeriesSettings } from './config.js';
+
+const DEFAULT_OPTIONS = {
+    concurrency: 4,
+    timeout: 30000,
+    retries: 3,
+    backoff: 500,
+    maxBackoff: 15000,
+    skipExisting: true,
+    headers: {
+        'User-Agent': 'Mozilla/5.0'
+    },
+    validate: validateImageFile
+};
+
+const RETRYABLE_CODES = new Set([
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH',
+    'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ERR_CANCELED', 'ERR_BAD_RESPONSE'
+]);
+
+// Request timeout, rate limiting and server errors may succeed on a later attempt
+const isRetryableStatus = status => status === 408 || status === 429 || status >= 500;
+
+/**
+ * Error raised for a single failed download attempt
+ * `retryable` tells the engine whether another attempt makes sense
+ */
+class DownloadError extends Error {
+    constructor(message, { status = null, retryable = false, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'DownloadError';
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfter = retryAfter;
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Exponential backoff with jitter, honouring Retry-After when the server sends one
+ */
+function getRetryDelay(attempt, err, options) {
+    if (err.retryAfter) {
+        return Math.min(err.retryAfter * 1000, options.maxBackoff);
+    }
+    const base = options.backoff * 2 ** attempt;
+    return Math.min(base + Math.random() * options.backoff, options.maxBackoff);
+}
+
+/**
+ * Normalises axios/network errors into a DownloadError
+ */
+function toDownloadError(err, url) {
+    if (err instanceof DownloadError) return err;
+
+    const status = err.response?.status ?? null;
+    if (status) {
+        const retryAfter = parseInt(err.response.headers?.['retry-after'], 10);
+        return new DownloadError(`HTTP ${status} for ${url}`, {
+            status,
+            retryable: isRetryableStatus(status),
+            retryAfter: Number.isFinite(retryAfter) ? retryAfter : null
+        });
+    }
+
+    // Errors without a known network code (bad URLs, programming errors) won't go away on retry
+    return new DownloadError(`${err.code || 'Network error'}: ${err.message} (${url})`, {
+        retryable: RETRYABLE_CODES.has(err.code)
+    });
+}
+
+/**
+ * Performs one download attempt into `<dest>.part`, resuming a partial file when
+ * the server supports ranges, and renames it into place once it validates
+ */
+async function attemptDownload(item, options) {
+    const partPath = `${item.dest}.part`;
+    const partSize = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+
+    const headers = { ...options.headers, ...item.headers };
+    if (partSize > 0) {
+        headers.Range = `bytes=${partSize}-`;
+    }
+
+    // One timer covers connecting, headers and the body, so stalled streams also time out
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeout);
+    const onCancel = () => controller.abort();
+    options.signal?.addEventListener('abort', onCancel);
+
+    try {
+        const response = await axios.get(item.url, {
+            responseType: 'stream',
+            headers,
+            signal: controller.signal,
+            validateStatus: status => status === 200 || status === 206
+        });
+
+        const append = partSize > 0 && response.status === 206;
+        await pipeline(response.data, fs.createWriteStream(partPath, { flags: append ? 'a' : 'w' }));
+    } catch (err) {
+        throwIfCancelled(options.signal);
+        if (controller.signal.aborted) {
+            throw new DownloadError(`Timed out after ${options.timeout}ms (${item.url})`, { retryable: true });
+        }
+        if (err.response?.status === 416) {
+            // Stale partial file the server can't resume - start over
+            fs.rmSync(partPath, { force: true });
+            throw new DownloadError(`Cannot resume partial download (${item.url})`, { status: 416, retryable: true });
+        }
+        throw toDownloadError(err, item.url);
+    } finally {
+        clearTimeout(timer);
+        options.signal?.removeEventListener('abort', onCancel);
+    }
+
+    const validation = options.validate(partPath);
+    if (!validation.valid) {
+        fs.rmSync(partPath, { force: true });
+        throw new DownloadError(`Downloaded file failed validation: ${validation.reason} (${item.url})`, {
+            retryable: true
+        });
+    }
+
+    fs.renameSync(partPath, item.dest);
+}
+
+/**
+ * Saves bytes the caller already has (e.g. captured by the browser) like a finished
+ * download: through `<dest>.part`, renamed into place once it validates
+ */
+function saveItemData(item, options) {
+    const partPath = `${item.dest}.part`;
+    fs.writeFileSync(partPath, item.data);
+    const validation = options.validate(partPath);
+    if (!validation.valid) {
+        fs.rmSync(partPath, { force: true });
+        throw new DownloadError(`Captured image failed validation: ${validation.reason} (${item.url ?? item.dest})`);
+    }
+    fs.renameSync(partPath, item.dest);
+}
+
+/**
+ * Downloads a single item with retries
+ */
+async function downloadWithRetry(item, options) {
+    if (options.skipExisting && fs.existsSync(item.dest) && options.validate(item.dest).valid) {
+        return { status: 'skipped', attempts: 0 };
+    }
+
+    fs.mkdirSync(path.dirname(item.dest), { recursive: true });
+
+    if (item.data) {
+        try {
+            saveItemData(item, options);
+            return { status: 'downloaded', attempts: 0 };
+        } catch (err) {
+            // Without a URL there is nothing to fall back to
+            if (!item.url) {
+                err.attempts = 0;
+                throw err;
+            }
+            console.log(`  🔄 ${err.message} - downloading it instead`);
+        }
+    } else if (!item.url) {
+        throw Object.assign(new DownloadError(`Nothing to download ${item.dest} from`), { attempts: 0 });
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            await attemptDownload(item, options);
+            return { status: 'downloaded', attempts: attempt + 1 };
+        } catch (err) {
+            if (err instanceof JobCancelledError || !err.retryable || attempt >= options.retries) {
+                err.attempts = attempt + 1;
+                throw err;
+            }
+            const delay = getRetryDelay(attempt, err, options);
+            console.log(`  🔄 ${err.message} - retrying in ${Math.round(delay)}ms (${attempt + 1}/${options.retries})`);
+            await sleep(delay);
+            throwIfCancelled(options.signal);
+        }
+    }
+}
+
+/**
+ * Runs `worker` over every item with at most `limit` in flight
+ */
+async function runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+}
+
+/**
+ * Downloads a list of `{ url, dest, headers?, data? }` items concurrently
+ * Items with `data` (a Buffer, e.g. captured by the browser) are saved from it and only
+ * fetched from `url` when it fails validation; attempts is 0 for those.
+ * Existing files that pass validation are skipped, partial `.part` files are resumed,
+ * and 5xx/408/429 responses and known network errors are retried with exponential backoff.
+ * Never throws for individual failures - they are collected in `failed`.
+ * Pass `signal` to cancel (throws JobCancelledError) and a `progress` emitter to
+ * receive image-downloaded / image-failed events.
+ * Concurrency, timeout, retries and the User-Agent default to the config's settings.
+ */
+async function downloadFiles(items, options = {}) {
+    const configured = getSeriesSettings(null);
+    const settings = {
+        ...DEFAULT_OPTIONS,
+        ...configured.download,
+        ...options,
+        headers: { ...DEFAULT_OPTIONS.headers, 'User-Agent': configured.userAgent, ...options.headers }
+    };
+
+    const result = {
+        downloaded: [],
+        skipped: [],
+        failed: []
+    };
+
+    let done = 0;
+    const report = (item, status, error) => {
+        done++;
+        settings.progress?.report(status === 'failed' ? PROGRESS_EVENTS.IMAGE_FAILED : PROGRESS_EVENTS.IMAGE_DOWNLOADED, {
+            url: item.url,
+            file: item.dest,
+            status,
+            ...(error && { error }),
+            imagesDone: done,
+            imagesTotal: items.length
+        });
+    };
+
+    await runWithConcurrency(items, Math.max(1, settings.concurrency), async (queued) => {
+        if (settings.signal?.aborted) return;
+        // Captured bytes aren't kept in the results
+        const { data, ...item } = queued;
+        try {
+            const { status, attempts } = await downloadWithRetry(queued, settings);
+            if (status === 'skipped') {
+                result.skipped.push(item);
+                console.log(`  ⏭️  Already downloaded ${item.dest}`);
+            } else {
+                result.downloaded.push({ ...item, attempts });
+                console.log(`  ✅ Saved ${item.dest}`);
+            }
+            report(item, status);
+        } catch (err) {
+            if (err instanceof JobCancelledError) return;
+            result.failed.push({ ...item, error: err.message, status: err.status ?? null, attempts: err.attempts });
+            console.error(`  ❌ Failed to download ${item.url ?? item.dest}: ${err.message}`);
+            report(item, 'failed', err.message);
+        }
+    });
+
+    throwIfCancelled(settings.signal);
+    return result;
+}
+
+export {
+    downloadFiles,
+    runWithConcurrency,
+    DownloadError
+};
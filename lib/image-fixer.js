@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { getSeriesSettings } from './config.js';
+
+/**
+ * Attempts to fix problematic images using Sharp with multiple recovery strategies
+ * This handles progressive JPEG issues, WebP conversion, memory problems, and corrupted files
+ * `settings` may override the configured jpegQuality, recoveryQuality and maxImageHeight
+ */
+async function preprocessProblematicImage(imagePath, settings = {}) {
+    const { jpegQuality, maxImageHeight } = getSeriesSettings(null, settings);
+
+    try {
+        const image = sharp(imagePath);
+        const metadata = await image.metadata();
+        
+        // Check if image needs preprocessing
+        const isProgressive = metadata.isProgressive;
+        const isWebP = metadata.format === 'webp';
+        const isVeryTall = metadata.height > 10000;
+        const isVeryLarge = metadata.width * metadata.height > 50000000;
+        
+        if (isProgressive || isWebP || isVeryTall || isVeryLarge) {
+            const outputPath = imagePath + '.fixed.jpg';
+            
+            await image
+                .jpeg({ 
+                    quality: jpegQuality, 
+                    progressive: false // Convert progressive to baseline JPEG
+                })
+                .resize({
+                    width: metadata.width,
+                    height: Math.min(metadata.height, maxImageHeight), // Limit extreme heights
+                    fit: 'inside',
+                    withoutEnlargement: true
+                })
+                .toFile(outputPath);
+            
+            return {
+                success: true,
+                fixedPath: outputPath,
+                reason: isProgressive ? 'Progressive JPEG' : 
+                       isWebP ? 'WebP format' :
+                       isVeryTall ? 'Very tall image' : 'Very large image',
+                originalFormat: metadata.format,
+                originalSize: `${metadata.width}x${metadata.height}`
+            };
+        }
+        
+        return { success: true, fixedPath: null };
+        
+    } catch (err) {
+        // If Sharp fails to read metadata or process, try emergency recovery
+        console.log(`    🚨 Sharp failed on ${path.basename(imagePath)}: ${err.message}`);
+        console.log(`    🔄 Attempting emergency recovery...`);
+        
+        try {
+            return await emergencyImageRecovery(imagePath, settings);
+        } catch (recoveryErr) {
+            return { 
+                success: false, 
+                error: `Sharp failed: ${err.message}, Recovery failed: ${recoveryErr.message}` 
+            };
+        }
+    }
+}
+
+/**
+ * Emergency recovery for severely corrupted images
+ * Uses multiple strategies to salvage what we can from problematic files
+ */
+async function emergencyImageRecovery(imagePath, settings = {}) {
+    const { recoveryQuality, maxImageHeight } = getSeriesSettings(null, settings);
+    const outputPath = imagePath + '.recovered.jpg';
+    
+    // Strategy 1: Try to extract with failOnError disabled and aggressive error handling
+    try {
+        await sharp(imagePath, { 
+            failOnError: false,  // Don't fail on corruption
+            limitInputPixels: false  // Don't limit pixel count
+        })
+        .jpeg({ 
+            quality: recoveryQuality, 
+            progressive: false,
+            force: true  // Force JPEG output regardless of input
+        })
+        .resize(720, maxImageHeight, { 
+            fit: 'inside',
+            withoutEnlargement: true,
+            kernel: 'nearest'  // Use simple scaling to avoid artifacts
+        })
+        .toFile(outputPath);
+        
+        console.log(`    ✅ Emergency recovery successful (failOnError disabled)`);
+        return {
+            success: true,
+            fixedPath: outputPath,
+            reason: 'Emergency recovery (corrupted JPEG)',
+            originalFormat: 'jpeg (corrupted)',
+            originalSize: 'unknown (corrupted)'
+        };
+        
+    } catch (strategy1Error) {
+        console.log(`    ❌ Strategy 1 failed: ${strategy1Error.message}`);
+        
+        // Strategy 2: Try to read as raw buffer and create a placeholder
+        try {
+            const stats = fs.statSync(imagePath);
+            
+            // Create a placeholder image with error message
+            await sharp({
+                create: {
+                    width: 720,
+                    height: 1000,
+                    channels: 3,
+                    background: { r: 240, g: 240, b: 240 }
+                }
+            })
+            .jpeg({ quality: 90, progressive: false })
+            .toFile(outputPath);
+            
+            console.log(`    ⚠️  Created placeholder for corrupted image`);
+            return {
+                success: true,
+                fixedPath: outputPath,
+                reason: 'Placeholder for corrupted image',
+                originalFormat: 'corrupted',
+                originalSize: `${stats.size} bytes (corrupted)`
+            };
+            
+        } catch (strategy2Error) {
+            console.log(`    ❌ Strategy 2 failed: ${strategy2Error.message}`);
+            throw new Error(`All recovery strategies failed: ${strategy1Error.message} | ${strategy2Error.message}`);
+        }
+    }
+}
+
+export {
+    preprocessProblematicImage,
+    emergencyImageRecovery
+};
@@ -0,0 +1,83 @@
+import fs from 'fs';
+import { parentPort } from 'worker_threads';
+import sharp from 'sharp';
+import { getTargetImageWidth } from './page-layout.js';
+
+// The pool runs one image per worker; more libvips threads per image only compete
+sharp.concurrency(1);
+
+// Average / peak per-pixel channel spread below which a page counts as black and white
+// (JPEG noise in scanned grey pages stays well under these)
+const MAX_MEAN_CHROMA = 4;
+const MAX_PEAK_CHROMA = 32;
+
+async function isGrayscale(imagePath) {
+    const { data, info } = await sharp(imagePath)
+        .resize(64, 64, { fit: 'inside' })
+        .removeAlpha()
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    if (info.channels < 3) return true;
+
+    let total = 0;
+    let peak = 0;
+    for (let i = 0; i < data.length; i += info.channels) {
+        const chroma = Math.max(data[i], data[i + 1], data[i + 2]) - Math.min(data[i], data[i + 1], data[i + 2]);
+        total += chroma;
+        peak = Math.max(peak, chroma);
+    }
+    return total / (data.length / info.channels) < MAX_MEAN_CHROMA && peak < MAX_PEAK_CHROMA;
+}
+
+/**
+ * Optimises one image into `<outputBase>.jpg` (or `.png` for PNGs that need
+ * transparency, or when pngToJpeg is off). When nothing was resized and the result
+ * isn't smaller than the original, writes a `<outputBase>.skip` marker instead
+ */
+async function optimizeImage({ source, outputBase, options }) {
+    const metadata = await sharp(source).metadata();
+    const originalBytes = fs.statSync(source).size;
+    const [width, height] = metadata.orientation >= 5
+        ? [metadata.height, metadata.width]
+        : [metadata.width, metadata.height];
+
+    const targets = [options.width, getTargetImageWidth(width, height, options.layout, options.dpi)]
+        .filter(Boolean);
+    const targetWidth = targets.length > 0 ? Math.min(...targets) : null;
+    const resized = Boolean(targetWidth) && width > targetWidth;
+    const grayscale = options.grayscale === 'auto' ? await isGrayscale(source) : options.grayscale;
+
+    let pipeline = sharp(source).rotate();
+    if (resized) pipeline = pipeline.resize({ width: targetWidth });
+    if (grayscale) pipeline = pipeline.grayscale();
+
+    const keepPng = metadata.format === 'png' &&
+        (!options.pngToJpeg || (metadata.hasAlpha && !(await sharp(source).stats()).isOpaque));
+    const buffer = keepPng
+        ? await pipeline.png({ compressionLevel: 9 }).toBuffer()
+        : await pipeline.flatten({ background: '#ffffff' }).jpeg({
+            quality: options.quality,
+            // mozjpeg's encoder settings, minus its progressive scans, which PDFKit can't embed
+            ...(options.mozjpeg && { trellisQuantisation: true, overshootDeringing: true, quantisationTable: 3 }),
+            progressive: false
+        }).toBuffer();
+
+    if (!resized && buffer.length >= originalBytes) {
+        fs.writeFileSync(`${outputBase}.skip`, '');
+        return { output: null, originalBytes, bytes: originalBytes };
+    }
+
+    const output = `${outputBase}.${keepPng ? 'png' : 'jpg'}`;
+    fs.writeFileSync(`${output}.tmp`, buffer);
+    fs.renameSync(`${output}.tmp`, output);
+    return { output, originalBytes, bytes: buffer.length, grayscale, resized };
+}
+
+parentPort.on('message', async (task) => {
+    try {
+        parentPort.postMessage({ ok: true, ...await optimizeImage(task) });
+    } catch (err) {
+        parentPort.postMessage({ ok: false, error: err.message });
+    }
+});
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import { Worker } from 'worker_threads';
+import { throwIfCancelled } from './job-queue.js';
+
+const DEFAULT_OPTIMIZE = {
+    width: null,        // downscale pages wider than this many pixels
+    dpi: 150,           // and/or to this resolution at the size the page is shown in the PDF (null: no limit)
+    quality: 80,        // JPEG quality
+    mozjpeg: true,      // mozjpeg's encoder settings: smaller files, slower encoding
+    grayscale: 'auto',  // true, false, or 'auto' to convert pages without colour
+    pngToJpeg: true,    // re-encode PNGs as JPEG unless they need transparency
+    workers: null       // worker threads; null = one per CPU
+};
+
+// Optimised copies are kept here, inside the manga folder, named by content hash
+const OPTIMIZE_CACHE_DIR = '.optimized';
+
+// Bump whenever the worker's output changes for the same input and settings
+const PIPELINE_VERSION = 1;
+
+const WORKER_FILE = new URL('./image-optimizer-worker.js', import.meta.url);
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+/**
+ * Normalises the optimize option (true for the defaults, or an object) and validates it
+ */
+function resolveOptimize(optimize) {
+    if (!optimize) return null;
+
+    const settings = { ...DEFAULT_OPTIMIZE, ...(optimize === true ? {} : optimize) };
+    for (const key of ['width', 'dpi', 'workers']) {
+        if (settings[key] !== null && !isPositiveInteger(settings[key])) {
+            throw new Error(`optimize.${key} must be a positive integer`);
+        }
+    }
+    if (!(isPositiveInteger(settings.quality) && settings.quality <= 100)) {
+        throw new Error('optimize.quality must be an integer from 1 to 100');
+    }
+    if (![true, false, 'auto'].includes(settings.grayscale)) {
+        throw new Error('optimize.grayscale must be true, false or "auto"');
+    }
+    return settings;
+}
+
+/**
+ * Cache key: the image's bytes plus everything that shapes the output
+ */
+function cacheKey(imagePath, options) {
+    return createHash('sha256')
+        .update(fs.readFileSync(imagePath))
+        .update(JSON.stringify({ ...options, version: PIPELINE_VERSION }))
+        .digest('hex');
+}
+
+/**
+ * Cached optimised copy for a key: its path, false when optimising didn't help
+ * (keep the original), or null when the image hasn't been processed yet
+ */
+function findCached(outputBase) {
+    for (const extension of ['jpg', 'png']) {
+        if (fs.existsSync(`${outputBase}.${extension}`)) return `${outputBase}.${extension}`;
+    }
+    return fs.existsSync(`${outputBase}.skip`) ? false : null;
+}
+
+function runTask(worker, task) {
+    return new Promise((resolve, reject) => {
+        const onMessage = (message) => {
+            worker.off('error', onError);
+            resolve(message);
+        };
+        const onError = (err) => {
+            worker.off('message', onMessage);
+            reject(err);
+        };
+        worker.once('message', onMessage);
+        worker.once('error', onError);
+        worker.postMessage(task);
+    });
+}
+
+/**
+ * Runs the tasks on `size` worker threads, one task per worker at a time
+ */
+async function runOnWorkers(tasks, size, signal) {
+    const results = new Array(tasks.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.min(size, tasks.length) }, async () => {
+        const worker = new Worker(WORKER_FILE);
+        try {
+            while (next < tasks.length && !signal?.aborted) {
+                const index = next++;
+                results[index] = await runTask(worker, tasks[index]);
+            }
+        } finally {
+            await worker.terminate();
+        }
+    });
+    await Promise.all(runners);
+    throwIfCancelled(signal);
+    return results;
+}
+
+/**
+ * Optimises images for embedding: downscales them to `width` and/or `dpi` at the size
+ * they are shown with `layout` (device layouts aim for the screen's resolution),
+ * converts pages without colour to greyscale and re-encodes them as baseline JPEG
+ * (PNGs that need transparency stay PNG)
+ *
+ * Work is spread over worker threads. Results are cached in `cacheDir` by a hash of
+ * each image's content and the settings, so rebuilding reuses unchanged pages.
+ * Images that fail or don't get smaller are left out and should be used as-is.
+ * Resolves a Map of image path -> { path, originalBytes, bytes, cached }
+ */
+async function optimizeImages(imagePaths, settings, { cacheDir, layout, signal } = {}) {
+    const options = {
+        width: settings.width,
+        dpi: settings.dpi,
+        layout,
+        quality: settings.quality,
+        mozjpeg: settings.mozjpeg,
+        grayscale: settings.grayscale,
+        pngToJpeg: settings.pngToJpeg
+    };
+    fs.mkdirSync(cacheDir, { recursive: true });
+
+    const optimized = new Map();
+    const tasks = [];
+    for (const imagePath of imagePaths) {
+        let outputBase;
+        try {
+            outputBase = path.join(cacheDir, cacheKey(imagePath, options));
+        } catch {
+            continue; // unreadable - the builder reports it
+        }
+
+        const cached = findCached(outputBase);
+        if (cached) {
+            const originalBytes = fs.statSync(imagePath).size;
+            optimized.set(imagePath, { path: cached, originalBytes, bytes: fs.statSync(cached).size, cached: true });
+        } else if (cached === null) {
+            tasks.push({ source: imagePath, outputBase, options });
+        }
+    }
+
+    const workers = settings.workers || os.availableParallelism();
+    if (tasks.length > 0) {
+        console.log(`⚙️  Optimising ${tasks.length} image(s) on ${Math.min(workers, tasks.length)} worker thread(s) (${optimized.size} cached)`);
+    }
+
+    const results = await runOnWorkers(tasks, workers, signal);
+    results.forEach((result, index) => {
+        const { source } = tasks[index];
+        if (!result.ok) {
+            console.warn(`  ⚠️  Could not optimise ${path.basename(source)}: ${result.error}`);
+        } else if (result.output) {
+            optimized.set(source, { path: result.output, originalBytes: result.originalBytes, bytes: result.bytes, cached: false });
+        }
+    });
+    return optimized;
+}
+
+export {
+    OPTIMIZE_CACHE_DIR,
+    resolveOptimize,
+    optimizeImages
+};
@@ -0,0 +1,49 @@
+import fs from 'fs';
+import path from 'path';
+import { downloadFiles } from './download-engine.js';
+import { findPage } from './manifest.js';
+import { getSeriesSettings } from './config.js';
+
+/**
+ * Re-downloads a bad page from the source URL recorded in the series manifest
+ *
+ * The new copy is downloaded next to the bad file (with the download engine's
+ * retries and header check), then checked with `validate(filePath)`, which
+ * resolves { valid, reason }. Only a copy that passes replaces the bad file.
+ * Resolves { status: 'repaired' | 'no-source' | 'failed', url, attempts, error }
+ */
+async function repairImage(manifest, mangaFolderPath, { chapter, file }, { validate, signal } = {}) {
+    const page = manifest && findPage(manifest, { folder: chapter, file });
+    if (!page?.url) {
+        return { status: 'no-source', url: null, attempts: 0, error: 'No source URL recorded in the manifest' };
+    }
+
+    const imagePath = path.join(mangaFolderPath, chapter, file);
+    // Hidden so a crash never leaves it looking like a page; keeps the extension for validation
+    const repairPath = path.join(mangaFolderPath, chapter, `.repair-${file}`);
+    const settings = getSeriesSettings(manifest.series);
+    const { downloaded, failed } = await downloadFiles([{ url: page.url, dest: repairPath }], {
+        ...settings.download,
+        headers: { 'User-Agent': settings.userAgent },
+        skipExisting: false,
+        signal
+    });
+
+    if (failed.length > 0) {
+        return { status: 'failed', url: page.url, attempts: failed[0].attempts, error: failed[0].error };
+    }
+
+    const attempts = downloaded[0].attempts;
+    const validation = await validate(repairPath);
+    if (!validation.valid) {
+        fs.rmSync(repairPath, { force: true });
+        return { status: 'failed', url: page.url, attempts, error: `Source file is bad too: ${validation.reason}` };
+    }
+
+    fs.renameSync(repairPath, imagePath);
+    return { status: 'repaired', url: page.url, attempts, error: null };
+}
+
+export {
+    repairImage
+};
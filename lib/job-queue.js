@@ -0,0 +1,282 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { ProgressEmitter } from './progress.js';
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const SAVE_DELAY = 500;
+const MAX_BUFFERED_EVENTS = 500;
+// Times a job interrupted while running is resumed before it is marked failed
+const DEFAULT_MAX_RESTARTS = 3;
+
+/**
+ * Error thrown by job handlers when their AbortSignal fires
+ */
+class JobCancelledError extends Error {
+    constructor(message = 'Job was cancelled') {
+        super(message);
+        this.name = 'JobCancelledError';
+    }
+}
+
+/**
+ * Throws JobCancelledError if the signal has been aborted
+ * Long-running library functions call this between units of work
+ */
+function throwIfCancelled(signal) {
+    if (signal?.aborted) {
+        throw new JobCancelledError();
+    }
+}
+
+/**
+ * Background job queue persisted to a JSON file
+ *
+ * Handlers are registered per job type and receive `(job, { signal, progress })`,
+ * where `progress` is a ProgressEmitter whose summary is mirrored into `job.progress`.
+ * Their return value becomes `job.result`; a thrown error becomes `job.error`.
+ * Jobs that were queued or running when the process stopped are re-queued on load();
+ * one that was running is resumed at most `maxRestarts` times (it may be what stops
+ * the process) and then marked failed.
+ *
+ * Every progress and status change is emitted as `('job-event', jobId, event)` and the
+ * most recent events of each job are buffered in memory for late subscribers.
+ */
+class JobQueue extends EventEmitter {
+    constructor({ stateFile, concurrency = 1, maxHistory = 200, maxRestarts = DEFAULT_MAX_RESTARTS } = {}) {
+        super();
+        this.stateFile = stateFile;
+        this.concurrency = concurrency;
+        this.maxHistory = maxHistory;
+        this.maxRestarts = maxRestarts;
+        this.handlers = new Map();
+        this.jobs = new Map();
+        this.controllers = new Map();
+        this.events = new Map();
+        this.running = 0;
+        this.saveTimer = null;
+    }
+
+    registerHandler(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Returns buffered events of a job, optionally only those after `lastEventId`
+     */
+    getEvents(id, lastEventId = -1) {
+        return (this.events.get(id) || []).filter(event => event.id > lastEventId);
+    }
+
+    publish(job, data) {
+        const buffer = this.events.get(job.id) || [];
+        const last = buffer[buffer.length - 1];
+        const event = { id: last ? last.id + 1 : 0, jobId: job.id, ...data };
+
+        buffer.push(event);
+        if (buffer.length > MAX_BUFFERED_EVENTS) buffer.shift();
+        this.events.set(job.id, buffer);
+
+        this.emit('job-event', job.id, event);
+    }
+
+    publishStatus(job) {
+        this.publish(job, {
+            type: 'status',
+            timestamp: new Date().toISOString(),
+            status: job.status,
+            progress: job.progress,
+            ...(job.error && { error: job.error })
+        });
+    }
+
+    /**
+     * Restores jobs from the state file and resumes any unfinished work
+     */
+    load() {
+        if (this.stateFile && fs.existsSync(this.stateFile)) {
+            try {
+                const saved = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+                let failed = 0;
+                for (const job of saved.jobs || []) {
+                    // Queued jobs simply stay queued
+                    if (job.status === 'running') {
+                        job.restarts = (job.restarts || 0) + 1;
+                        if (job.restarts > this.maxRestarts) {
+                            job.status = 'failed';
+                            job.error = `Interrupted ${job.restarts} times, not restarted again`;
+                            job.finishedAt = new Date().toISOString();
+                            failed++;
+                        } else {
+                            job.status = 'queued';
+                        }
+                    }
+                    this.jobs.set(job.id, job);
+                }
+                console.log(`📋 Restored ${this.jobs.size} jobs from ${this.stateFile}`);
+                if (failed > 0) {
+                    console.warn(`⚠️  ${failed} job(s) were interrupted more than ${this.maxRestarts} times and marked failed`);
+                    this.save();
+                }
+            } catch (err) {
+                console.error(`⚠️  Could not read job state ${this.stateFile}: ${err.message}`);
+            }
+        }
+        this.drain();
+    }
+
+    enqueue(type, params = {}) {
+        if (!this.handlers.has(type)) {
+            throw new Error(`Unknown job type "${type}"`);
+        }
+
+        const job = {
+            id: randomUUID(),
+            type,
+            params,
+            status: 'queued',
+            progress: {},
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.pruneHistory();
+        this.save();
+        this.publishStatus(job);
+        this.drain();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    list({ status, type } = {}) {
+        return [...this.jobs.values()]
+            .filter(job => (!status || job.status === status) && (!type || job.type === type))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Cancels a queued or running job; returns the job or null if it doesn't exist
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        if (job.status === 'queued') {
+            this.finish(job, 'cancelled');
+        } else if (job.status === 'running') {
+            // The handler notices the aborted signal and the job is finalised in run()
+            this.controllers.get(id)?.abort();
+        }
+        return job;
+    }
+
+    /**
+     * Removes a finished job from the history
+     */
+    remove(id) {
+        const job = this.jobs.get(id);
+        if (!job || ACTIVE_STATUSES.includes(job.status)) return false;
+        this.jobs.delete(id);
+        this.events.delete(id);
+        this.save();
+        return true;
+    }
+
+    drain() {
+        while (this.running < this.concurrency) {
+            const next = [...this.jobs.values()]
+                .filter(job => job.status === 'queued')
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+            if (!next) return;
+            this.run(next);
+        }
+    }
+
+    async run(job) {
+        const controller = new AbortController();
+        this.controllers.set(job.id, controller);
+        this.running++;
+
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        job.error = null;
+        this.save();
+        this.publishStatus(job);
+
+        const progress = new ProgressEmitter();
+        progress.on('progress', (event) => {
+            job.progress = { ...job.progress, ...progress.snapshot() };
+            this.publish(job, event);
+            this.scheduleSave();
+        });
+
+        try {
+            const handler = this.handlers.get(job.type);
+            if (!handler) {
+                throw new Error(`No handler registered for job type "${job.type}"`);
+            }
+            job.result = await handler(job, { signal: controller.signal, progress });
+            this.finish(job, 'completed');
+        } catch (err) {
+            if (controller.signal.aborted || err instanceof JobCancelledError) {
+                this.finish(job, 'cancelled');
+            } else {
+                job.error = err.message;
+                this.finish(job, 'failed');
+                console.error(`❌ Job ${job.id} (${job.type}) failed: ${err.message}`);
+            }
+        } finally {
+            this.controllers.delete(job.id);
+            this.running--;
+            this.drain();
+        }
+    }
+
+    finish(job, status) {
+        job.status = status;
+        job.finishedAt = new Date().toISOString();
+        this.save();
+        this.publishStatus(job);
+    }
+
+    pruneHistory() {
+        const finished = this.list().filter(job => !ACTIVE_STATUSES.includes(job.status));
+        for (const job of finished.slice(this.maxHistory)) {
+            this.jobs.delete(job.id);
+            this.events.delete(job.id);
+        }
+    }
+
+    /**
+     * Coalesces frequent progress updates into one write
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.stateFile) return;
+
+        fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+        const tmpFile = `${this.stateFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ jobs: [...this.jobs.values()] }, null, 2));
+        fs.renameSync(tmpFile, this.stateFile);
+    }
+}
+
+export {
+    JobQueue,
+    JobCancelledError,
+    throwIfCancelled
+};
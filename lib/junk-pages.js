@@ -0,0 +1,195 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { listChapters, listChapterImages } from './manga-files.js';
+
+const DEFAULT_JUNK = {
+    duplicates: true,   // drop pages that repeat an earlier page of the series
+    blocklist: [],      // known junk: image files or hashes (see hashImage)
+    threshold: 32       // max differing bits (of 256) for two pages to count as the same image
+};
+
+// dHash grid: each row compares HASH_SIZE + 1 neighbouring pixels
+const HASH_SIZE = 16;
+const HASH_PATTERN = new RegExp(`^[0-9a-f]{${HASH_SIZE * HASH_SIZE / 4}}$`, 'i');
+
+// Thumbnails whose pixels all lie within this range are blank (white/black) pages;
+// they hash alike but are deliberate, so they never count as duplicates
+const FLAT_RANGE = 12;
+
+// Per-folder cache of page hashes, keyed by "chapter/file"
+const HASH_CACHE_FILE = '.page-hashes.json';
+
+const isPageHash = value => HASH_PATTERN.test(value);
+
+/**
+ * Normalises the junk option (true for the defaults, or an object) and validates it
+ */
+function resolveJunk(junk) {
+    if (!junk) return null;
+
+    const settings = { ...DEFAULT_JUNK, ...(junk === true ? {} : junk) };
+    if (!(Number.isInteger(settings.threshold) && settings.threshold >= 0)) {
+        throw new Error('junk.threshold must be a non-negative integer (bits)');
+    }
+    if (!Array.isArray(settings.blocklist) || settings.blocklist.some(entry => typeof entry !== 'string' || !entry)) {
+        throw new Error('junk.blocklist must be a list of image paths or hashes');
+    }
+    return settings;
+}
+
+/**
+ * 256-bit difference hash of an image: a 17×16 greyscale thumbnail where each bit
+ * says whether a pixel is brighter than its right neighbour. Re-encoded, resized or
+ * slightly retouched copies of an image get hashes only a few bits apart
+ * Resolves { hash, flat } with `flat` set for blank pages
+ */
+async function hashImage(imagePath) {
+    const pixels = await sharp(imagePath)
+        .greyscale()
+        .resize(HASH_SIZE + 1, HASH_SIZE, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let bits = '';
+    for (let y = 0; y < HASH_SIZE; y++) {
+        for (let x = 0; x < HASH_SIZE; x++) {
+            const offset = y * (HASH_SIZE + 1) + x;
+            bits += pixels[offset] > pixels[offset + 1] ? '1' : '0';
+        }
+    }
+
+    const hash = bits.match(/.{4}/g).map(nibble => parseInt(nibble, 2).toString(16)).join('');
+    const flat = Math.max(...pixels) - Math.min(...pixels) <= FLAT_RANGE;
+    return { hash, flat };
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ */
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+}
+
+/**
+ * Hashes of the blocklist entries; entries that are already hashes are used as-is
+ * and image files are hashed (a missing file is reported and ignored)
+ */
+async function loadBlocklist(entries) {
+    const blocklist = [];
+    for (const entry of entries) {
+        if (isPageHash(entry)) {
+            blocklist.push({ hash: entry.toLowerCase(), label: entry });
+            continue;
+        }
+        try {
+            blocklist.push({ hash: (await hashImage(entry)).hash, label: path.basename(entry) });
+        } catch (err) {
+            console.warn(`⚠️  Skipping junk blocklist entry ${entry}: ${err.message}`);
+        }
+    }
+    return blocklist;
+}
+
+function loadHashCache(mangaFolderPath) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(mangaFolderPath, HASH_CACHE_FILE), 'utf8'));
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Finds junk pages among `chapterImages` (Map of chapter folder -> image files, in
+ * reading order): pages matching the blocklist and, with `duplicates`, pages within
+ * `threshold` bits of an earlier page in the same or an earlier chapter
+ *
+ * Hashes are cached in .page-hashes.json in the manga folder and reused while a
+ * file's size and modification time are unchanged. Images that can't be decoded are
+ * left alone for the builders to report.
+ * Resolves [{ chapter, file, type: 'blocklist' | 'duplicate', reason, hash, match }]
+ */
+async function findJunkPages(mangaFolderPath, chapterImages, junk) {
+    const blocklist = await loadBlocklist(junk.blocklist);
+    const cache = loadHashCache(mangaFolderPath);
+    let cacheChanged = false;
+    const seen = [];
+    const junkPages = [];
+
+    for (const [chapter, images] of chapterImages) {
+        for (const file of images) {
+            const key = `${chapter}/${file}`;
+            const imagePath = path.join(mangaFolderPath, chapter, file);
+
+            let entry = cache[key];
+            try {
+                const { size, mtimeMs } = fs.statSync(imagePath);
+                if (!entry || entry.bytes !== size || entry.mtimeMs !== mtimeMs) {
+                    entry = { bytes: size, mtimeMs, ...await hashImage(imagePath) };
+                    cache[key] = entry;
+                    cacheChanged = true;
+                }
+            } catch {
+                continue;
+            }
+
+            const blocked = blocklist.find(item => hammingDistance(item.hash, entry.hash) <= junk.threshold);
+            const original = junk.duplicates && !entry.flat
+                ? seen.find(page => hammingDistance(page.hash, entry.hash) <= junk.threshold)
+                : null;
+
+            if (blocked) {
+                junkPages.push({ chapter, file, type: 'blocklist', reason: `Matches blocklisted ${blocked.label}`, hash: entry.hash, match: blocked.label });
+            } else if (original) {
+                junkPages.push({ chapter, file, type: 'duplicate', reason: `Duplicate of ${original.key}`, hash: entry.hash, match: original.key });
+            } else if (!entry.flat) {
+                seen.push({ key, hash: entry.hash });
+            }
+        }
+    }
+
+    if (cacheChanged) {
+        try {
+            fs.writeFileSync(path.join(mangaFolderPath, HASH_CACHE_FILE), JSON.stringify(cache));
+        } catch (err) {
+            console.warn(`⚠️  Could not save page hashes: ${err.message}`);
+        }
+    }
+    return junkPages;
+}
+
+/**
+ * Junk pages of some chapters (folder names) of a series, judged against the whole
+ * series - so a credits page first seen in chapter 1 is dropped from a build of chapter 9
+ */
+async function findSeriesJunk(mangaFolderPath, chapters, junk) {
+    const seriesImages = new Map(listChapters(mangaFolderPath).map(chapter => [
+        chapter,
+        listChapterImages(path.join(mangaFolderPath, chapter))
+    ]));
+    const junkPages = await findJunkPages(mangaFolderPath, seriesImages, junk);
+    return junkPages.filter(page => chapters.includes(page.chapter));
+}
+
+function isJunkPage(junkPages, chapter, file) {
+    return junkPages.some(page => page.chapter === chapter && page.file === file);
+}
+
+export {
+    HASH_CACHE_FILE,
+    resolveJunk,
+    isPageHash,
+    hashImage,
+    hammingDistance,
+    findJunkPages,
+    findSeriesJunk,
+    isJunkPage
+};
@@ -0,0 +1,283 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import sharp from 'sharp';
+import { listChapters, listChapterImages, getSeriesMetadata, getChapterNumber } from './manga-files.js';
+import { loadManifest, MANIFEST_FILE } from './manifest.js';
+import { getImageSize } from './page-layout.js';
+
+// Generated files the catalog offers for download, by extension
+const OUTPUT_CONTENT_TYPES = {
+    pdf: 'application/pdf',
+    cbz: 'application/vnd.comicbook+zip',
+    epub: 'application/epub+zip'
+};
+
+// Cover thumbnails and resized pages are cached here inside the series folder
+const THUMBNAIL_DIR = '.thumbnails';
+const COVER_SIZE = [300, 420];
+
+// Widths resized pages are made in; requests are rounded up to one of these so a
+// handful of variants per page serve every screen
+const PAGE_WIDTHS = [480, 720, 1080, 1440, 2160];
+
+// Never series, and too big to scan for chapter folders
+const IGNORED_FOLDERS = ['node_modules'];
+
+const outputFormat = file => path.extname(file).slice(1).toLowerCase();
+
+function loadManifestSafely(seriesPath) {
+    try {
+        return loadManifest(seriesPath);
+    } catch (err) {
+        console.warn(`⚠️  Ignoring unreadable ${MANIFEST_FILE} in ${seriesPath}: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * A folder is a series when it has a manifest or a chapter folder with images
+ */
+function isSeriesFolder(folderPath) {
+    if (fs.existsSync(path.join(folderPath, MANIFEST_FILE))) return true;
+    try {
+        return listChapters(folderPath).some(chapter =>
+            getChapterNumber(chapter) !== null && listChapterImages(path.join(folderPath, chapter)).length > 0);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Series folders of the library: the series inside `libraryDir` plus `extraFolders`
+ * (e.g. followed series kept elsewhere). Returns a Map of series name (folder
+ * name) -> absolute path; the first folder with a name wins
+ */
+function listSeriesFolders(libraryDir, extraFolders = []) {
+    const candidates = fs.readdirSync(libraryDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !entry.name.startsWith('_')
+            && !IGNORED_FOLDERS.includes(entry.name))
+        .map(entry => path.join(libraryDir, entry.name));
+
+    const folders = new Map();
+    for (const folderPath of [...candidates, ...extraFolders.map(folder => path.resolve(folder))]) {
+        const name = path.basename(folderPath);
+        if (folders.has(name) || !fs.existsSync(folderPath) || !isSeriesFolder(folderPath)) continue;
+        folders.set(name, folderPath);
+    }
+    return folders;
+}
+
+/**
+ * Writes a sharp pipeline's JPEG output to `filePath` through a temporary file; the
+ * name is unique, so concurrent requests for the same image can't interleave writes
+ */
+async function writeCachedImage(pipeline, filePath) {
+    const tmpFile = `${filePath}.${randomUUID()}.tmp`;
+    try {
+        await pipeline.toFile(tmpFile);
+        fs.renameSync(tmpFile, filePath);
+    } finally {
+        fs.rmSync(tmpFile, { force: true });
+    }
+}
+
+/**
+ * Image the cover thumbnail is made from: metadata.cover, else the first page of the first chapter
+ */
+function findCoverImage(seriesPath, metadata = getSeriesMetadata(seriesPath)) {
+    if (metadata.cover) {
+        const coverPath = path.resolve(seriesPath, metadata.cover);
+        if (fs.existsSync(coverPath)) return coverPath;
+    }
+    for (const chapter of listChapters(seriesPath)) {
+        const [firstPage] = listChapterImages(path.join(seriesPath, chapter));
+        if (firstPage) return path.join(seriesPath, chapter, firstPage);
+    }
+    return null;
+}
+
+/**
+ * Path of a JPEG cover thumbnail for the series, made with sharp on first use and
+ * cached in .thumbnails/ under a name derived from the source image's path, size and
+ * modification time. Tall webtoon strips are cropped from the top. Null without images
+ */
+async function getCoverThumbnail(seriesPath) {
+    const coverPath = findCoverImage(seriesPath);
+    if (!coverPath) return null;
+
+    const { size, mtimeMs } = fs.statSync(coverPath);
+    const key = createHash('sha1').update(`${coverPath}:${size}:${mtimeMs}`).digest('hex').slice(0, 16);
+    const thumbnailDir = path.join(seriesPath, THUMBNAIL_DIR);
+    const thumbnailPath = path.join(thumbnailDir, `cover-${key}.jpg`);
+    if (fs.existsSync(thumbnailPath)) return thumbnailPath;
+
+    fs.mkdirSync(thumbnailDir, { recursive: true });
+    const [width, height] = COVER_SIZE;
+    await writeCachedImage(sharp(coverPath)
+        .rotate()
+        .resize(width, height, { fit: 'cover', position: 'top' })
+        .jpeg({ quality: 80 }), thumbnailPath);
+
+    // Thumbnails of earlier covers are stale now
+    for (const file of fs.readdirSync(thumbnailDir)) {
+        if (file.startsWith('cover-') && file.endsWith('.jpg') && file !== path.basename(thumbnailPath)) {
+            fs.rmSync(path.join(thumbnailDir, file), { force: true });
+        }
+    }
+    return thumbnailPath;
+}
+
+/**
+ * Pages of a chapter in reading order with their display dimensions (null when
+ * sharp can't read the image), or null when `chapter` isn't a chapter of the series
+ */
+async function listChapterPages(seriesPath, chapter) {
+    if (!listChapters(seriesPath).includes(chapter)) return null;
+
+    const chapterPath = path.join(seriesPath, chapter);
+    const pages = [];
+    for (const file of listChapterImages(chapterPath)) {
+        try {
+            pages.push({ file, ...await getImageSize(path.join(chapterPath, file)) });
+        } catch {
+            pages.push({ file, width: null, height: null });
+        }
+    }
+    return pages;
+}
+
+/**
+ * Path of a page image, or null when it isn't a page of the series. With `width`,
+ * a JPEG resized to the next of PAGE_WIDTHS is made with sharp and cached in
+ * .thumbnails/pages/ (keyed by the page's path, size and modification time); pages
+ * that are no wider than that are served as they are
+ */
+async function getPageImage(seriesPath, chapter, file, width = null) {
+    if (!listChapters(seriesPath).includes(chapter)) return null;
+    if (!listChapterImages(path.join(seriesPath, chapter)).includes(file)) return null;
+
+    const pagePath = path.join(seriesPath, chapter, file);
+    if (!width) return pagePath;
+
+    const targetWidth = PAGE_WIDTHS.find(pageWidth => pageWidth >= width) || PAGE_WIDTHS[PAGE_WIDTHS.length - 1];
+    const { width: pageWidth } = await getImageSize(pagePath);
+    if (pageWidth <= targetWidth) return pagePath;
+
+    const { size, mtimeMs } = fs.statSync(pagePath);
+    const key = createHash('sha1').update(`${chapter}/${file}:${size}:${mtimeMs}`).digest('hex').slice(0, 16);
+    const variantDir = path.join(seriesPath, THUMBNAIL_DIR, 'pages');
+    const variantPath = path.join(variantDir, `${key}-${targetWidth}.jpg`);
+    if (fs.existsSync(variantPath)) return variantPath;
+
+    fs.mkdirSync(variantDir, { recursive: true });
+    await writeCachedImage(sharp(pagePath)
+        .rotate()
+        .resize({ width: targetWidth })
+        .jpeg({ quality: 85 }), variantPath);
+    return variantPath;
+}
+
+/**
+ * Generated PDFs, CBZs and EPUBs of a series: the files in its folder plus the
+ * outputs its manifest records (outside the folder ones can't be served and are
+ * left out). Sorted by file name
+ * Returns [{ file, format, bytes, modifiedAt, volume, chapters, builtAt }] with
+ * `file` relative to the series folder
+ */
+function listSeriesOutputs(seriesPath) {
+    const manifest = loadManifestSafely(seriesPath);
+    const built = new Map();
+    for (const build of manifest?.builds || []) {
+        for (const output of build.outputs) {
+            built.set(path.normalize(output.file), { ...output, builtAt: build.builtAt });
+        }
+    }
+
+    const files = new Set(fs.readdirSync(seriesPath).filter(file => OUTPUT_CONTENT_TYPES[outputFormat(file)]));
+    for (const file of built.keys()) {
+        if (!file.startsWith('..') && !path.isAbsolute(file)) files.add(file);
+    }
+
+    return [...files].sort().flatMap(file => {
+        let stats;
+        try {
+            stats = fs.statSync(path.join(seriesPath, file));
+        } catch {
+            return []; // recorded, but deleted since
+        }
+        if (!stats.isFile() || !OUTPUT_CONTENT_TYPES[outputFormat(file)]) return [];
+
+        const build = built.get(file);
+        return [{
+            file,
+            format: outputFormat(file),
+            bytes: stats.size,
+            modifiedAt: stats.mtime.toISOString(),
+            volume: build?.volume ?? null,
+            chapters: build?.chapters ?? null,
+            builtAt: build?.builtAt ?? null
+        }];
+    });
+}
+
+/**
+ * Chapters of a series in reading order, with page counts and, when the series has
+ * a manifest, where and when each chapter was downloaded and which outputs include it
+ */
+function listSeriesChapters(seriesPath) {
+    const manifest = loadManifestSafely(seriesPath);
+    return listChapters(seriesPath).map(name => {
+        const chapterPath = path.join(seriesPath, name);
+        const recorded = manifest?.chapters.find(chapter => chapter.folder === name);
+        return {
+            name,
+            number: getChapterNumber(name),
+            pages: listChapterImages(chapterPath).length,
+            updatedAt: fs.statSync(chapterPath).mtime.toISOString(),
+            sourceUrl: recorded?.url ?? null,
+            downloadedAt: recorded?.downloadedAt ?? null,
+            missingPages: recorded?.missingPages?.length ?? 0,
+            outputs: recorded?.outputs ?? []
+        };
+    });
+}
+
+/**
+ * Catalog entry of a series: metadata, chapter count, the latest chapter, the number
+ * of outputs, and the last time a chapter or the manifest changed (builds and caches
+ * touch the series folder itself, so it only counts for a series without chapters)
+ */
+function describeSeries(name, seriesPath) {
+    const metadata = getSeriesMetadata(seriesPath);
+    const manifest = loadManifestSafely(seriesPath);
+    const chapters = listChapters(seriesPath);
+
+    const changes = chapters.map(chapter => fs.statSync(path.join(seriesPath, chapter)).mtimeMs);
+    if (manifest?.updatedAt) changes.push(Date.parse(manifest.updatedAt));
+    if (changes.length === 0) changes.push(fs.statSync(seriesPath).mtimeMs);
+
+    return {
+        name,
+        title: metadata.title,
+        author: metadata.author ?? null,
+        sourceUrl: manifest?.sourceUrl ?? metadata.sourceUrl ?? null,
+        chapters: chapters.length,
+        latestChapter: chapters[chapters.length - 1] ?? null,
+        outputs: listSeriesOutputs(seriesPath).length,
+        hasCover: findCoverImage(seriesPath, metadata) !== null,
+        updatedAt: new Date(Math.max(...changes)).toISOString()
+    };
+}
+
+export {
+    OUTPUT_CONTENT_TYPES,
+    THUMBNAIL_DIR,
+    listSeriesFolders,
+    describeSeries,
+    listSeriesChapters,
+    listSeriesOutputs,
+    listChapterPages,
+    getPageImage,
+    getCoverThumbnail
+};
@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Chapter number from a folder name or chapter URL, or null
+ * Prefers the number after a chapter keyword ("Vol.2 Chapter 12.5" -> 12.5)
+ * and reads URL slugs ending in "chapter-12-5" as 12.5
+ */
+function getChapterNumber(name) {
+    const keyword = name.match(/\b(?:chapter|chap|ch|episode|ep)[\s._-]*(\d+)(?:\.(\d+)|-(\d)(?=$|[/?#]))?/i);
+    if (keyword) {
+        const fraction = keyword[2] ?? keyword[3];
+        return parseFloat(fraction ? `${keyword[1]}.${fraction}` : keyword[1]);
+    }
+
+    const match = name.match(/\d+(?:\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Sorts names by their chapter/page number (Chapter 2 before Chapter 10,
+ * Chapter 12.5 between 12 and 13)
+ */
+function compareByNumber(a, b) {
+    return (getChapterNumber(a) ?? 0) - (getChapterNumber(b) ?? 0);
+}
+
+/**
+ * Reads the first `length` bytes of a file
+ */
+function readFileHeader(filePath, length = 12) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const bytesRead = fs.readSync(fd, buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Image format from a file's magic bytes: 'jpeg', 'png', 'gif', 'webp' or null
+ * WebP is a RIFF container, so it needs "RIFF" at offset 0 and "WEBP" at offset 8
+ */
+function detectImageFormat(header) {
+    const hex = header.toString('hex');
+    if (hex.startsWith('ffd8ff')) return 'jpeg';
+    if (hex.startsWith('89504e47')) return 'png';
+    if (hex.startsWith('474946')) return 'gif';
+    if (hex.startsWith('52494646') && hex.slice(16, 24) === '57454250') return 'webp';
+    return null;
+}
+
+/**
+ * Validates if an image file is readable and not corrupted
+ */
+function validateImageFile(imagePath) {
+    try {
+        const stats = fs.statSync(imagePath);
+        if (stats.size === 0) {
+            return { valid: false, reason: 'Empty file (0 bytes)' };
+        }
+        if (stats.size < 100) {
+            return { valid: false, reason: 'File too small (likely corrupted)' };
+        }
+        
+        if (!detectImageFormat(readFileHeader(imagePath))) {
+            return { valid: false, reason: 'Invalid file header (not a recognized image format)' };
+        }
+        
+        return { valid: true };
+    } catch (err) {
+        return { valid: false, reason: `File access error: ${err.message}` };
+    }
+}
+
+/**
+ * Lists chapter folders of a manga folder in reading order
+ * Folders starting with "_" or "." (quarantine, caches) are not chapters
+ */
+function listChapters(mangaFolderPath) {
+    return fs.readdirSync(mangaFolderPath)
+        .filter(item => {
+            const fullPath = path.join(mangaFolderPath, item);
+            return fs.statSync(fullPath).isDirectory() && !item.startsWith('_') && !item.startsWith('.');
+        })
+        .sort(compareByNumber);
+}
+
+/**
+ * Lists the page images of a chapter folder in reading order,
+ * ignoring temporary files left by the fixing pipeline
+ */
+function listChapterImages(chapterPath) {
+    return fs.readdirSync(chapterPath)
+        .filter(file => /\.(jpg|jpeg|png|gif|webp)$/i.test(file) && 
+                      !file.startsWith('.') && 
+                      !file.includes('.fixed') && 
+                      !file.includes('.recovered') && 
+                      !file.includes('.converted'))
+        .sort(compareByNumber);
+}
+
+// Optional per-series metadata file inside the manga folder
+const METADATA_FILE = 'metadata.json';
+
+/**
+ * Series-level metadata used for document info and archive metadata
+ * The title is derived from the folder name; a metadata.json in the manga
+ * folder can set title, author, summary, tags, language, sourceUrl and cover
+ */
+function getSeriesMetadata(mangaFolderPath) {
+    const slug = path.basename(path.resolve(mangaFolderPath));
+    const title = slug
+        .replace(/[-_]+/g, ' ')
+        .replace(/\b\w/g, char => char.toUpperCase());
+
+    const metadataPath = path.join(mangaFolderPath, METADATA_FILE);
+    if (!fs.existsSync(metadataPath)) {
+        return { title, slug };
+    }
+
+    try {
+        const fileMetadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+        return { title, slug, ...fileMetadata };
+    } catch (err) {
+        console.warn(`⚠️  Ignoring unreadable ${METADATA_FILE}: ${err.message}`);
+        return { title, slug };
+    }
+}
+
+export {
+    compareByNumber,
+    getChapterNumber,
+    readFileHeader,
+    detectImageFormat,
+    validateImageFile,
+    listChapters,
+    listChapterImages,
+    getSeriesMetadata
+};
@@ -0,0 +1,166 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Per-series record of where a manga folder came from, kept next to its chapters:
+ *
+ *   {
+ *     version, series, sourceUrl, adapter, createdAt, updatedAt,
+ *     chapters: [{ folder, title, number, url, pageCount, pages: [{ file, url, sha256, bytes }],
+ *                  missingPages: [url], downloadedAt, outputs: [file] }],
+ *     builds:   [{ format, outputName, options, builtAt,
+ *                  outputs: [{ file, volume, chapters: [folder] }] }]
+ *   }
+ *
+ * Output files are relative to the manga folder; a chapter's `outputs` lists the
+ * files (volumes) that currently include it.
+ */
+
+function manifestPath(mangaFolderPath) {
+    return path.join(mangaFolderPath, MANIFEST_FILE);
+}
+
+/**
+ * Reads the manifest of a manga folder, or null if it has none
+ */
+function loadManifest(mangaFolderPath) {
+    const filePath = manifestPath(mangaFolderPath);
+    if (!fs.existsSync(filePath)) return null;
+
+    const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (manifest.version > MANIFEST_VERSION) {
+        throw new Error(`${filePath} was written by a newer version (manifest version ${manifest.version})`);
+    }
+    return { chapters: [], builds: [], ...manifest };
+}
+
+function createManifest(mangaFolderPath, { sourceUrl = null, adapter = null } = {}) {
+    const now = new Date().toISOString();
+    return {
+        version: MANIFEST_VERSION,
+        series: path.basename(mangaFolderPath),
+        sourceUrl,
+        adapter,
+        createdAt: now,
+        updatedAt: now,
+        chapters: [],
+        builds: []
+    };
+}
+
+/**
+ * Writes the manifest through a temporary file so an interrupted write never leaves it half-written
+ */
+function saveManifest(mangaFolderPath, manifest) {
+    const filePath = manifestPath(mangaFolderPath);
+    const tmpFile = `${filePath}.tmp`;
+    manifest.updatedAt = new Date().toISOString();
+    fs.writeFileSync(tmpFile, JSON.stringify(manifest, null, 2));
+    fs.renameSync(tmpFile, filePath);
+}
+
+function hashFile(filePath) {
+    return createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Finds a chapter by source URL, falling back to its folder name
+ */
+function findChapter(manifest, { url, folder }) {
+    return manifest.chapters.find(chapter => (url && chapter.url === url) || (folder && chapter.folder === folder)) || null;
+}
+
+function findPage(manifest, { folder, file }) {
+    return findChapter(manifest, { folder })?.pages.find(page => page.file === file) || null;
+}
+
+/**
+ * Re-hashes a page whose file was replaced on disk (e.g. repaired); returns the page, or null if unknown
+ */
+function refreshPage(manifest, mangaFolderPath, { folder, file }) {
+    const page = findPage(manifest, { folder, file });
+    if (!page) return null;
+
+    const filePath = path.join(mangaFolderPath, folder, file);
+    page.sha256 = hashFile(filePath);
+    page.bytes = fs.statSync(filePath).size;
+    return page;
+}
+
+/**
+ * Adds or replaces a downloaded chapter
+ * `images` are the chapter's { url, dest } download items; files that made it to
+ * disk are hashed, the rest are listed as missing pages
+ */
+function recordChapter(manifest, mangaFolderPath, { folder, title, number, url, images }) {
+    const pages = [];
+    const missingPages = [];
+    for (const image of images) {
+        if (fs.existsSync(image.dest)) {
+            pages.push({
+                file: path.basename(image.dest),
+                url: image.url,
+                sha256: hashFile(image.dest),
+                bytes: fs.statSync(image.dest).size
+            });
+        } else {
+            missingPages.push(image.url);
+        }
+    }
+
+    const previous = findChapter(manifest, { url, folder });
+    const entry = {
+        folder,
+        title,
+        number,
+        url,
+        pageCount: images.length,
+        pages,
+        missingPages,
+        downloadedAt: new Date().toISOString(),
+        outputs: previous?.outputs || []
+    };
+
+    manifest.chapters = manifest.chapters.filter(chapter => chapter !== previous);
+    manifest.chapters.push(entry);
+    manifest.chapters.sort((a, b) => (a.number ?? 0) - (b.number ?? 0));
+    return entry;
+}
+
+/**
+ * Records the files produced by a whole-series build (see lib/builders.js) and
+ * which of them include each chapter. A build is identified by its format and
+ * requested output name, so rebuilding replaces the previous record
+ */
+function recordBuild(manifest, mangaFolderPath, { format, outputName = null, options = {}, result }) {
+    const relative = file => path.relative(mangaFolderPath, file);
+    const outputs = result.volumes
+        ? result.volumes.map(({ volume, chapters, outputPath }) => ({ file: relative(outputPath), volume, chapters }))
+        : [{ file: relative(result.outputPath), volume: null, chapters: result.chapters || [] }];
+
+    manifest.builds = manifest.builds.filter(build => build.format !== format || build.outputName !== outputName);
+    manifest.builds.push({ format, outputName, options, builtAt: new Date().toISOString(), outputs });
+
+    for (const chapter of manifest.chapters) {
+        chapter.outputs = manifest.builds
+            .flatMap(build => build.outputs)
+            .filter(output => output.chapters.includes(chapter.folder))
+            .map(output => output.file);
+    }
+}
+
+export {
+    MANIFEST_FILE,
+    loadManifest,
+    createManifest,
+    saveManifest,
+    findChapter,
+    findPage,
+    refreshPage,
+    recordChapter,
+    recordBuild
+};
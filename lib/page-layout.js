@@ -0,0 +1,156 @@
+import sharp from 'sharp';
+
+// Paper sizes in PDF points (1/72 inch), portrait
+const PAPER_SIZES = {
+    A4: [595.28, 841.89],
+    A5: [419.53, 595.28],
+    B5: [498.9, 708.66],
+    Letter: [612, 792]
+};
+
+// Screen resolutions of common reading devices, portrait, in pixels
+const DEVICE_PRESETS = {
+    'ipad': [1640, 2360],
+    'ipad-mini': [1488, 2266],
+    'ipad-pro-12.9': [2048, 2732],
+    'galaxy-tab-s9': [1600, 2560],
+    'kindle-paperwhite': [1236, 1648],
+    'kindle-scribe': [1860, 2480],
+    'kobo-libra': [1264, 1680],
+    'remarkable-2': [1404, 1872]
+};
+
+const LAYOUT_MODES = ['fit-width', 'paper', 'device'];
+
+// Largest page dimension most PDF viewers accept (200 inches)
+const MAX_PAGE_DIMENSION = 14400;
+
+const DEFAULT_LAYOUT = {
+    mode: 'fit-width',
+    pageWidth: 800,
+    paperSize: 'A4',
+    device: 'ipad',
+    margin: 0,
+    orientation: 'auto'
+};
+
+/**
+ * Normalises a layout option (mode name or object) and validates it
+ */
+function resolveLayout(layout = {}) {
+    const settings = {
+        ...DEFAULT_LAYOUT,
+        ...(typeof layout === 'string' ? { mode: layout } : layout)
+    };
+
+    if (!LAYOUT_MODES.includes(settings.mode)) {
+        throw new Error(`Unknown layout mode "${settings.mode}" (expected ${LAYOUT_MODES.join(', ')})`);
+    }
+    if (settings.mode === 'paper' && !PAPER_SIZES[settings.paperSize]) {
+        throw new Error(`Unknown paper size "${settings.paperSize}" (expected ${Object.keys(PAPER_SIZES).join(', ')})`);
+    }
+    if (settings.mode === 'device' && !DEVICE_PRESETS[settings.device]) {
+        throw new Error(`Unknown device preset "${settings.device}" (expected ${Object.keys(DEVICE_PRESETS).join(', ')})`);
+    }
+    return settings;
+}
+
+/**
+ * Fixed page size for the paper and device modes, before orientation
+ */
+function getFixedPageSize(layout) {
+    if (layout.mode === 'paper') {
+        return PAPER_SIZES[layout.paperSize];
+    }
+    // Device pages keep the screen's aspect ratio at the standard page width
+    const [deviceWidth, deviceHeight] = DEVICE_PRESETS[layout.device];
+    return [layout.pageWidth, Math.round(layout.pageWidth * deviceHeight / deviceWidth)];
+}
+
+/**
+ * Works out the page size and image placement for an image of the given size
+ * Returns { size: [pageWidth, pageHeight], x, y, width, height }
+ */
+function computePageLayout(imageWidth, imageHeight, layout) {
+    if (layout.mode === 'fit-width') {
+        let width = layout.pageWidth;
+        let height = Math.round(width * imageHeight / imageWidth);
+
+        // Extremely tall strips would exceed the viewer limit - narrow the page instead of clipping
+        if (height > MAX_PAGE_DIMENSION) {
+            width = Math.floor(MAX_PAGE_DIMENSION * imageWidth / imageHeight);
+            height = MAX_PAGE_DIMENSION;
+        }
+        return { size: [width, height], x: 0, y: 0, width, height };
+    }
+
+    let [pageWidth, pageHeight] = getFixedPageSize(layout);
+    if (layout.orientation === 'landscape' || (layout.orientation === 'auto' && imageWidth > imageHeight)) {
+        [pageWidth, pageHeight] = [pageHeight, pageWidth];
+    }
+
+    // Letterbox: scale to fit inside the margins and centre on the page
+    const availableWidth = pageWidth - layout.margin * 2;
+    const availableHeight = pageHeight - layout.margin * 2;
+    const scale = Math.min(availableWidth / imageWidth, availableHeight / imageHeight);
+    const width = imageWidth * scale;
+    const height = imageHeight * scale;
+
+    return {
+        size: [pageWidth, pageHeight],
+        x: (pageWidth - width) / 2,
+        y: (pageHeight - height) / 2,
+        width,
+        height
+    };
+}
+
+/**
+ * Pixel width at which an image fills its place on the page at `dpi`; device layouts
+ * use the screen's resolution instead, since pixels beyond it are never shown.
+ * Null when there is nothing to aim for (no dpi outside device layouts)
+ */
+function getTargetImageWidth(imageWidth, imageHeight, layout, dpi) {
+    const { width } = computePageLayout(imageWidth, imageHeight, layout);
+    if (layout.mode === 'device') {
+        const [deviceWidth] = DEVICE_PRESETS[layout.device];
+        return Math.ceil(width * deviceWidth / layout.pageWidth);
+    }
+    return dpi ? Math.ceil((width / 72) * dpi) : null;
+}
+
+/**
+ * Page size for generated text pages (cover, table of contents)
+ * Fit-width pages have no fixed height, so those use an A-series aspect ratio
+ */
+function getTextPageSize(layout) {
+    if (layout.mode === 'fit-width') {
+        return [layout.pageWidth, Math.round(layout.pageWidth * Math.SQRT2)];
+    }
+    return getFixedPageSize(layout);
+}
+
+/**
+ * Reads display dimensions from sharp metadata, honouring EXIF rotation
+ * Falls back to the dimensions PDFKit parsed when sharp can't read the file
+ */
+async function getImageSize(imagePath, fallback = null) {
+    try {
+        const { width, height, orientation } = await sharp(imagePath).metadata();
+        return orientation >= 5 ? { width: height, height: width } : { width, height };
+    } catch (err) {
+        if (fallback) return { width: fallback.width, height: fallback.height };
+        throw err;
+    }
+}
+
+export {
+    PAPER_SIZES,
+    DEVICE_PRESETS,
+    LAYOUT_MODES,
+    resolveLayout,
+    computePageLayout,
+    getTargetImageWidth,
+    getTextPageSize,
+    getImageSize
+};
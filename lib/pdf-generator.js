@@ -1,239 +1,223 @@
 import fs from 'fs';
 import path from 'path';
 import PDFDocument from 'pdfkit';
-import sharp from 'sharp';
+import { JobCancelledError, throwIfCancelled } from './job-queue.js';
+import { PROGRESS_EVENTS } from './progress.js';
+import { validateImageFile, listChapters, listChapterImages, getSeriesMetadata, getChapterNumber } from './manga-files.js';
+import { preprocessProblematicImage } from './image-fixer.js';
+import { resolveLayout, computePageLayout, getImageSize } from './page-layout.js';
+import { resolveWebtoon, checkStripImage, sliceStrip } from './webtoon.js';
+import { parseChapterSelection, selectChapters } from './chapter-selection.js';
+import { resolveVolumes, sourceBytes, planVolumes, volumeFileName } from './volumes.js';
+import { getSeriesSettings, formatOutputName } from './config.js';
+import { buildDocumentInfo, addCoverPage, reserveTocPages, writeTocPages, markChapterStart } from './pdf-outline.js';
+import { createReport, jsonReportPath, writeJsonReport, describeImage, successRate } from './reports.js';
+import { resolveJunk, findSeriesJunk, isJunkPage } from './junk-pages.js';
+import { OPTIMIZE_CACHE_DIR, resolveOptimize, optimizeImages } from './image-optimizer.js';
+import { resolveDirection, resolveSpread, applyViewerPreferences, SpreadPager } from './spreads.js';
+
+// Report status for each outcome of adding an image
+const IMAGE_STATUS = {
+    [PROGRESS_EVENTS.IMAGE_ADDED]: 'added',
+    [PROGRESS_EVENTS.IMAGE_FIXED]: 'fixed',
+    [PROGRESS_EVENTS.IMAGE_SKIPPED]: 'skipped'
+};
+
+const formatMB = bytes => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 
 /**
- * Validates if an image file is readable and not corrupted
+ * Adds one page sized for the image according to the layout
+ * The image is opened before the page is created, so a file PDFKit can't
+ * read throws without leaving a blank page behind
+ * With a SpreadPager (`spreads`), blank pages are added where pairing needs them
  */
-function validateImageFile(imagePath) {
-    try {
-        const stats = fs.statSync(imagePath);
-        if (stats.size === 0) {
-            return { valid: false, reason: 'Empty file (0 bytes)' };
-        }
-        if (stats.size < 100) {
-            return { valid: false, reason: 'File too small (likely corrupted)' };
-        }
-        
-        // Read first few bytes to check for common image headers
-        const buffer = fs.readFileSync(imagePath, { start: 0, end: 10 });
-        const hex = buffer.toString('hex');
-        
-        // Check for valid image file signatures
-        const isJPEG = hex.startsWith('ffd8ff');
-        const isPNG = hex.startsWith('89504e47');
-        const isGIF = hex.startsWith('474946');
-        const isWebP = hex.includes('57454250'); // WEBP in ASCII
-        
-        if (!isJPEG && !isPNG && !isGIF && !isWebP) {
-            return { valid: false, reason: 'Invalid file header (not a recognized image format)' };
-        }
-        
-        return { valid: true };
-    } catch (err) {
-        return { valid: false, reason: `File access error: ${err.message}` };
+async function addImagePage(doc, imageSource, layout, size = null, spreads = null) {
+    const image = doc.openImage(imageSource);
+    const { width, height } = size || await getImageSize(imageSource, image);
+    const page = computePageLayout(width, height, layout);
+
+    spreads?.beforePage(doc, page.size, width, height);
+    doc.addPage({ size: page.size, margin: 0 });
+    doc.image(image, page.x, page.y, { width: page.width, height: page.height });
+}
+
+/**
+ * Joins images into one strip and adds it back as pages of webtoon.pageHeight,
+ * cut at gutter rows where possible. Returns the number of pages added
+ */
+async function addStripPages(doc, imagePaths, layout, webtoon, spreads = null) {
+    let pages = 0;
+    for await (const slice of sliceStrip(imagePaths, webtoon)) {
+        await addImagePage(doc, slice.buffer, layout, slice, spreads);
+        pages++;
     }
+    return pages;
 }
 
 /**
- * Attempts to fix problematic images using Sharp with multiple recovery strategies
- * This handles progressive JPEG issues, WebP conversion, memory problems, and corrupted files
+ * Adds an image as one page, or in webtoon slice mode splits images taller
+ * than webtoon.maxImageHeight into several pages instead of downscaling them
  */
-async function preprocessProblematicImage(imagePath) {
-    try {
-        const image = sharp(imagePath);
-        const metadata = await image.metadata();
-        
-        // Check if image needs preprocessing
-        const isProgressive = metadata.isProgressive;
-        const isWebP = metadata.format === 'webp';
-        const isVeryTall = metadata.height > 10000;
-        const isVeryLarge = metadata.width * metadata.height > 50000000;
-        
-        if (isProgressive || isWebP || isVeryTall || isVeryLarge) {
-            const outputPath = imagePath + '.fixed.jpg';
-            
-            await image
-                .jpeg({ 
-                    quality: 92, 
-                    progressive: false // Convert progressive to baseline JPEG
-                })
-                .resize({
-                    width: metadata.width,
-                    height: Math.min(metadata.height, 8000), // Limit extreme heights
-                    fit: 'inside',
-                    withoutEnlargement: true
-                })
-                .toFile(outputPath);
-            
-            return {
-                success: true,
-                fixedPath: outputPath,
-                reason: isProgressive ? 'Progressive JPEG' : 
-                       isWebP ? 'WebP format' :
-                       isVeryTall ? 'Very tall image' : 'Very large image',
-                originalFormat: metadata.format,
-                originalSize: `${metadata.width}x${metadata.height}`
-            };
-        }
-        
-        return { success: true, fixedPath: null };
-        
-    } catch (err) {
-        // If Sharp fails to read metadata or process, try emergency recovery
-        console.log(`    🚨 Sharp failed on ${path.basename(imagePath)}: ${err.message}`);
-        console.log(`    🔄 Attempting emergency recovery...`);
-        
-        try {
-            return await emergencyImageRecovery(imagePath);
-        } catch (recoveryErr) {
-            return { 
-                success: false, 
-                error: `Sharp failed: ${err.message}, Recovery failed: ${recoveryErr.message}` 
-            };
+async function addImageOrSlices(doc, imagePath, layout, webtoon, spreads = null) {
+    if (webtoon?.mode === 'slice') {
+        const { width, height } = await getImageSize(imagePath);
+        if (height > webtoon.maxImageHeight) {
+            return addStripPages(doc, [imagePath], layout, { ...webtoon, stripWidth: width }, spreads);
         }
     }
+    await addImagePage(doc, imagePath, layout, null, spreads);
+    return 1;
 }
 
 /**
- * Emergency recovery for severely corrupted images
- * Uses multiple strategies to salvage what we can from problematic files
+ * Source to stitch for `imagePath` (read from `source`, its optimised copy if any):
+ * as-is when sharp can read it, else a fixed copy the caller removes afterwards.
+ * Throws for images that are invalid or can't be fixed
  */
-async function emergencyImageRecovery(imagePath) {
-    const outputPath = imagePath + '.recovered.jpg';
-    
-    // Strategy 1: Try to extract with failOnError disabled and aggressive error handling
+async function stripSource(imagePath, source, settings) {
+    const validation = validateImageFile(imagePath);
+    if (!validation.valid) {
+        throw new Error(validation.reason);
+    }
     try {
-        await sharp(imagePath, { 
-            failOnError: false,  // Don't fail on corruption
-            limitInputPixels: false  // Don't limit pixel count
-        })
-        .jpeg({ 
-            quality: 85, 
-            progressive: false,
-            force: true  // Force JPEG output regardless of input
-        })
-        .resize(720, 8000, { 
-            fit: 'inside',
-            withoutEnlargement: true,
-            kernel: 'nearest'  // Use simple scaling to avoid artifacts
-        })
-        .toFile(outputPath);
-        
-        console.log(`    ✅ Emergency recovery successful (failOnError disabled)`);
-        return {
-            success: true,
-            fixedPath: outputPath,
-            reason: 'Emergency recovery (corrupted JPEG)',
-            originalFormat: 'jpeg (corrupted)',
-            originalSize: 'unknown (corrupted)'
-        };
-        
-    } catch (strategy1Error) {
-        console.log(`    ❌ Strategy 1 failed: ${strategy1Error.message}`);
-        
-        // Strategy 2: Try to read as raw buffer and create a placeholder
-        try {
-            const stats = fs.statSync(imagePath);
-            
-            // Create a placeholder image with error message
-            await sharp({
-                create: {
-                    width: 720,
-                    height: 1000,
-                    channels: 3,
-                    background: { r: 240, g: 240, b: 240 }
-                }
-            })
-            .jpeg({ quality: 90, progressive: false })
-            .toFile(outputPath);
-            
-            console.log(`    ⚠️  Created placeholder for corrupted image`);
-            return {
-                success: true,
-                fixedPath: outputPath,
-                reason: 'Placeholder for corrupted image',
-                originalFormat: 'corrupted',
-                originalSize: `${stats.size} bytes (corrupted)`
-            };
-            
-        } catch (strategy2Error) {
-            console.log(`    ❌ Strategy 2 failed: ${strategy2Error.message}`);
-            throw new Error(`All recovery strategies failed: ${strategy1Error.message} | ${strategy2Error.message}`);
+        await checkStripImage(source);
+        return { path: source, fixed: false };
+    } catch (err) {
+        const preprocessResult = await preprocessProblematicImage(imagePath, settings);
+        if (!preprocessResult.success || !preprocessResult.fixedPath) {
+            throw new Error(preprocessResult.error || err.message);
         }
+        return { path: preprocessResult.fixedPath, fixed: true };
     }
 }
 
 /**
- * Creates a manga PDF with no cropping using variable page heights
- * This approach uses standard width but very tall pages to ensure 
- * no content is cut off, perfect for long manga images
+ * Writes one PDF from the given chapters of a manga folder, with an outline
+ * entry per chapter and a generation report next to it, as text and as JSON
+ * `context` carries the resolved options and the progress counters shared by all volumes
+ * Resolves { outputPath, stats, report, reportPath } where reportPath is the JSON report
  */
-async function createMangaPDF(mangaFolderPath, outputFileName = 'manga.pdf') {
+async function writeMangaPDF(mangaFolderPath, chapters, outputPath, reportPath, context) {
+    const { signal, progress, layout, webtoon, optimize, direction, spread, metadata, chapterImages, junkPages, counters } = context;
+
     return new Promise(async (resolve, reject) => {
+        let stream = null;
+        let discarded = false;
         try {
+            const startedAt = Date.now();
+            const imageRecords = [];
+            const chapterRecords = [];
+
             // Statistics tracking
             const stats = {
                 totalImages: 0,
                 successfulImages: 0,
                 skippedImages: 0,
                 fixedImages: 0,
+                webtoonPages: 0,
+                junkImages: 0,
+                optimizedImages: 0,
+                originalBytes: 0,
+                optimizedBytes: 0,
                 corruptedFiles: [],
                 fixedFiles: [],
+                junkFiles: [],
                 errorDetails: []
             };
 
-            // Get all chapter folders
-            const chapters = fs.readdirSync(mangaFolderPath)
-                .filter(item => {
-                    const fullPath = path.join(mangaFolderPath, item);
-                    return fs.statSync(fullPath).isDirectory();
-                })
-                .sort((a, b) => {
-                    const numA = parseInt(a.match(/\d+/)?.[0] || '0');
-                    const numB = parseInt(b.match(/\d+/)?.[0] || '0');
-                    return numA - numB;
-                });
-
-            if (chapters.length === 0) {
-                throw new Error('No chapters found in the manga folder');
-            }
+            // Optimised copies of this PDF's images, keyed by original path
+            const optimized = optimize
+                ? await optimizeImages(
+                    chapters.flatMap(chapter => chapterImages.get(chapter).map(file => path.join(mangaFolderPath, chapter, file))),
+                    optimize,
+                    { cacheDir: path.join(mangaFolderPath, OPTIMIZE_CACHE_DIR), layout, signal }
+                )
+                : new Map();
 
             // Create PDF document with optimized settings for manga
             const doc = new PDFDocument({ 
                 autoFirstPage: false,
-                bufferPages: true // Important for variable page sizing
+                bufferPages: true, // Important for variable page sizing
+                info: buildDocumentInfo(metadata),
+                displayTitle: true
             });
+            applyViewerPreferences(doc, direction, spread);
+            const spreads = spread ? new SpreadPager(spread) : null;
             
-            const outputPath = path.join(mangaFolderPath, outputFileName);
-            const stream = fs.createWriteStream(outputPath);
+            stream = fs.createWriteStream(outputPath);
+            stream.on('error', (err) => {
+                // Writes in flight when a failed build destroys the stream fail too
+                if (discarded) return;
+                console.error('❌ Error creating PDF:', err);
+                fs.rmSync(outputPath, { force: true });
+                reject(err);
+            });
             doc.pipe(stream);
 
             console.log(`📚 Creating manga PDF with ${chapters.length} chapters...`);
             console.log(`📄 Using Enhanced NoClipping approach - auto-fixing problematic images`);
             console.log(`� Smart preprocessing for progressive JPEG, WebP, and oversized images`);
 
+            if (context.cover) {
+                addCoverPage(doc, metadata, layout, mangaFolderPath);
+            }
+            const toc = context.toc ? reserveTocPages(doc, chapters.length, layout) : null;
+            const tocEntries = [];
+
             // Process each chapter
-            for (const chapterFolder of chapters) {
+            for (const [chapterIndex, chapterFolder] of chapters.entries()) {
                 const chapterPath = path.join(mangaFolderPath, chapterFolder);
-                
-                const images = fs.readdirSync(chapterPath)
-                    .filter(file => /\.(jpg|jpeg|png|gif|webp)$/i.test(file) && 
-                                  !file.includes('.fixed') && 
-                                  !file.includes('.recovered') && 
-                                  !file.includes('.converted'))
-                    .sort((a, b) => {
-                        const numA = parseInt(a.match(/\d+/)?.[0] || '0');
-                        const numB = parseInt(b.match(/\d+/)?.[0] || '0');
-                        return numA - numB;
-                    });
+                const images = chapterImages.get(chapterFolder);
+                const chapterStartPage = doc.bufferedPageRange().count;
+                const chapterStartedAt = Date.now();
 
                 console.log(`📖 Processing ${chapterFolder}: ${images.length} images`);
                 stats.totalImages += images.length;
+                progress?.report(PROGRESS_EVENTS.CHAPTER_STARTED, {
+                    chapter: chapterFolder,
+                    chapterImages: images.length,
+                    ...counters
+                });
+
+                // Junk pages were taken out of `images` up front; list them in the report
+                const chapterJunk = junkPages.filter(page => page.chapter === chapterFolder);
+                for (const page of chapterJunk) {
+                    console.log(`  🗑️  Dropped ${page.file}: ${page.reason}`);
+                    stats.junkImages++;
+                    stats.junkFiles.push({ file: path.join(chapterPath, page.file), chapter: chapterFolder, reason: page.reason });
+                    imageRecords.push({
+                        chapter: chapterFolder,
+                        file: page.file,
+                        status: 'junk',
+                        reason: page.reason,
+                        fixReason: null,
+                        ...await describeImage(path.join(chapterPath, page.file)),
+                        durationMs: 0
+                    });
+                }
+
+                // Stitch mode collects the chapter into one strip that is sliced after the loop
+                const stripImages = [];
+                const stripCleanup = [];
+                const placeImage = async (source) => {
+                    if (webtoon?.mode === 'stitch') {
+                        // One image sliceStrip can't decode would fail the whole strip
+                        await checkStripImage(source);
+                        stripImages.push(source);
+                    } else {
+                        const pagesAdded = await addImageOrSlices(doc, source, layout, webtoon, spreads);
+                        if (pagesAdded > 1) stats.webtoonPages += pagesAdded;
+                    }
+                };
 
                 for (const imageFile of images) {
+                    if (signal?.aborted) {
+                        throw new JobCancelledError();
+                    }
+
                     const imagePath = path.join(chapterPath, imageFile);
+                    const imageStartedAt = Date.now();
+                    const original = await describeImage(imagePath);
                     
                     // Validate image before processing
                     const validation = validateImageFile(imagePath);
@@ -245,29 +229,43 @@ async function createMangaPDF(mangaFolderPath, outputFileName = 'manga.pdf') {
                             chapter: chapterFolder,
                             reason: validation.reason
                         });
+                        counters.imagesDone++;
+                        imageRecords.push({
+                            chapter: chapterFolder,
+                            file: imageFile,
+                            status: 'invalid',
+                            reason: validation.reason,
+                            fixReason: null,
+                            ...original,
+                            durationMs: Date.now() - imageStartedAt
+                        });
+                        progress?.report(PROGRESS_EVENTS.IMAGE_SKIPPED, {
+                            chapter: chapterFolder,
+                            file: imageFile,
+                            reason: validation.reason,
+                            ...counters
+                        });
                         continue; // Skip this image
                     }
                     
-                    let finalImagePath = imagePath;
-                    let wasFixed = false;
+                    let outcome = { type: PROGRESS_EVENTS.IMAGE_ADDED };
                     
-                    // Standard manga reading width (optimal for viewing)
-                    const standardWidth = 800;
-                    const veryTallHeight = 15000; // Extremely tall to ensure no cutoff
+                    // Width used for error placeholder pages
+                    const standardWidth = layout.pageWidth;
+                    const optimizedImage = optimized.get(imagePath);
                     
                     try {
-                        doc.addPage({
-                            size: [standardWidth, veryTallHeight],
-                            margin: 0 // No margins for maximum image size
-                        });
-                        
-                        // Add image with full width, natural height
-                        doc.image(finalImagePath, 0, 0, {
-                            width: standardWidth
-                            // Height will scale automatically maintaining aspect ratio
-                        });
+                        // Page sized to the image's aspect ratio (or letterboxed on fixed sizes)
+                        await placeImage(optimizedImage?.path || imagePath);
 
-                        console.log(`  ✅ Added ${imageFile}`);
+                        if (optimizedImage) {
+                            console.log(`  ✅ Added ${imageFile} (optimised: ${(optimizedImage.originalBytes / 1024).toFixed(0)} KB -> ${(optimizedImage.bytes / 1024).toFixed(0)} KB)`);
+                            stats.optimizedImages++;
+                            stats.originalBytes += optimizedImage.originalBytes;
+                            stats.optimizedBytes += optimizedImage.bytes;
+                        } else {
+                            console.log(`  ✅ Added ${imageFile}`);
+                        }
                         stats.successfulImages++;
                         
                     } catch (err) {
@@ -275,19 +273,18 @@ async function createMangaPDF(mangaFolderPath, outputFileName = 'manga.pdf') {
                         console.log(`  🔄 PDFKit failed, attempting to fix ${imageFile}...`);
                         
                         try {
-                            const preprocessResult = await preprocessProblematicImage(imagePath);
+                            const preprocessResult = await preprocessProblematicImage(imagePath, context);
                             
                             if (preprocessResult.success && preprocessResult.fixedPath) {
                                 // Try again with the fixed image
                                 try {
-                                    doc.image(preprocessResult.fixedPath, 0, 0, {
-                                        width: standardWidth
-                                    });
+                                    await placeImage(preprocessResult.fixedPath);
 
                                     console.log(`  ✅ Added ${imageFile} (fixed: ${preprocessResult.reason})`);
                                     stats.successfulImages++;
                                     stats.fixedImages++;
                                     stats.fixedFiles.push({
+                                        chapter: chapterFolder,
                                         original: imagePath,
                                         fixed: preprocessResult.fixedPath,
                                         reason: preprocessResult.reason,
@@ -295,8 +292,14 @@ async function createMangaPDF(mangaFolderPath, outputFileName = 'manga.pdf') {
                                         originalSize: preprocessResult.originalSize
                                     });
                                     
-                                    // Clean up the fixed file
-                                    fs.unlinkSync(preprocessResult.fixedPath);
+                                    outcome = { type: PROGRESS_EVENTS.IMAGE_FIXED, reason: preprocessResult.reason, fixReason: preprocessResult.reason };
+
+                                    // Clean up the fixed file (after slicing when it is part of a strip)
+                                    if (stripImages.includes(preprocessResult.fixedPath)) {
+                                        stripCleanup.push(preprocessResult.fixedPath);
+                                    } else {
+                                        fs.unlinkSync(preprocessResult.fixedPath);
+                                    }
                                     
                                 } catch (retryErr) {
                                     console.error(`  ❌ Still failed after fixing ${imageFile}: ${retryErr.message}`);
@@ -306,6 +309,7 @@ async function createMangaPDF(mangaFolderPath, outputFileName = 'manga.pdf') {
                                         chapter: chapterFolder,
                                         error: `Post-fix error: ${retryErr.message}`
                                     });
+                                    outcome = { type: PROGRESS_EVENTS.IMAGE_SKIPPED, reason: `Post-fix error: ${retryErr.message}` };
                                     
                                     // Add error placeholder page
                                     doc.addPage({ size: [standardWidth, 600], margin: 20 });
@@ -324,6 +328,7 @@ async function createMangaPDF(mangaFolderPath, outputFileName = 'manga.pdf') {
                                     chapter: chapterFolder,
                                     error: err.message
                                 });
+                                outcome = { type: PROGRESS_EVENTS.IMAGE_SKIPPED, reason: err.message };
                                 
                                 // Add error placeholder page
                                 doc.addPage({ size: [standardWidth, 600], margin: 20 });
@@ -342,6 +347,7 @@ async function createMangaPDF(mangaFolderPath, outputFileName = 'manga.pdf') {
                                 chapter: chapterFolder,
                                 error: `Fix attempt failed: ${fixErr.message}`
                             });
+                            outcome = { type: PROGRESS_EVENTS.IMAGE_SKIPPED, reason: `Fix attempt failed: ${fixErr.message}` };
                             
                             // Add informative error placeholder page with file details
                             doc.addPage({ size: [standardWidth, 800], margin: 20 });
@@ -378,11 +384,65 @@ async function createMangaPDF(mangaFolderPath, outputFileName = 'manga.pdf') {
                             console.log(`  📄 Added detailed error placeholder for ${imageFile}`);
                         }
                     }
+
+                    counters.imagesDone++;
+                    imageRecords.push({
+                        chapter: chapterFolder,
+                        file: imageFile,
+                        status: IMAGE_STATUS[outcome.type],
+                        reason: outcome.type === PROGRESS_EVENTS.IMAGE_SKIPPED ? outcome.reason : null,
+                        fixReason: outcome.fixReason || null,
+                        ...original,
+                        optimizedBytes: outcome.type === PROGRESS_EVENTS.IMAGE_ADDED ? optimizedImage?.bytes ?? null : null,
+                        durationMs: Date.now() - imageStartedAt
+                    });
+                    progress?.report(outcome.type, {
+                        chapter: chapterFolder,
+                        file: imageFile,
+                        ...(outcome.reason && { reason: outcome.reason }),
+                        ...counters
+                    });
+                }
+                
+                if (stripImages.length > 0) {
+                    try {
+                        const pagesAdded = await addStripPages(doc, stripImages, layout, webtoon, spreads);
+                        stats.webtoonPages += pagesAdded;
+                        console.log(`  ✂️  Stitched ${stripImages.length} images into ${pagesAdded} pages`);
+                    } finally {
+                        stripCleanup.forEach(file => fs.rmSync(file, { force: true }));
+                    }
+                }
+                
+                chapterRecords.push({
+                    name: chapterFolder,
+                    number: getChapterNumber(chapterFolder),
+                    images: images.length,
+                    junk: chapterJunk.length,
+                    firstPage: doc.bufferedPageRange().count > chapterStartPage ? chapterStartPage + 1 : null,
+                    pages: doc.bufferedPageRange().count - chapterStartPage,
+                    durationMs: Date.now() - chapterStartedAt
+                });
+
+                // Bookmark the chapter's first page (chapters where nothing was added get none)
+                if (doc.bufferedPageRange().count > chapterStartPage) {
+                    const destination = `chapter-${chapterIndex + 1}`;
+                    markChapterStart(doc, chapterFolder, chapterStartPage, destination);
+                    tocEntries.push({ title: chapterFolder, pageNumber: chapterStartPage + 1, destination });
                 }
                 
                 console.log(`  ✅ Chapter ${chapterFolder} completed`);
+                counters.chaptersDone++;
+                progress?.report(PROGRESS_EVENTS.CHAPTER_FINISHED, { chapter: chapterFolder, ...counters });
             }
 
+            if (toc) {
+                writeTocPages(doc, toc, tocEntries);
+            }
+
+            // Page count must be read before end() flushes the page buffer
+            const pageCount = doc.bufferedPageRange().count;
+
             // Finalize the PDF
             doc.end();
 
@@ -396,13 +456,22 @@ async function createMangaPDF(mangaFolderPath, outputFileName = 'manga.pdf') {
                 console.log(`   Total images found: ${stats.totalImages}`);
                 console.log(`   Successfully added: ${stats.successfulImages}`);
                 console.log(`   Auto-fixed on retry: ${stats.fixedImages}`);
+                if (webtoon) {
+                    console.log(`   Pages from webtoon slicing: ${stats.webtoonPages}`);
+                }
                 console.log(`   Skipped/Error: ${stats.skippedImages}`);
+                if (stats.junkImages > 0) {
+                    console.log(`   Junk pages dropped: ${stats.junkImages}`);
+                }
+                if (optimize) {
+                    console.log(`   Optimised images: ${stats.optimizedImages} (${formatMB(stats.originalBytes)} -> ${formatMB(stats.optimizedBytes)})`);
+                }
                 console.log(`   Success rate: ${((stats.successfulImages / stats.totalImages) * 100).toFixed(1)}%`);
                 
                 if (stats.fixedFiles.length > 0) {
                     console.log(`\n🔧 Auto-Fixed Images (${stats.fixedFiles.length}):`);
                     stats.fixedFiles.forEach(item => {
-                        console.log(`   • ${item.original.split('\\').slice(-2).join('/')} - ${item.reason} (${item.originalFormat}, ${item.originalSize})`);
+                        console.log(`   • ${item.chapter}/${path.basename(item.original)} - ${item.reason} (${item.originalFormat}, ${item.originalSize})`);
                     });
                 }
                 
@@ -421,16 +490,18 @@ async function createMangaPDF(mangaFolderPath, outputFileName = 'manga.pdf') {
                 }
                 
                 // Generate a detailed report file
-                const reportPath = path.join(mangaFolderPath, 'enhanced-pdf-generation-report.txt');
                 const reportContent = `Enhanced Manga PDF Generation Report
 Generated: ${new Date().toISOString()}
 Output: ${outputPath}
+Chapters: ${chapters[0]} - ${chapters[chapters.length - 1]} (${chapters.length})
 
 SUMMARY:
 - Total images found: ${stats.totalImages}
 - Successfully processed: ${stats.successfulImages}
 - Auto-fixed on retry: ${stats.fixedImages}
 - Skipped/Errors: ${stats.skippedImages}
+- Junk pages dropped: ${stats.junkImages}
+- Optimised images: ${stats.optimizedImages} (${formatMB(stats.originalBytes)} -> ${formatMB(stats.optimizedBytes)})
 - Success rate: ${((stats.successfulImages / stats.totalImages) * 100).toFixed(1)}%
 
 AUTO-FIXED IMAGES:
@@ -442,6 +513,9 @@ ${stats.corruptedFiles.map(item => `${item.file} - ${item.reason}`).join('\n')}
 REMAINING ERRORS:
 ${stats.errorDetails.map(item => `${item.file} - ${item.error}`).join('\n')}
 
+DROPPED JUNK PAGES:
+${stats.junkFiles.map(item => `${item.file} - ${item.reason}`).join('\n')}
+
 ENHANCEMENTS APPLIED:
 - Progressive JPEG auto-conversion to baseline JPEG
 - WebP images automatically converted to JPEG
@@ -458,37 +532,351 @@ RECOMMENDATIONS:
                 
                 fs.writeFileSync(reportPath, reportContent);
                 console.log(`\n📄 Detailed report saved: ${reportPath}`);
-                
-                resolve({ outputPath, stats });
-            });
 
-            stream.on('error', (err) => {
-                console.error('❌ Error creating PDF:', err);
-                reject(err);
+                const report = createReport('pdf-generation', startedAt, {
+                    source: mangaFolderPath,
+                    output: outputPath,
+                    volume: context.volume ?? null,
+                    options: { layout, webtoon, optimize, direction, spread, cover: Boolean(context.cover), toc: Boolean(context.toc) },
+                    summary: {
+                        chapters: chapters.length,
+                        pages: pageCount,
+                        totalImages: stats.totalImages,
+                        successfulImages: stats.successfulImages,
+                        fixedImages: stats.fixedImages,
+                        skippedImages: stats.skippedImages,
+                        webtoonPages: stats.webtoonPages,
+                        junkImages: stats.junkImages,
+                        optimizedImages: stats.optimizedImages,
+                        bytesSaved: stats.originalBytes - stats.optimizedBytes,
+                        successRate: successRate(stats.successfulImages, stats.totalImages)
+                    },
+                    chapters: chapterRecords,
+                    images: imageRecords
+                });
+                const jsonPath = writeJsonReport(jsonReportPath(reportPath), report);
+                console.log(`📄 JSON report saved: ${jsonPath}`);
+
+                resolve({ outputPath, stats, report, reportPath: jsonPath });
             });
 
         } catch (err) {
-            console.error('❌ Error in createMangaPDF:', err);
+            if (!(err instanceof JobCancelledError)) {
+                console.error('❌ Error in writeMangaPDF:', err);
+            }
+            // Stop writing and discard the partial output (once closed: the file may not be open yet)
+            if (stream) {
+                discarded = true;
+                stream.once('close', () => fs.rmSync(outputPath, { force: true }));
+                stream.destroy();
+            }
             reject(err);
         }
     });
 }
 
+/**
+ * Creates a manga PDF with no cropping, sizing every page to its image
+ * The default fit-width layout uses a standard width and the image's own
+ * aspect ratio, so no content is cut off and no blank space is added
+ *
+ * Every chapter gets a bookmark in the PDF outline pointing at its first page,
+ * and the document info is filled from the series metadata (see getSeriesMetadata)
+ *
+ * Options:
+ *   layout   - 'fit-width' (default), 'paper' or 'device', or an object
+ *              { mode, pageWidth, paperSize, device, margin, orientation }
+ *   webtoon  - 'stitch' joins each chapter into one strip re-sliced into pages,
+ *              'slice' splits only overly tall images; or an object
+ *              { mode, pageHeight, maxImageHeight, stripWidth, tolerance, quality }
+ *   cover    - add a title page (metadata.cover image, title, author, summary)
+ *   toc      - add a table of contents page with links to each chapter
+ *   metadata - overrides for the series metadata { title, author, summary, tags }
+ *   chapters - chapter selection, e.g. '10-20', '1-50,!13', 'latest:5' (see parseChapterSelection)
+ *   junk     - drop repeated pages and pages matching a blocklist: true, or an object
+ *              { duplicates, blocklist, threshold } (see resolveJunk); dropped pages
+ *              are listed in the report with status 'junk'
+ *   optimize - shrink the PDF: true, or an object { width, dpi, quality, mozjpeg,
+ *              grayscale, pngToJpeg, workers } (see resolveOptimize); images are
+ *              downscaled and re-encoded on worker threads and cached in .optimized/
+ *   direction - reading direction, 'ltr' (default) or 'rtl'; sets the viewer's Direction
+ *   spread   - show pages as two-page spreads: true, or an object { cover, doublePageRatio }
+ *              (see resolveSpread); double-width pages get a spread of their own
+ *   volumes  - split into several PDFs: { chapters: N }, { maxSizeMB: N } or
+ *              { ranges: { 1: '1-8', 2: '9-16' } } (see resolveVolumes)
+ *   existingVolumes - volumes built earlier ([{ volume, chapters, outputPath }]); a
+ *              volume planned with the same chapters and file is kept, not rebuilt
+ *   signal   - AbortSignal; aborting stops the build and removes the partial PDF
+ *   progress - ProgressEmitter receiving chapter-started, image-added, image-fixed,
+ *              image-skipped, chapter-finished and finished events
+ *
+ * Options left undefined fall back to manga.config.json (defaults, then the entry
+ * for this series' folder name); so does outputFileName, via the outputName template,
+ * before defaulting to manga.pdf. It is resolved against the manga folder, so an
+ * absolute path writes elsewhere
+ *
+ * Every PDF gets an enhanced-pdf-generation-report.txt and a .json report (see
+ * lib/reports.js) with per-chapter and per-image status, fix reason, original
+ * format/dimensions and timings.
+ *
+ * Resolves { outputPath, files, reportPaths, chapters, stats } (plus `report` for a
+ * single PDF); with volumes also `volumes` ([{ volume, chapters, outputPath, stats,
+ * report, reportPath, unchanged }]), with outputPath the first volume
+ */
+async function createMangaPDF(mangaFolderPath, outputFileName, options = {}) {
+    const { progress } = options;
+    const series = getSeriesMetadata(mangaFolderPath);
+    const settings = getSeriesSettings(series.slug, options);
+    const layout = resolveLayout(settings.layout);
+    const webtoon = resolveWebtoon(settings.webtoon);
+    const volumeSettings = resolveVolumes(settings.volumes);
+    const selection = parseChapterSelection(settings.chapters);
+    const junk = resolveJunk(settings.junk);
+    const optimize = resolveOptimize(settings.optimize);
+    const direction = resolveDirection(settings.direction);
+    const spread = resolveSpread(settings.spread);
+    const metadata = { ...series, ...options.metadata };
+    outputFileName = outputFileName
+        || formatOutputName(settings.outputName, { slug: series.slug, title: metadata.title, format: 'pdf' })
+        || 'manga.pdf';
+
+    // Get all chapter folders
+    const allChapters = listChapters(mangaFolderPath);
+
+    if (allChapters.length === 0) {
+        throw new Error('No chapters found in the manga folder');
+    }
+
+    const chapters = selectChapters(allChapters, selection);
+    if (chapters.length === 0) {
+        throw new Error(`None of the ${allChapters.length} chapters match the chapter selection`);
+    }
+    if (selection) {
+        console.log(`🔎 Selected ${chapters.length} of ${allChapters.length} chapters`);
+    }
+
+    const chapterImages = new Map(chapters.map(chapter => [
+        chapter,
+        listChapterImages(path.join(mangaFolderPath, chapter))
+    ]));
+
+    const junkPages = junk ? await findSeriesJunk(mangaFolderPath, chapters, junk) : [];
+    if (junkPages.length > 0) {
+        console.log(`🗑️  Dropping ${junkPages.length} junk page(s) (duplicates and blocklisted images)`);
+        for (const [chapter, images] of chapterImages) {
+            chapterImages.set(chapter, images.filter(file => !isJunkPage(junkPages, chapter, file)));
+        }
+    }
+
+    const context = {
+        ...options,
+        ...settings,
+        layout,
+        webtoon,
+        optimize,
+        direction,
+        spread,
+        metadata,
+        chapterImages,
+        junkPages,
+        counters: {
+            chaptersDone: 0,
+            chaptersTotal: chapters.length,
+            imagesDone: 0,
+            imagesTotal: [...chapterImages.values()].reduce((sum, images) => sum + images.length, 0)
+        }
+    };
+
+    if (!volumeSettings) {
+        const result = await writeMangaPDF(mangaFolderPath, chapters, path.resolve(mangaFolderPath, outputFileName),
+            path.join(mangaFolderPath, 'enhanced-pdf-generation-report.txt'), context);
+        progress?.report(PROGRESS_EVENTS.FINISHED, { outputPath: result.outputPath, stats: result.stats });
+        return { ...result, files: [result.outputPath], reportPaths: [result.reportPath], chapters };
+    }
+
+    const existing = options.existingVolumes || [];
+    const isUnchanged = ({ volume, chapters: volumeChapters, outputPath }) => existing.some(previous =>
+        previous.volume === volume &&
+        path.resolve(mangaFolderPath, previous.outputPath) === outputPath &&
+        previous.chapters.join('\n') === volumeChapters.join('\n') &&
+        fs.existsSync(outputPath));
+
+    // Size-based volumes are planned with the PDF to source size ratio of the volumes
+    // built earlier, so an update plans them the way they were split last time
+    const maxBytes = volumeSettings.maxSizeMB ? volumeSettings.maxSizeMB * 1024 * 1024 : null;
+    let sizeFactor = 1;
+    if (maxBytes) {
+        for (const previous of existing) {
+            const previousPath = path.resolve(mangaFolderPath, previous.outputPath);
+            if (!fs.existsSync(previousPath) || !previous.chapters.every(chapter => chapterImages.has(chapter))) continue;
+            const bytes = sourceBytes(mangaFolderPath, previous.chapters, chapterImages);
+            if (bytes > 0) sizeFactor = Math.max(sizeFactor, fs.statSync(previousPath).size / bytes);
+        }
+    }
+
+    let plan = planVolumes(mangaFolderPath, chapters, chapterImages, volumeSettings, sizeFactor);
+    const assignPaths = () => {
+        const lastVolume = Math.max(...plan.map(({ volume }) => volume));
+        for (const planned of plan) {
+            planned.outputPath = path.resolve(mangaFolderPath, volumeFileName(outputFileName, planned.volume, lastVolume));
+            planned.reportPath = path.join(mangaFolderPath, volumeFileName('enhanced-pdf-generation-report.txt', planned.volume, lastVolume));
+        }
+    };
+    // Progress totals: what was built so far plus the volumes from `index` on that need building
+    const countTotals = (index) => {
+        const toBuild = plan.slice(index).filter(planned => !isUnchanged(planned)).flatMap(({ chapters }) => chapters);
+        context.counters.chaptersTotal = context.counters.chaptersDone + toBuild.length;
+        context.counters.imagesTotal = context.counters.imagesDone +
+            toBuild.reduce((count, chapter) => count + chapterImages.get(chapter).length, 0);
+    };
+    assignPaths();
+    countTotals(0);
+
+    // Every volume file this build wrote or an earlier build left; the ones the final
+    // split doesn't use (a re-split attempt, or volume numbers padded to another width) are removed
+    const volumeFiles = ({ outputPath, reportPath }) => [outputPath, reportPath, jsonReportPath(reportPath)];
+    const previousLast = Math.max(0, ...existing.map(({ volume }) => volume));
+    const candidates = new Set(existing.flatMap(({ volume, outputPath }) => volumeFiles({
+        outputPath: path.resolve(mangaFolderPath, outputPath),
+        reportPath: path.join(mangaFolderPath, volumeFileName('enhanced-pdf-generation-report.txt', volume, previousLast))
+    })));
+
+    console.log(`📚 Splitting ${plan.reduce((sum, { chapters }) => sum + chapters.length, 0)} chapters into ${plan.length} volumes`);
+
+    const volumes = [];
+    for (let index = 0; index < plan.length; index++) {
+        const { volume, chapters: volumeChapters, outputPath, reportPath } = plan[index];
+        if (isUnchanged(plan[index])) {
+            console.log(`\n📕 Volume ${volume} is unchanged, keeping ${path.basename(outputPath)}`);
+            volumes.push({ volume, chapters: volumeChapters, outputPath, stats: null, unchanged: true });
+            continue;
+        }
+        console.log(`\n📕 Volume ${volume}: ${volumeChapters[0]} - ${volumeChapters[volumeChapters.length - 1]}`);
+
+        const countersBefore = { ...context.counters };
+        const result = await writeMangaPDF(
+            mangaFolderPath,
+            volumeChapters,
+            outputPath,
+            reportPath,
+            { ...context, volume, metadata: { ...metadata, title: `${metadata.title} Vol. ${volume}` } }
+        );
+        volumeFiles(plan[index]).forEach(file => candidates.add(file));
+
+        // The size is only known once pages are encoded: a volume over the limit is
+        // planned again with the measured ratio, along with the chapters after it
+        const bytes = maxBytes ? fs.statSync(outputPath).size : 0;
+        if (maxBytes && bytes > maxBytes && volumeChapters.length > 1) {
+            console.log(`📏 Volume ${volume} is ${(bytes / 1024 / 1024).toFixed(1)} MB, over ${volumeSettings.maxSizeMB} MB - splitting it again`);
+            sizeFactor = bytes / sourceBytes(mangaFolderPath, volumeChapters, chapterImages);
+            const remaining = plan.slice(index).flatMap(({ chapters }) => chapters);
+            const [replanned] = planVolumes(mangaFolderPath, remaining, chapterImages, volumeSettings, sizeFactor);
+            // At least one chapter fewer, so every retry gets closer to the limit
+            const kept = replanned.chapters.slice(0, volumeChapters.length - 1);
+            const rest = planVolumes(mangaFolderPath, remaining.slice(kept.length), chapterImages, volumeSettings, sizeFactor);
+            plan = [
+                ...plan.slice(0, index),
+                { volume, chapters: kept },
+                ...rest.map(planned => ({ volume: volume + planned.volume, chapters: planned.chapters }))
+            ];
+            assignPaths();
+            Object.assign(context.counters, countersBefore);
+            countTotals(index);
+            index--;
+            continue;
+        }
+
+        volumes.push({ volume, chapters: volumeChapters, ...result });
+        progress?.report(PROGRESS_EVENTS.VOLUME_BUILT, { volume, chapters: volumeChapters, outputPath, stats: result.stats });
+    }
+
+    const finalFiles = new Set(plan.flatMap(volumeFiles));
+    for (const file of candidates) {
+        if (!finalFiles.has(file) && fs.existsSync(file)) {
+            fs.rmSync(file, { force: true });
+            console.log(`🗑️  Removed ${path.basename(file)} (no longer part of the split)`);
+        }
+    }
+
+    // Combined totals across volumes
+    const stats = volumes.reduce((total, { stats: volumeStats }) => {
+        for (const [key, value] of Object.entries(volumeStats || {})) {
+            total[key] = Array.isArray(value) ? [...(total[key] || []), ...value] : (total[key] || 0) + value;
+        }
+        return total;
+    }, {});
+
+    const files = volumes.map(({ outputPath }) => outputPath);
+    const reportPaths = volumes.filter(({ reportPath }) => reportPath).map(({ reportPath }) => reportPath);
+    console.log(`\n📚 Created ${volumes.filter(({ unchanged }) => !unchanged).length} of ${files.length} volumes:`);
+    volumes.forEach(({ outputPath, unchanged }) => console.log(`   • ${path.basename(outputPath)}${unchanged ? ' (unchanged)' : ''}`));
+
+    progress?.report(PROGRESS_EVENTS.FINISHED, { outputPath: files[0], files, stats });
+    return { outputPath: files[0], files, reportPaths, chapters, volumes, stats };
+}
+
 /**
  * Creates a PDF for a single chapter using the NoClipping approach
+ * Accepts the same `layout`, `webtoon`, `junk`, `optimize`, `direction`, `spread`, `metadata`, `signal` and `progress` options as createMangaPDF,
+ * with config settings taken from the series the chapter folder belongs to
+ *
+ * Writes a JSON report next to the PDF (`<name>-pdf-generation-report.json`, same
+ * schema as createMangaPDF's) and resolves { outputPath, stats, report, reportPath }
  */
-async function createChapterPDF(chapterFolderPath, outputFileName) {
-    return new Promise((resolve, reject) => {
+async function createChapterPDF(chapterFolderPath, outputFileName, options = {}) {
+    const { progress } = options;
+    const series = getSeriesMetadata(path.dirname(path.resolve(chapterFolderPath)));
+    const settings = getSeriesSettings(series.slug, options);
+    const layout = resolveLayout(settings.layout);
+    const webtoon = resolveWebtoon(settings.webtoon);
+    const junk = resolveJunk(settings.junk);
+    const optimize = resolveOptimize(settings.optimize);
+    const direction = resolveDirection(settings.direction);
+    const spread = resolveSpread(settings.spread);
+    const metadata = {
+        ...series,
+        chapterTitle: path.basename(chapterFolderPath),
+        ...options.metadata
+    };
+
+    return new Promise(async (resolve, reject) => {
+        let stream = null;
+        let outputPath = null;
         try {
+            const startedAt = Date.now();
             const chapterName = path.basename(chapterFolderPath);
-            
-            const images = fs.readdirSync(chapterFolderPath)
-                .filter(file => /\.(jpg|jpeg|png|gif|webp)$/i.test(file))
-                .sort((a, b) => {
-                    const numA = parseInt(a.match(/\d+/)?.[0] || '0');
-                    const numB = parseInt(b.match(/\d+/)?.[0] || '0');
-                    return numA - numB;
+            const stats = {
+                totalImages: 0,
+                successfulImages: 0,
+                fixedImages: 0,
+                skippedImages: 0,
+                webtoonPages: 0,
+                junkImages: 0,
+                optimizedImages: 0,
+                originalBytes: 0,
+                optimizedBytes: 0
+            };
+            const imageRecords = [];
+            const recordImage = async (imageFile, status, reason = null, fixReason = null) => {
+                imageRecords.push({
+                    chapter: chapterName,
+                    file: imageFile,
+                    status,
+                    reason,
+                    fixReason,
+                    ...await describeImage(path.join(chapterFolderPath, imageFile))
                 });
+            };
+            
+            const seriesFolder = path.dirname(path.resolve(chapterFolderPath));
+            const junkPages = junk ? await findSeriesJunk(seriesFolder, [chapterName], junk) : [];
+            for (const page of junkPages) {
+                console.log(`🗑️  Dropped ${page.file}: ${page.reason}`);
+                stats.junkImages++;
+                await recordImage(page.file, 'junk', page.reason);
+            }
+            const images = listChapterImages(chapterFolderPath).filter(file => !isJunkPage(junkPages, chapterName, file));
+            stats.totalImages = images.length;
 
             if (images.length === 0) {
                 throw new Error('No images found in the chapter folder');
@@ -496,49 +884,171 @@ async function createChapterPDF(chapterFolderPath, outputFileName) {
 
             const doc = new PDFDocument({ 
                 autoFirstPage: false,
-                bufferPages: true
+                bufferPages: true,
+                info: buildDocumentInfo(metadata),
+                displayTitle: true
             });
+            applyViewerPreferences(doc, direction, spread);
+            const spreads = spread ? new SpreadPager(spread) : null;
             
-            const outputPath = path.join(path.dirname(chapterFolderPath), outputFileName || `${chapterName}.pdf`);
-            const stream = fs.createWriteStream(outputPath);
+            outputPath = path.resolve(path.dirname(chapterFolderPath), outputFileName || `${chapterName}.pdf`);
+            stream = fs.createWriteStream(outputPath);
+            stream.on('error', (err) => {
+                fs.rmSync(outputPath, { force: true });
+                reject(err);
+            });
             doc.pipe(stream);
 
             console.log(`📖 Creating PDF for ${chapterName} with ${images.length} images...`);
+            progress?.report(PROGRESS_EVENTS.CHAPTER_STARTED, {
+                chapter: chapterName,
+                chapterImages: images.length,
+                imagesDone: 0,
+                imagesTotal: images.length
+            });
 
-            images.forEach((imageFile, imageIndex) => {
-                const imagePath = path.join(chapterFolderPath, imageFile);
-                
-                // NoClipping approach: standard width but very tall pages
-                const standardWidth = 800;
-                const veryTallHeight = 15000;
-                
+            const optimized = optimize
+                ? await optimizeImages(images.map(file => path.join(chapterFolderPath, file)), optimize,
+                    { cacheDir: path.join(seriesFolder, OPTIMIZE_CACHE_DIR), layout, signal: options.signal })
+                : new Map();
+            const sourceOf = imagePath => optimized.get(imagePath)?.path || imagePath;
+            const countOptimized = (imagePath) => {
+                const optimizedImage = optimized.get(imagePath);
+                if (!optimizedImage) return;
+                stats.optimizedImages++;
+                stats.originalBytes += optimizedImage.originalBytes;
+                stats.optimizedBytes += optimizedImage.bytes;
+            };
+
+            if (webtoon?.mode === 'stitch') {
+                // Images sharp can't read are fixed or left out of the strip
+                const stripImages = [];
+                const stripCleanup = [];
                 try {
-                    doc.addPage({
-                        size: [standardWidth, veryTallHeight],
-                        margin: 0
-                    });
-                    
-                    doc.image(imagePath, 0, 0, {
-                        width: standardWidth
-                    });
+                    for (const [imageIndex, imageFile] of images.entries()) {
+                        throwIfCancelled(options.signal);
+                        const imagePath = path.join(chapterFolderPath, imageFile);
+                        try {
+                            const source = await stripSource(imagePath, sourceOf(imagePath), settings);
+                            stripImages.push(source.path);
+                            stats.successfulImages++;
+                            if (source.fixed) {
+                                stripCleanup.push(source.path);
+                                stats.fixedImages++;
+                            } else {
+                                countOptimized(imagePath);
+                            }
+                            await recordImage(imageFile, source.fixed ? 'fixed' : 'added');
+                        } catch (err) {
+                            console.warn(`  ⚠️  Skipping ${imageFile}: ${err.message}`);
+                            stats.skippedImages++;
+                            await recordImage(imageFile, 'skipped', err.message);
+                            progress?.report(PROGRESS_EVENTS.IMAGE_SKIPPED, {
+                                chapter: chapterName,
+                                file: imageFile,
+                                reason: err.message,
+                                imagesDone: imageIndex + 1,
+                                imagesTotal: images.length
+                            });
+                        }
+                    }
+                    if (stripImages.length === 0) {
+                        throw new Error('No readable images found in the chapter folder');
+                    }
+                    throwIfCancelled(options.signal);
+                    const pagesAdded = await addStripPages(doc, stripImages, layout, webtoon, spreads);
+                    stats.webtoonPages += pagesAdded;
+                    console.log(`  ✂️  Stitched ${stripImages.length} images into ${pagesAdded} pages`);
+                } finally {
+                    stripCleanup.forEach(file => fs.rmSync(file, { force: true }));
+                }
+            } else {
+                for (const [imageIndex, imageFile] of images.entries()) {
+                    throwIfCancelled(options.signal);
+                    const imagePath = path.join(chapterFolderPath, imageFile);
+                
+                    try {
+                        const pagesAdded = await addImageOrSlices(doc, sourceOf(imagePath), layout, webtoon, spreads);
+                        if (pagesAdded > 1) stats.webtoonPages += pagesAdded;
+                        stats.successfulImages++;
+                        countOptimized(imagePath);
+                        await recordImage(imageFile, 'added');
 
-                    console.log(`  ✅ Added ${imageFile}`);
+                        console.log(`  ✅ Added ${imageFile}`);
+                        progress?.report(PROGRESS_EVENTS.IMAGE_ADDED, {
+                            chapter: chapterName,
+                            file: imageFile,
+                            imagesDone: imageIndex + 1,
+                            imagesTotal: images.length
+                        });
                     
-                } catch (err) {
-                    console.error(`  ❌ Error adding image ${imagePath}: ${err.message}`);
+                    } catch (err) {
+                        console.error(`  ❌ Error adding image ${imagePath}: ${err.message}`);
+                        stats.skippedImages++;
+                        await recordImage(imageFile, 'skipped', err.message);
+                        progress?.report(PROGRESS_EVENTS.IMAGE_SKIPPED, {
+                            chapter: chapterName,
+                            file: imageFile,
+                            reason: err.message,
+                            imagesDone: imageIndex + 1,
+                            imagesTotal: images.length
+                        });
+                    }
                 }
-            });
+            }
 
+            // Page count must be read before end() flushes the page buffer
+            const pageCount = doc.bufferedPageRange().count;
             doc.end();
 
             stream.on('finish', () => {
                 console.log(`✅ Chapter PDF created: ${outputPath}`);
-                resolve(outputPath);
-            });
 
-            stream.on('error', reject);
+                const report = createReport('pdf-generation', startedAt, {
+                    source: path.resolve(chapterFolderPath),
+                    output: outputPath,
+                    volume: null,
+                    options: { layout, webtoon, optimize, direction, spread, cover: false, toc: false },
+                    summary: {
+                        chapters: 1,
+                        pages: pageCount,
+                        totalImages: stats.totalImages,
+                        successfulImages: stats.successfulImages,
+                        fixedImages: stats.fixedImages,
+                        skippedImages: stats.skippedImages,
+                        webtoonPages: stats.webtoonPages,
+                        junkImages: stats.junkImages,
+                        optimizedImages: stats.optimizedImages,
+                        bytesSaved: stats.originalBytes - stats.optimizedBytes,
+                        successRate: successRate(stats.successfulImages, stats.totalImages)
+                    },
+                    chapters: [{
+                        name: chapterName,
+                        number: getChapterNumber(chapterName),
+                        images: images.length,
+                        junk: junkPages.length,
+                        firstPage: pageCount > 0 ? 1 : null,
+                        pages: pageCount,
+                        durationMs: Date.now() - startedAt
+                    }],
+                    images: imageRecords
+                });
+                const reportPath = writeJsonReport(
+                    path.join(path.dirname(outputPath), `${path.parse(outputPath).name}-pdf-generation-report.json`),
+                    report
+                );
+                console.log(`📄 JSON report saved: ${reportPath}`);
+
+                progress?.report(PROGRESS_EVENTS.FINISHED, { outputPath, stats });
+                resolve({ outputPath, stats, report, reportPath });
+            });
 
         } catch (err) {
+            // Discard the partial output (once closed: the file may not be open yet)
+            if (stream) {
+                stream.once('close', () => fs.rmSync(outputPath, { force: true }));
+                stream.destroy();
+            }
             reject(err);
         }
     });
@@ -546,5 +1056,6 @@ async function createChapterPDF(chapterFolderPath, outputFileName) {
 
 export { 
     createMangaPDF, 
-    createChapterPDF 
+    createChapterPDF,
+    validateImageFile
 };
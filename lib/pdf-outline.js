@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import { getTextPageSize } from './page-layout.js';
+
+// Table of contents geometry, in points
+const TOC_HEADING_HEIGHT = 80;
+const TOC_LINE_HEIGHT = 22;
+const TOC_PAGE_NUMBER_WIDTH = 60;
+
+/**
+ * Maps series metadata to the PDF document info dictionary
+ */
+function buildDocumentInfo(metadata) {
+    const tags = Array.isArray(metadata.tags) ? metadata.tags.join(', ') : metadata.tags;
+    const info = {
+        Title: metadata.chapterTitle ? `${metadata.title} - ${metadata.chapterTitle}` : metadata.title,
+        Author: metadata.author,
+        Subject: metadata.summary,
+        Keywords: tags
+    };
+    return Object.fromEntries(Object.entries(info).filter(([, value]) => value));
+}
+
+function textPageGeometry(layout) {
+    const [width, height] = getTextPageSize(layout);
+    const margin = Math.round(width * 0.08);
+    return { width, height, margin, textWidth: width - margin * 2 };
+}
+
+/**
+ * Adds a title page: optional cover image from metadata.cover (relative to the
+ * manga folder), then the title, author and summary
+ */
+function addCoverPage(doc, metadata, layout, mangaFolderPath) {
+    const { width, height, margin, textWidth } = textPageGeometry(layout);
+    doc.addPage({ size: [width, height], margin });
+
+    let textTop = height * 0.35;
+    const coverPath = metadata.cover && path.resolve(mangaFolderPath, metadata.cover);
+    if (coverPath && fs.existsSync(coverPath)) {
+        try {
+            doc.image(coverPath, margin, margin, {
+                fit: [textWidth, height * 0.6],
+                align: 'center',
+                valign: 'center'
+            });
+            textTop = margin + height * 0.6 + 30;
+        } catch (err) {
+            console.warn(`  ⚠️  Could not add cover image ${metadata.cover}: ${err.message}`);
+        }
+    }
+
+    doc.fontSize(32)
+       .fillColor('black')
+       .text(metadata.title, margin, textTop, { width: textWidth, align: 'center' });
+
+    if (metadata.author) {
+        doc.moveDown(0.5)
+           .fontSize(16)
+           .fillColor('#444444')
+           .text(metadata.author, { width: textWidth, align: 'center' });
+    }
+
+    if (metadata.summary) {
+        doc.moveDown(1.5);
+        // Bounded height so a long summary is truncated instead of spilling onto a new page
+        doc.fontSize(11)
+           .fillColor('black')
+           .text(metadata.summary, {
+               width: textWidth,
+               height: Math.max(0, height - margin - doc.y),
+               align: 'justify',
+               ellipsis: true
+           });
+    }
+}
+
+/**
+ * Adds blank contents pages for `entryCount` entries up front; page numbers are
+ * only known once the chapters are in, so writeTocPages fills them in afterwards
+ */
+function reserveTocPages(doc, entryCount, layout) {
+    const geometry = textPageGeometry(layout);
+    const perPage = Math.max(1, Math.floor(
+        (geometry.height - geometry.margin * 2 - TOC_HEADING_HEIGHT) / TOC_LINE_HEIGHT
+    ));
+    const pageCount = Math.max(1, Math.ceil(entryCount / perPage));
+    const first = doc.bufferedPageRange().count;
+
+    for (let i = 0; i < pageCount; i++) {
+        doc.addPage({ size: [geometry.width, geometry.height], margin: geometry.margin });
+        doc.fontSize(24)
+           .fillColor('black')
+           .text('Contents', geometry.margin, geometry.margin, { width: geometry.textWidth, align: 'center' });
+    }
+
+    return { ...geometry, first, pageCount, perPage };
+}
+
+/**
+ * Writes the entries ({ title, pageNumber, destination }) into the reserved
+ * contents pages; each line links to the chapter's first page
+ */
+function writeTocPages(doc, toc, entries) {
+    const titleWidth = toc.textWidth - TOC_PAGE_NUMBER_WIDTH;
+
+    entries.forEach((entry, index) => {
+        doc.switchToPage(toc.first + Math.floor(index / toc.perPage));
+        const y = toc.margin + TOC_HEADING_HEIGHT + (index % toc.perPage) * TOC_LINE_HEIGHT;
+
+        doc.fontSize(12)
+           .fillColor('black')
+           .text(entry.title, toc.margin, y, {
+               width: titleWidth,
+               height: TOC_LINE_HEIGHT,
+               ellipsis: true,
+               goTo: entry.destination
+           })
+           .text(String(entry.pageNumber), toc.margin + titleWidth, y, {
+               width: TOC_PAGE_NUMBER_WIDTH,
+               align: 'right',
+               goTo: entry.destination
+           });
+    });
+}
+
+/**
+ * Adds an outline (bookmark) entry and a named link destination for a chapter
+ * starting at the given page index, then returns to the last page
+ */
+function markChapterStart(doc, title, pageIndex, destination) {
+    const lastPage = doc.bufferedPageRange().count - 1;
+    doc.switchToPage(pageIndex);
+    doc.outline.addItem(title);
+    doc.addNamedDestination(destination, 'Fit');
+    doc.switchToPage(lastPage);
+}
+
+export {
+    buildDocumentInfo,
+    addCoverPage,
+    reserveTocPages,
+    writeTocPages,
+    markChapterStart
+};
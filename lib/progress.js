@@ -0,0 +1,59 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Structured progress events emitted by the scraper, downloader and generators
+ */
+const PROGRESS_EVENTS = {
+    SCRAPE_STARTED: 'scrape-started',
+    PAGE_SCRAPED: 'page-scraped',
+    CHAPTER_STARTED: 'chapter-started',
+    CHAPTER_FINISHED: 'chapter-finished',
+    CHAPTER_DOWNLOADED: 'chapter-downloaded',
+    IMAGE_DOWNLOADED: 'image-downloaded',
+    IMAGE_FAILED: 'image-failed',
+    IMAGE_ADDED: 'image-added',
+    IMAGE_FIXED: 'image-fixed',
+    IMAGE_SKIPPED: 'image-skipped',
+    VOLUME_BUILT: 'volume-built',
+    FINISHED: 'finished'
+};
+
+// Event fields that are folded into the running summary
+const SUMMARY_KEYS = ['chaptersDone', 'chaptersTotal', 'imagesDone', 'imagesTotal'];
+
+/**
+ * Event emitter passed to library functions as `options.progress`
+ *
+ * report(type, data) emits the event under its own name and under the catch-all
+ * 'progress' name as `{ type, timestamp, ...data }`, and keeps a summary
+ * (current chapter, chapters/images done and total) for status endpoints.
+ */
+class ProgressEmitter extends EventEmitter {
+    constructor() {
+        super();
+        this.summary = {};
+    }
+
+    report(type, data = {}) {
+        if (data.chapter !== undefined) {
+            this.summary.currentChapter = data.chapter;
+        }
+        for (const key of SUMMARY_KEYS) {
+            if (data[key] !== undefined) this.summary[key] = data[key];
+        }
+
+        const event = { type, timestamp: new Date().toISOString(), ...data };
+        this.emit(type, event);
+        this.emit('progress', event);
+        return event;
+    }
+
+    snapshot() {
+        return { ...this.summary };
+    }
+}
+
+export {
+    ProgressEmitter,
+    PROGRESS_EVENTS
+};
@@ -0,0 +1,70 @@
+import fs from 'fs';
+import path from 'path';
+
+// Reader modes a position can be saved with
+const READER_MODES = ['paged', 'vertical'];
+
+/**
+ * Where a reader left off in each series, persisted to `stateFile` so reading can
+ * continue on another device: { chapter, page, mode, updatedAt } per series name,
+ * with `page` the 0-based index of the page in the chapter
+ */
+class ReadingPositions {
+    constructor({ stateFile }) {
+        this.stateFile = stateFile;
+        this.positions = new Map();
+    }
+
+    /**
+     * Restores the saved positions from the state file
+     */
+    load() {
+        if (!this.stateFile || !fs.existsSync(this.stateFile)) return;
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+            for (const [series, position] of Object.entries(saved.positions || {})) {
+                this.positions.set(series, position);
+            }
+        } catch (err) {
+            console.error(`⚠️  Could not read reading positions ${this.stateFile}: ${err.message}`);
+        }
+    }
+
+    save() {
+        if (!this.stateFile) return;
+        fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+        const tmpFile = `${this.stateFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ positions: Object.fromEntries(this.positions) }, null, 2));
+        fs.renameSync(tmpFile, this.stateFile);
+    }
+
+    get(series) {
+        return this.positions.get(series) || null;
+    }
+
+    /**
+     * Records the position in a series; throws on a malformed page or mode
+     * (whether the chapter exists is for the caller to check)
+     */
+    set(series, { chapter, page = 0, mode = 'paged' }) {
+        if (typeof chapter !== 'string' || !chapter) {
+            throw new Error('chapter must be a chapter folder name');
+        }
+        if (!(Number.isInteger(page) && page >= 0)) {
+            throw new Error('page must be a non-negative integer');
+        }
+        if (!READER_MODES.includes(mode)) {
+            throw new Error(`mode must be one of: ${READER_MODES.join(', ')}`);
+        }
+
+        const position = { chapter, page, mode, updatedAt: new Date().toISOString() };
+        this.positions.set(series, position);
+        this.save();
+        return position;
+    }
+}
+
+export {
+    READER_MODES,
+    ReadingPositions
+};
@@ -0,0 +1,71 @@
+import fs from 'fs';
+import sharp from 'sharp';
+
+/**
+ * Machine-readable reports written next to the text reports
+ *
+ * Every report has { schemaVersion, type, generatedAt, startedAt, durationMs, source,
+ * summary, chapters, images }. `type` is 'pdf-generation' or 'image-diagnosis';
+ * see createMangaPDF and diagnoseImages for the fields of each. Bump
+ * REPORT_SCHEMA_VERSION whenever a field is renamed or removed.
+ */
+const REPORT_SCHEMA_VERSION = 1;
+
+function createReport(type, startedAt, fields) {
+    return {
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        type,
+        generatedAt: new Date().toISOString(),
+        startedAt: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt,
+        ...fields
+    };
+}
+
+/**
+ * report.txt -> report.json
+ */
+function jsonReportPath(textReportPath) {
+    return textReportPath.replace(/\.txt$/i, '') + '.json';
+}
+
+function writeJsonReport(reportPath, report) {
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    return reportPath;
+}
+
+function readJsonReport(reportPath) {
+    return JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+}
+
+/**
+ * Format, dimensions and size of an image as stored on disk;
+ * format and dimensions are null when sharp can't read it
+ */
+async function describeImage(imagePath) {
+    let bytes = null;
+    try {
+        bytes = fs.statSync(imagePath).size;
+        const { format, width, height } = await sharp(imagePath).metadata();
+        return { format, width, height, bytes };
+    } catch {
+        return { format: null, width: null, height: null, bytes };
+    }
+}
+
+/**
+ * Percentage with one decimal, 0 when there is nothing to count
+ */
+function successRate(succeeded, total) {
+    return total > 0 ? Math.round((succeeded / total) * 1000) / 10 : 0;
+}
+
+export {
+    REPORT_SCHEMA_VERSION,
+    createReport,
+    jsonReportPath,
+    writeJsonReport,
+    readJsonReport,
+    describeImage,
+    successRate
+};
@@ -0,0 +1,66 @@
+// Type checks of request body fields
+const FIELD_TYPES = {
+    string: value => typeof value === 'string',
+    boolean: value => typeof value === 'boolean',
+    integer: value => Number.isInteger(value),
+    object: value => typeof value === 'object' && value !== null && !Array.isArray(value),
+    any: () => true
+};
+
+class RequestError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'RequestError';
+        this.details = details;
+    }
+}
+
+/**
+ * Checks a JSON request body against field rules:
+ *   { <field>: { type: 'string' | 'boolean' | 'integer' | 'object' | 'any', required, oneOf, check } }
+ * `check(value)` throws on an invalid value (the setting resolvers can be used as-is).
+ * Unknown fields, missing or mistyped ones and failed checks are all collected;
+ * throws a RequestError listing them in `details`, else returns the body
+ */
+function validateBody(body, fields) {
+    if (body === undefined || body === null) body = {};
+    if (!FIELD_TYPES.object(body)) {
+        throw new RequestError('Request body must be a JSON object', ['body: must be a JSON object']);
+    }
+
+    const details = Object.keys(body)
+        .filter(field => !fields[field])
+        .map(field => `${field}: unknown field`);
+
+    for (const [field, rule] of Object.entries(fields)) {
+        const value = body[field];
+        if (value === undefined || value === null) {
+            if (rule.required) details.push(`${field}: is required`);
+            continue;
+        }
+        if (!FIELD_TYPES[rule.type || 'any'](value)) {
+            details.push(`${field}: must be ${rule.type === 'integer' || rule.type === 'object' ? 'an' : 'a'} ${rule.type}`);
+            continue;
+        }
+        if (rule.oneOf && !rule.oneOf.includes(value)) {
+            details.push(`${field}: must be one of ${rule.oneOf.join(', ')}`);
+            continue;
+        }
+        try {
+            rule.check?.(value);
+        } catch (err) {
+            // The resolvers' messages usually name the field already
+            details.push(err.message.startsWith(field) ? err.message : `${field}: ${err.message}`);
+        }
+    }
+
+    if (details.length > 0) {
+        throw new RequestError(`Invalid request body - ${details.join('; ')}`, details);
+    }
+    return body;
+}
+
+export {
+    RequestError,
+    validateBody
+};
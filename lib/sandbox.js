@@ -0,0 +1,61 @@
+import path from 'path';
+import { listAdapters } from './adapters/index.js';
+
+/**
+ * Absolute path of `input` (relative to `root`, or absolute) when it lies inside
+ * `root`; throws for anything outside it, e.g. through "..". The check is on the
+ * path as written: symlinks placed in the library are trusted
+ */
+function resolveLibraryPath(root, input, name = 'path') {
+    if (typeof input !== 'string' || input.trim() === '' || input.includes('\0')) {
+        throw new Error(`${name} must be a path`);
+    }
+    const resolved = path.resolve(root, input);
+    const relative = path.relative(path.resolve(root), resolved);
+    if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+        throw new Error(`${name} must be inside the library folder`);
+    }
+    return resolved;
+}
+
+/**
+ * Whether `hostname` is one of `hosts` or a subdomain of one
+ */
+function matchesHost(hostname, hosts) {
+    const host = hostname.toLowerCase();
+    return hosts.some(entry => host === entry.toLowerCase() || host.endsWith(`.${entry.toLowerCase()}`));
+}
+
+/**
+ * Hosts scrapes may start from: those of the registered site adapters plus `extraHosts`
+ * (the generic adapter handles any host, so it adds none)
+ */
+function scrapeHosts(extraHosts = []) {
+    return [...listAdapters().flatMap(adapter => adapter.hosts), ...extraHosts];
+}
+
+/**
+ * Throws unless `url` is an http(s) URL on one of the allowed scrape hosts
+ */
+function checkScrapeUrl(url, extraHosts = [], name = 'url') {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new Error(`${name} must be an http(s) URL`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error(`${name} must be an http(s) URL`);
+    }
+    if (!matchesHost(parsed.hostname, scrapeHosts(extraHosts))) {
+        throw new Error(`${name} host ${parsed.hostname} is not allowed (add it to server.allowedHosts in the config)`);
+    }
+    return parsed.href;
+}
+
+export {
+    resolveLibraryPath,
+    matchesHost,
+    scrapeHosts,
+    checkScrapeUrl
+};
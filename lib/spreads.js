@@ -0,0 +1,101 @@
+const READING_DIRECTIONS = ['ltr', 'rtl'];
+
+const DEFAULT_SPREAD = {
+    cover: true,            // the first page stands alone, like a book's cover
+    doublePageRatio: 1.2    // pages at least this many times wider than tall are double pages
+};
+
+/**
+ * Validates the reading direction: 'ltr' (default) or 'rtl' for Japanese manga
+ */
+function resolveDirection(direction = 'ltr') {
+    if (!READING_DIRECTIONS.includes(direction)) {
+        throw new Error(`Unknown reading direction "${direction}" (expected ${READING_DIRECTIONS.join(', ')})`);
+    }
+    return direction;
+}
+
+/**
+ * Normalises the spread option (true for the defaults, or an object) and validates it
+ */
+function resolveSpread(spread) {
+    if (!spread) return null;
+
+    const settings = { ...DEFAULT_SPREAD, ...(spread === true ? {} : spread) };
+    if (typeof settings.cover !== 'boolean') {
+        throw new Error('spread.cover must be true or false');
+    }
+    if (!(typeof settings.doublePageRatio === 'number' && settings.doublePageRatio > 0)) {
+        throw new Error('spread.doublePageRatio must be a positive number');
+    }
+    return settings;
+}
+
+/**
+ * Sets the viewer preferences matching the reading direction and spread layout:
+ * Direction R2L makes viewers put the earlier page of a spread on the right, and
+ * spreads show two pages at a time, with page 1 alone when the cover stands alone
+ */
+function applyViewerPreferences(doc, direction, spread) {
+    // PDFKit creates the dictionary for its displayTitle option; fill it in either way
+    if (!doc._root.data.ViewerPreferences) {
+        doc._root.data.ViewerPreferences = doc.ref({});
+    }
+    if (direction === 'rtl') {
+        doc._root.data.ViewerPreferences.data.Direction = 'R2L';
+    }
+    if (spread) {
+        doc._root.data.PageLayout = spread.cover ? 'TwoPageRight' : 'TwoPageLeft';
+    }
+}
+
+/**
+ * Keeps pages paired into the right spreads as they are added to a PDF shown two
+ * pages at a time. Pages pair up in order (1-2, 3-4, ... or, with a cover, 1 alone
+ * then 2-3, 4-5, ...); a double page gets a spread to itself, so a blank page is
+ * added before it when it would land on the second half of a spread, and after it
+ * when the next page would share its spread. Pairing follows the document's page
+ * count, so cover, contents and placeholder pages count too
+ */
+class SpreadPager {
+    constructor(settings) {
+        this.settings = settings;
+        this.lastDoublePage = null;
+    }
+
+    isDoublePage(width, height) {
+        return width >= height * this.settings.doublePageRatio;
+    }
+
+    startsSpread(pageIndex) {
+        return this.settings.cover
+            ? pageIndex === 0 || pageIndex % 2 === 1
+            : pageIndex % 2 === 0;
+    }
+
+    /**
+     * Call before adding a page of `size` ([width, height]) for an image of
+     * imageWidth × imageHeight; adds the blank filler page that pairing needs, if any.
+     * The filler takes the size of the page it shares a spread with
+     */
+    beforePage(doc, size, imageWidth, imageHeight) {
+        let pageIndex = doc.bufferedPageRange().count;
+        const doublePage = this.isDoublePage(imageWidth, imageHeight);
+        const followsDouble = this.lastDoublePage === pageIndex - 1;
+
+        if ((doublePage || followsDouble) && !this.startsSpread(pageIndex)) {
+            const fillerSize = followsDouble ? size : [doc.page.width, doc.page.height];
+            doc.addPage({ size: fillerSize, margin: 0 });
+            pageIndex++;
+        }
+        this.lastDoublePage = doublePage ? pageIndex : null;
+    }
+}
+
+export {
+    READING_DIRECTIONS,
+    resolveDirection,
+    resolveSpread,
+    applyViewerPreferences,
+    SpreadPager
+};
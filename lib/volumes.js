@@ -0,0 +1,123 @@
+import fs from 'fs';
+import path from 'path';
+import { getChapterNumber } from './manga-files.js';
+import { parseChapterRange } from './chapter-selection.js';
+
+/**
+ * Normalises the volumes option and validates it
+ * Accepts a number (chapters per volume) or one of
+ *   { chapters: 10 }                     - every N chapters
+ *   { maxSizeMB: 50 }                    - as many chapters as fit in the size
+ *   { ranges: { 1: '1-8', 2: '9-16' } }  - explicit chapter ranges per volume
+ *                                          (or an array of ranges, numbered from 1)
+ */
+function resolveVolumes(volumes) {
+    if (!volumes) return null;
+
+    const settings = typeof volumes === 'number' ? { chapters: volumes } : { ...volumes };
+    const modes = ['chapters', 'maxSizeMB', 'ranges'].filter(key => settings[key] !== undefined);
+    if (modes.length !== 1) {
+        throw new Error('volumes needs exactly one of: chapters, maxSizeMB, ranges');
+    }
+
+    if (settings.chapters !== undefined && !(Number.isInteger(settings.chapters) && settings.chapters > 0)) {
+        throw new Error('volumes.chapters must be a positive integer');
+    }
+    if (settings.maxSizeMB !== undefined && !(settings.maxSizeMB > 0)) {
+        throw new Error('volumes.maxSizeMB must be a positive number');
+    }
+    if (settings.ranges !== undefined) {
+        const entries = Array.isArray(settings.ranges)
+            ? settings.ranges.map((range, index) => [index + 1, range])
+            : Object.entries(settings.ranges);
+        settings.ranges = entries.map(([volume, range]) => ({ volume: Number(volume), ...parseChapterRange(range) }));
+        if (settings.ranges.some(range => !Number.isInteger(range.volume) || range.volume < 1)) {
+            throw new Error('volumes.ranges keys must be volume numbers');
+        }
+    }
+    return settings;
+}
+
+function chapterBytes(chapterPath, images) {
+    return images.reduce((sum, file) => sum + fs.statSync(path.join(chapterPath, file)).size, 0);
+}
+
+/**
+ * Source image bytes of the given chapters, which size-based volumes are planned from
+ */
+function sourceBytes(mangaFolderPath, chapters, chapterImages) {
+    return chapters.reduce((sum, chapter) => sum + chapterBytes(path.join(mangaFolderPath, chapter), chapterImages.get(chapter)), 0);
+}
+
+/**
+ * Groups chapters (in reading order) into volumes: [{ volume, chapters }]
+ * Size-based volumes are planned from the source image sizes times `sizeFactor`,
+ * the PDF to source size ratio measured on an earlier volume: JPEGs are embedded
+ * as-is, but stitching, slicing and optimising re-encode pages. A chapter is never
+ * split, so a single oversized chapter still gets a volume of its own
+ */
+function planVolumes(mangaFolderPath, chapters, chapterImages, settings, sizeFactor = 1) {
+    if (settings.ranges) {
+        const planned = settings.ranges
+            .map(({ volume, from, to }) => ({
+                volume,
+                chapters: chapters.filter(chapter => {
+                    const number = getChapterNumber(chapter);
+                    return number !== null && number >= from && number <= to;
+                })
+            }))
+            .filter(volume => volume.chapters.length > 0)
+            .sort((a, b) => a.volume - b.volume);
+
+        const unassigned = chapters.filter(chapter => !planned.some(volume => volume.chapters.includes(chapter)));
+        if (unassigned.length > 0) {
+            console.warn(`⚠️  ${unassigned.length} chapter(s) not in any volume range are left out: ${unassigned.join(', ')}`);
+        }
+        return planned;
+    }
+
+    const volumes = [];
+    let current = [];
+    let currentBytes = 0;
+    const maxBytes = settings.maxSizeMB * 1024 * 1024;
+
+    for (const chapter of chapters) {
+        let full = false;
+        let bytes = 0;
+        if (settings.chapters) {
+            full = current.length >= settings.chapters;
+        } else {
+            bytes = chapterBytes(path.join(mangaFolderPath, chapter), chapterImages.get(chapter)) * sizeFactor;
+            full = current.length > 0 && currentBytes + bytes > maxBytes;
+        }
+
+        if (full) {
+            volumes.push({ volume: volumes.length + 1, chapters: current });
+            current = [];
+            currentBytes = 0;
+        }
+        current.push(chapter);
+        currentBytes += bytes;
+    }
+    if (current.length > 0) {
+        volumes.push({ volume: volumes.length + 1, chapters: current });
+    }
+    return volumes;
+}
+
+/**
+ * manga.pdf -> manga - Vol 01.pdf (keeping any directory part)
+ */
+function volumeFileName(outputFileName, volume, volumeCount) {
+    const extension = path.extname(outputFileName);
+    const base = path.basename(outputFileName, extension);
+    const number = String(volume).padStart(Math.max(2, String(volumeCount).length), '0');
+    return path.join(path.dirname(outputFileName), `${base} - Vol ${number}${extension}`);
+}
+
+export {
+    resolveVolumes,
+    sourceBytes,
+    planVolumes,
+    volumeFileName
+};
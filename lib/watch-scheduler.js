@@ -0,0 +1,250 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { BUILDERS } from './builders.js';
+import { getSeriesSettings } from './config.js';
+
+const MINUTE = 60 * 1000;
+const DEFAULT_TICK = MINUTE;
+const MAX_FEED_ENTRIES = 500;
+
+/**
+ * Checks followed series for new chapters on an interval
+ *
+ * The follow list and the release feed are persisted to `stateFile`. Due series are
+ * checked through the job queue as `watch-check` jobs, so checks run one at a time
+ * alongside other work and show up in /jobs. A check runs `update(mangaFolder, options)`
+ * (updateManga), builds a chapter file for every new chapter in the series' configured
+ * format and adds each release to the feed.
+ *
+ * Emits ('release', entry) for every new feed entry.
+ */
+class WatchScheduler extends EventEmitter {
+    constructor({ stateFile, queue, update, libraryDir, tickInterval = DEFAULT_TICK, maxFeedEntries = MAX_FEED_ENTRIES }) {
+        super();
+        this.stateFile = stateFile;
+        this.queue = queue;
+        this.update = update;
+        this.libraryDir = libraryDir;
+        this.tickInterval = tickInterval;
+        this.maxFeedEntries = maxFeedEntries;
+        this.follows = new Map();
+        this.feed = [];
+        this.timer = null;
+
+        queue.registerHandler('watch-check', (job, context) => this.check(job.params.series, context));
+    }
+
+    /**
+     * Restores the follow list and feed from the state file
+     */
+    load() {
+        if (!this.stateFile || !fs.existsSync(this.stateFile)) return;
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+            for (const entry of saved.follows || []) {
+                this.follows.set(entry.series, entry);
+            }
+            this.feed = saved.feed || [];
+            console.log(`👀 Following ${this.follows.size} series`);
+        } catch (err) {
+            console.error(`⚠️  Could not read watch list ${this.stateFile}: ${err.message}`);
+        }
+    }
+
+    save() {
+        if (!this.stateFile) return;
+        fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+        const tmpFile = `${this.stateFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ follows: this.list(), feed: this.feed }, null, 2));
+        fs.renameSync(tmpFile, this.stateFile);
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.tickInterval);
+        // Don't keep a CLI process alive just for the scheduler
+        this.timer.unref();
+        this.tick();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    list() {
+        return [...this.follows.values()];
+    }
+
+    get(series) {
+        return this.follows.get(series) || null;
+    }
+
+    /**
+     * Follows a series (or updates how it is followed) and schedules its first check now
+     * `interval` is in minutes and defaults to the config's checkInterval for the series
+     */
+    follow({ series, mangaFolder, sourceUrl, interval }) {
+        if (!series) throw new Error('series is required');
+        if (interval !== undefined && !(Number.isInteger(interval) && interval > 0)) {
+            throw new Error('interval must be a positive integer (minutes)');
+        }
+
+        const previous = this.follows.get(series);
+        const entry = {
+            series,
+            mangaFolder: path.resolve(mangaFolder || previous?.mangaFolder || path.join(this.libraryDir, series)),
+            sourceUrl: sourceUrl ?? previous?.sourceUrl ?? null,
+            interval: interval ?? previous?.interval ?? null,
+            followedAt: previous?.followedAt || new Date().toISOString(),
+            lastCheckedAt: previous?.lastCheckedAt || null,
+            nextCheckAt: new Date().toISOString(),
+            lastResult: previous?.lastResult || null,
+            lastError: previous?.lastError || null
+        };
+        this.follows.set(series, entry);
+        this.save();
+        this.tick();
+        return this.get(series);
+    }
+
+    unfollow(series) {
+        const removed = this.follows.delete(series);
+        if (removed) this.save();
+        return removed;
+    }
+
+    /**
+     * Whether a check of the series is queued or running - including one the job
+     * queue restored after a restart
+     */
+    isChecking(series) {
+        return this.queue.list({ type: 'watch-check' })
+            .some(job => job.params.series === series && ['queued', 'running'].includes(job.status));
+    }
+
+    /**
+     * Queues a check of every series that is due and not already being checked
+     */
+    tick() {
+        const now = Date.now();
+        for (const entry of this.follows.values()) {
+            if (Date.parse(entry.nextCheckAt) <= now && !this.isChecking(entry.series)) {
+                this.checkNow(entry.series);
+            }
+        }
+    }
+
+    /**
+     * Queues a check of one series regardless of its schedule; returns the job
+     * The next check is scheduled right away, so a check cancelled while still
+     * queued doesn't make the series due again on every tick
+     */
+    checkNow(series) {
+        const entry = this.follows.get(series);
+        if (!entry) return null;
+        entry.nextCheckAt = this.nextCheckAt(entry);
+        this.save();
+        return this.queue.enqueue('watch-check', { series });
+    }
+
+    /**
+     * Settings of a followed series, keyed by its folder name like updateManga and the builders
+     */
+    settingsOf(entry) {
+        return getSeriesSettings(path.basename(entry.mangaFolder));
+    }
+
+    /**
+     * When the series is due again, counting from now
+     */
+    nextCheckAt(entry) {
+        const interval = entry.interval ?? this.settingsOf(entry).checkInterval;
+        return new Date(Date.now() + interval * MINUTE).toISOString();
+    }
+
+    /**
+     * `watch-check` job handler
+     */
+    async check(series, { signal, progress }) {
+        const entry = this.follows.get(series);
+        if (!entry) throw new Error(`Series "${series}" is not followed`);
+
+        const settings = this.settingsOf(entry);
+        try {
+            const result = await this.update(entry.mangaFolder, {
+                sourceUrl: entry.sourceUrl || undefined,
+                signal,
+                progress
+            });
+
+            const releases = [];
+            for (const chapter of result.chapters) {
+                releases.push(this.addRelease(entry, chapter, await this.buildChapter(entry, chapter, settings.format, signal)));
+            }
+
+            entry.lastResult = {
+                newChapters: result.newChapters,
+                chaptersDownloaded: result.chaptersDownloaded,
+                failedChapters: result.failedChapters
+            };
+            entry.lastError = null;
+            return { series, releases, ...entry.lastResult, rebuilt: result.rebuilt };
+        } catch (err) {
+            entry.lastError = err.message;
+            throw err;
+        } finally {
+            entry.lastCheckedAt = new Date().toISOString();
+            entry.nextCheckAt = this.nextCheckAt(entry);
+            if (this.follows.has(series)) this.save();
+        }
+    }
+
+    /**
+     * Builds the chapter file for a new release; resolves its path, or null if the build failed
+     */
+    async buildChapter(entry, chapter, format, signal) {
+        const [, buildChapter] = BUILDERS[format];
+        try {
+            const { outputPath } = await buildChapter(path.join(entry.mangaFolder, chapter.folder), undefined, { signal });
+            return outputPath;
+        } catch (err) {
+            if (signal?.aborted) throw err;
+            console.error(`❌ Could not build ${format.toUpperCase()} for ${chapter.folder}: ${err.message}`);
+            return null;
+        }
+    }
+
+    addRelease(entry, chapter, outputPath) {
+        const release = {
+            id: randomUUID(),
+            series: entry.series,
+            chapter: chapter.title,
+            number: chapter.number,
+            url: chapter.url,
+            folder: chapter.folder,
+            outputPath,
+            failedImages: chapter.failedImages,
+            detectedAt: new Date().toISOString()
+        };
+        this.feed.unshift(release);
+        this.feed.length = Math.min(this.feed.length, this.maxFeedEntries);
+        this.emit('release', release);
+        return release;
+    }
+
+    /**
+     * Newest releases first, optionally for one series and/or after an ISO timestamp
+     */
+    getFeed({ series, since, limit = 50 } = {}) {
+        return this.feed
+            .filter(release => (!series || release.series === series) && (!since || release.detectedAt > since))
+            .slice(0, limit);
+    }
+}
+
+export {
+    WatchScheduler
+};
@@ -0,0 +1,212 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID, createHmac } from 'crypto';
+import axios from 'axios';
+import { PROGRESS_EVENTS } from './progress.js';
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+    'chapter-downloaded',
+    'volume-built',
+    'corrupted-images',
+    'new-release',
+    'job-completed',
+    'job-failed'
+];
+
+const DEFAULT_OPTIONS = {
+    retries: 5,
+    timeout: 10000,
+    backoff: 1000,
+    maxBackoff: 60000,
+    maxLogEntries: 200
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * HMAC-SHA256 of the raw request body, sent as `X-Manga-Signature: sha256=<hex>`
+ * Receivers recompute it with the shared secret to verify the sender
+ */
+function signPayload(body, secret) {
+    return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function hasCorruptedImages(stats) {
+    return Boolean(stats) && (stats.skippedImages > 0 || stats.corruptedFiles?.length > 0);
+}
+
+/**
+ * Sends JSON POSTs to the webhooks configured in manga.config.json
+ *
+ * Each webhook is { url, events?, secret?, headers? }; without `events` it receives
+ * every event. The body is { id, event, timestamp, data }, with the delivery id and
+ * event name repeated in the X-Manga-Delivery / X-Manga-Event headers and, when the
+ * webhook has a secret, an X-Manga-Signature HMAC of the body.
+ *
+ * Deliveries run in the background: network errors, 5xx and 429 responses are retried
+ * with exponential backoff, other responses fail the delivery at once. Every finished
+ * delivery is appended to `logFile` (one JSON object per line); the most recent ones,
+ * including those still retrying, are kept in memory for getDeliveries().
+ */
+class WebhookDispatcher {
+    constructor({ logFile, webhooks = [], ...options } = {}) {
+        this.logFile = logFile;
+        this.webhooks = webhooks;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.deliveries = [];
+        this.pending = new Set();
+    }
+
+    configure(webhooks = []) {
+        this.webhooks = webhooks;
+    }
+
+    /**
+     * Queues `event` for every webhook subscribed to it; returns the delivery promises
+     */
+    dispatch(event, data) {
+        const timestamp = new Date().toISOString();
+        return this.webhooks
+            .filter(webhook => !webhook.events || webhook.events.includes(event))
+            .map(webhook => {
+                const delivery = this.deliver(webhook, { id: randomUUID(), event, timestamp, data });
+                this.pending.add(delivery);
+                delivery.finally(() => this.pending.delete(delivery));
+                return delivery;
+            });
+    }
+
+    /**
+     * Resolves once every queued delivery has finished (delivered or given up)
+     */
+    async flush() {
+        while (this.pending.size > 0) {
+            await Promise.all([...this.pending]);
+        }
+    }
+
+    async deliver(webhook, payload) {
+        const body = JSON.stringify(payload);
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'manga-scrappar-webhooks',
+            'X-Manga-Event': payload.event,
+            'X-Manga-Delivery': payload.id,
+            ...webhook.headers,
+            ...(webhook.secret && { 'X-Manga-Signature': signPayload(body, webhook.secret) })
+        };
+        const delivery = {
+            id: payload.id,
+            event: payload.event,
+            url: webhook.url,
+            status: 'pending',
+            attempts: [],
+            createdAt: payload.timestamp,
+            finishedAt: null
+        };
+        this.deliveries.unshift(delivery);
+        this.deliveries.length = Math.min(this.deliveries.length, this.options.maxLogEntries);
+
+        for (let attempt = 0; ; attempt++) {
+            let retryable;
+            try {
+                const response = await axios.post(webhook.url, body, {
+                    headers,
+                    timeout: this.options.timeout,
+                    validateStatus: status => status >= 200 && status < 300
+                });
+                delivery.attempts.push({ at: new Date().toISOString(), status: response.status });
+                delivery.status = 'delivered';
+                break;
+            } catch (err) {
+                const status = err.response?.status ?? null;
+                delivery.attempts.push({ at: new Date().toISOString(), status, error: err.message });
+                retryable = !status || status >= 500 || status === 429;
+            }
+
+            if (!retryable || attempt >= this.options.retries) {
+                delivery.status = 'failed';
+                console.error(`  ❌ Webhook ${payload.event} to ${webhook.url} failed after ${attempt + 1} attempt(s)`);
+                break;
+            }
+            await sleep(Math.min(this.options.backoff * 2 ** attempt, this.options.maxBackoff));
+        }
+
+        delivery.finishedAt = new Date().toISOString();
+        this.log(delivery);
+        return delivery;
+    }
+
+    log(delivery) {
+        if (!this.logFile) return;
+        try {
+            fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+            fs.appendFileSync(this.logFile, `${JSON.stringify(delivery)}\n`);
+        } catch (err) {
+            console.error(`⚠️  Could not write webhook log ${this.logFile}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Recent deliveries, newest first, optionally filtered by event and/or status
+     */
+    getDeliveries({ event, status, limit = 50 } = {}) {
+        return this.deliveries
+            .filter(delivery => (!event || delivery.event === event) && (!status || delivery.status === status))
+            .slice(0, limit);
+    }
+
+    /**
+     * Turns progress events into webhook events: downloaded chapters, built volumes,
+     * and finished builds that skipped corrupted images. `context` (job id and type,
+     * or the CLI command) is merged into each payload
+     */
+    handleProgress(progressEvent, context = {}) {
+        const { type, ...data } = progressEvent;
+        if (type === PROGRESS_EVENTS.CHAPTER_DOWNLOADED) {
+            this.dispatch('chapter-downloaded', { ...context, ...data });
+        } else if (type === PROGRESS_EVENTS.VOLUME_BUILT) {
+            this.dispatch('volume-built', { ...context, ...data });
+        }
+
+        // Volume builds finish with their combined stats, so this fires once per build
+        const { stats } = data;
+        if (type === PROGRESS_EVENTS.FINISHED && hasCorruptedImages(stats)) {
+            this.dispatch('corrupted-images', {
+                ...context,
+                outputPath: data.outputPath,
+                skippedImages: stats.skippedImages,
+                corruptedFiles: stats.corruptedFiles,
+                stats
+            });
+        }
+    }
+
+    /**
+     * Sends job-completed / job-failed for finished jobs and forwards their progress events
+     */
+    attachQueue(queue) {
+        queue.on('job-event', (jobId, event) => {
+            const job = queue.get(jobId);
+            if (!job) return;
+            const context = { jobId, jobType: job.type };
+
+            if (event.type !== 'status') {
+                // The event's own id only orders the job's SSE stream
+                const { id, ...progressEvent } = event;
+                this.handleProgress(progressEvent, context);
+            } else if (event.status === 'completed') {
+                this.dispatch('job-completed', { ...context, params: job.params, result: job.result });
+            } else if (event.status === 'failed') {
+                this.dispatch('job-failed', { ...context, params: job.params, error: job.error });
+            }
+        });
+    }
+}
+
+export {
+    WEBHOOK_EVENTS,
+    WebhookDispatcher,
+    signPayload
+};
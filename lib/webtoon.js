@@ -0,0 +1,153 @@
+import sharp from 'sharp';
+
+const WEBTOON_MODES = ['stitch', 'slice'];
+
+const DEFAULT_WEBTOON = {
+    mode: 'stitch',
+    pageHeight: 2000,       // target slice height in strip pixels
+    minSliceRatio: 0.6,     // never cut a slice shorter than this share of pageHeight
+    maxImageHeight: 4000,   // slice mode: images taller than this are split
+    stripWidth: null,       // null = median width of the chapter's images
+    tolerance: 10,          // max per-channel difference for a row to count as gutter
+    quality: 92
+};
+
+const CHANNELS = 3;
+
+/**
+ * Normalises the webtoon option (mode name or object) and validates it
+ */
+function resolveWebtoon(webtoon) {
+    if (!webtoon) return null;
+
+    const settings = {
+        ...DEFAULT_WEBTOON,
+        ...(typeof webtoon === 'string' ? { mode: webtoon } : webtoon)
+    };
+    if (!WEBTOON_MODES.includes(settings.mode)) {
+        throw new Error(`Unknown webtoon mode "${settings.mode}" (expected ${WEBTOON_MODES.join(', ')})`);
+    }
+    if (!(settings.pageHeight > 0)) {
+        throw new Error('webtoon.pageHeight must be a positive number');
+    }
+    return settings;
+}
+
+/**
+ * A gutter row is a row of (nearly) one colour - the white/black space between panels
+ */
+function isGutterRow(buffer, row, width, tolerance) {
+    const start = row * width * CHANNELS;
+    const r = buffer[start];
+    const g = buffer[start + 1];
+    const b = buffer[start + 2];
+
+    // Sampling every other pixel is plenty to detect artwork crossing the row
+    for (let x = 2; x < width; x += 2) {
+        const offset = start + x * CHANNELS;
+        if (Math.abs(buffer[offset] - r) > tolerance ||
+            Math.abs(buffer[offset + 1] - g) > tolerance ||
+            Math.abs(buffer[offset + 2] - b) > tolerance) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Picks where to end the next slice: the gutter row closest to pageHeight,
+ * searching up to minSliceRatio of the page; pageHeight itself when none is found
+ */
+function findCutRow(buffer, width, availableRows, settings) {
+    const target = Math.min(settings.pageHeight, availableRows);
+    const lowest = Math.floor(settings.pageHeight * settings.minSliceRatio);
+
+    for (let row = target - 1; row >= lowest; row--) {
+        if (isGutterRow(buffer, row, width, settings.tolerance)) {
+            return { row: row + 1, atGutter: true };
+        }
+    }
+    return { row: target, atGutter: false };
+}
+
+/**
+ * Decodes an image the way sliceStrip does, so one it can't use is found before
+ * the strip is built; throws when it doesn't decode
+ */
+async function checkStripImage(imagePath) {
+    await sharp(imagePath, { failOn: 'none' }).stats();
+}
+
+/**
+ * Median width of a set of images, used as the common strip width
+ */
+async function getStripWidth(imagePaths) {
+    const widths = [];
+    for (const imagePath of imagePaths) {
+        const { width } = await sharp(imagePath).metadata();
+        widths.push(width);
+    }
+    widths.sort((a, b) => a - b);
+    return widths[Math.floor(widths.length / 2)];
+}
+
+async function encodeSlice(buffer, width, height, quality) {
+    return sharp(buffer, { raw: { width, height, channels: CHANNELS } })
+        .jpeg({ quality, progressive: false })
+        .toBuffer();
+}
+
+/**
+ * Concatenates images into one continuous strip and yields JPEG slices of about
+ * `pageHeight` rows, cutting at gutter rows where possible.
+ * Only one slice plus one source image is held in memory at a time.
+ *
+ * Yields { buffer, width, height, atGutter }
+ */
+async function* sliceStrip(imagePaths, options = {}) {
+    const settings = { ...DEFAULT_WEBTOON, ...options };
+    const width = settings.stripWidth || await getStripWidth(imagePaths);
+    const rowBytes = width * CHANNELS;
+
+    let pending = Buffer.alloc(0);
+
+    for (const imagePath of imagePaths) {
+        // failOn 'none' keeps whatever decodes from slightly truncated files
+        const decoded = await sharp(imagePath, { failOn: 'none' })
+            .resize({ width })
+            .flatten({ background: '#ffffff' })
+            .removeAlpha()
+            .toColourspace('srgb')
+            .raw()
+            .toBuffer();
+        pending = pending.length ? Buffer.concat([pending, decoded]) : decoded;
+
+        while (pending.length / rowBytes >= settings.pageHeight) {
+            const { row, atGutter } = findCutRow(pending, width, pending.length / rowBytes, settings);
+            yield {
+                buffer: await encodeSlice(pending.subarray(0, row * rowBytes), width, row, settings.quality),
+                width,
+                height: row,
+                atGutter
+            };
+            pending = Buffer.from(pending.subarray(row * rowBytes));
+        }
+    }
+
+    const remainingRows = pending.length / rowBytes;
+    if (remainingRows > 0) {
+        yield {
+            buffer: await encodeSlice(pending, width, remainingRows, settings.quality),
+            width,
+            height: remainingRows,
+            atGutter: true
+        };
+    }
+}
+
+export {
+    WEBTOON_MODES,
+    resolveWebtoon,
+    checkStripImage,
+    sliceStrip
+};
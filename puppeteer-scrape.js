@@ -1,134 +1,446 @@
 import { launch } from 'puppeteer';
-import { promises, existsSync, mkdirSync } from 'fs';
-import { join } from 'path';
-import fetch from 'node-fetch';
-import { createMangaPDF } from './lib/pdf-generator.js';
-
-async function downloadImage(url, filepath) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Failed to download ${url}`);
-  const buffer = await res.buffer();
-  await promises.writeFile(filepath, buffer);
-  console.log(`Saved ${filepath}`);
+import { existsSync, mkdirSync } from 'fs';
+import { join, dirname, resolve, basename } from 'path';
+import { fileURLToPath } from 'url';
+import { buildSeries } from './lib/builders.js';
+import { downloadFiles } from './lib/download-engine.js';
+import { JobCancelledError } from './lib/job-queue.js';
+import { PROGRESS_EVENTS } from './lib/progress.js';
+import { getAdapter, getAdapterForUrl, getSeriesSlug, extractWithPage } from './lib/adapters/index.js';
+import { getSeriesSettings, formatOutputName } from './lib/config.js';
+import { getChapterNumber, getSeriesMetadata, listChapters } from './lib/manga-files.js';
+import { parseChapterSelection, isChapterSelected, isPastSelection, selectChapters } from './lib/chapter-selection.js';
+import { loadManifest, createManifest, saveManifest, recordChapter } from './lib/manifest.js';
+import { ResponseCapture, resolveCapture, resolveBlockAds, blockRequests } from './lib/browser-capture.js';
+
+// Get __dirname equivalent in ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Opens a browser tab with the series' User-Agent, ad blocking (`blockAds`) and, with
+ * `capture`, a ResponseCapture that keeps the images the tab loads
+ */
+async function openPage(browser, settings) {
+  const page = await browser.newPage();
+  await page.setUserAgent(settings.userAgent);
+
+  const blockAds = resolveBlockAds(settings.blockAds);
+  if (blockAds) await blockRequests(page, blockAds);
+
+  const captureSettings = resolveCapture(settings.capture);
+  const capture = captureSettings && new ResponseCapture(page, captureSettings);
+  await capture?.attach();
+  return { page, capture };
 }
 
-async function scrapeChapter(page, url, mangaFolder) {
-  console.log(`Scraping chapter URL: ${url}`);
+/**
+ * Opens a chapter page and extracts its title, images and navigation links
+ * With a capture, the page is scrolled until its lazy images have loaded and the
+ * chapter carries their bytes as `capturedImages` (see ResponseCapture.captureImages)
+ */
+async function loadChapter(page, url, adapter, settings, capture = null) {
+  console.log(`Scraping chapter URL: ${url} (adapter: ${adapter.name})`);
+  capture?.reset();
   await page.goto(url, { waitUntil: 'networkidle2' });
 
   // Wait for images container
-  await page.waitForSelector('.chapter-content .item-chapter img', { timeout: 10000 });
+  await page.waitForSelector(adapter.imageSelectors.join(', '), { timeout: settings.pageTimeout });
 
-  // Extract chapter title or number for folder naming
-  const chapterName = await page.evaluate(() => {
-    // Try to get chapter number or title from page
-    const h1 = document.querySelector('h1')?.textContent || '';
-    return h1.trim() || 'chapter';
-  });
+  // Extract chapter title, image URLs and navigation using the site adapter
+  const chapter = { ...await extractWithPage(page, adapter), url };
+  chapter.number = getChapterNumber(chapter.title) ?? getChapterNumber(url);
+  if (!capture) return chapter;
 
-  const chapterFolder = join(mangaFolder, chapterName.replace(/[\/\\?%*:|"<>]/g, '-'));
+  const capturedImages = await capture.captureImages(adapter, settings.pageTimeout);
+  return { ...chapter, imageUrls: capturedImages.map(image => image.url), capturedImages };
+}
+
+async function downloadChapter(chapter, mangaFolder, settings, options = {}) {
+  const { progress, signal } = options;
+  const { title: chapterName, imageUrls, url } = chapter;
+
+  const folder = chapterName.replace(/[\/\\?%*:|"<>]/g, '-');
+  const chapterFolder = join(mangaFolder, folder);
   if (!existsSync(chapterFolder)) {
     mkdirSync(chapterFolder, { recursive: true });
   }
 
-  // Extract image URLs
-  const imageUrls = await page.evaluate(() => {
-    return Array.from(document.querySelectorAll('.chapter-content .item-chapter img'))
-      .map(img => img.src);
-  });
-
   console.log(`Found ${imageUrls.length} images in ${chapterName}`);
+  progress?.report(PROGRESS_EVENTS.CHAPTER_STARTED, { chapter: chapterName, url, imagesDone: 0, imagesTotal: imageUrls.length });
 
-  // Download all images sequentially
-  for (let i = 0; i < imageUrls.length; i++) {
-    const imgUrl = imageUrls[i];
-    const imgPath = join(chapterFolder, `${i + 1}.jpg`);
-    try {
-      await downloadImage(imgUrl, imgPath);
-    } catch (e) {
-      console.error(`Failed to download image ${imgUrl}: ${e.message}`);
-    }
+  // Download all images concurrently; files already on disk are skipped, and
+  // images captured by the browser are saved from their bytes instead
+  const images = (chapter.capturedImages || imageUrls.map(imgUrl => ({ url: imgUrl }))).map((image, i) => ({
+    ...image,
+    dest: join(chapterFolder, `${i + 1}.jpg`)
+  }));
+  const { failed } = await downloadFiles(images, { ...settings.download, headers: { 'User-Agent': settings.userAgent }, progress, signal });
+  if (failed.length > 0) {
+    console.error(`${failed.length} of ${imageUrls.length} images failed to download in ${chapterName}`);
   }
+  progress?.report(PROGRESS_EVENTS.CHAPTER_FINISHED, { chapter: chapterName, url, failed: failed.length });
+  return { folder, images, failed };
+}
 
-  // Find next chapter URL
-  const nextChapterUrl = await page.evaluate(() => {
-    const nextLink = document.querySelector('a.next-chapter, a[rel="next"]');
-    if (nextLink) return nextLink.href;
-    // fallback: try to find link by text "Next" or an icon if available
-    const links = Array.from(document.querySelectorAll('a'));
-    for (const link of links) {
-      if (link.textContent.trim().toLowerCase().includes('next')) return link.href;
-    }
-    return null;
-  });
+/**
+ * Returns a `download(chapter)` function that downloads into the series folder and
+ * records each chapter in the manifest, plus the running totals
+ */
+function chapterDownloader(mangaFolder, manifest, settings, options) {
+  const totals = { chaptersDownloaded: 0, failedImages: 0, chapters: [] };
+
+  const download = async (chapter) => {
+    const { folder, images, failed } = await downloadChapter(chapter, mangaFolder, settings, options);
+    const { title, number, url } = chapter;
+    recordChapter(manifest, mangaFolder, { folder, title, number, url, images });
+    saveManifest(mangaFolder, manifest);
+    options.progress?.report(PROGRESS_EVENTS.CHAPTER_DOWNLOADED, {
+      series: manifest.series, chapter: title, number, url, folder, images: images.length, failedImages: failed.length
+    });
+
+    totals.chapters.push({ folder, title, number, url, failedImages: failed.length });
+    totals.failedImages += failed.length;
+    totals.chaptersDownloaded++;
+    console.log(`Chapter ${totals.chaptersDownloaded} downloaded.`);
+  };
 
-  return nextChapterUrl;
+  return { download, totals };
 }
 
-async function scrapeManga(startUrl) {
-  const browser = await launch({ headless: true });
-  const page = await browser.newPage();
+/**
+ * Builds the series in the configured format after new chapters were downloaded
+ * Resolves the output path, or null if the build failed; cancellation is rethrown
+ */
+async function buildDownloaded(mangaFolder, mangaName, settings, options) {
+  const outputName = formatOutputName(settings.outputName, { slug: mangaName, title: getSeriesMetadata(mangaFolder).title, format: settings.format })
+    || `${mangaName}.${settings.format}`;
 
-  // Extract manga name from URL (e.g., "my-bias-gets-on-the-last-train")
-  const mangaNameMatch = startUrl.match(/\/read-manga\/([^\/]+)\//);
-  if (!mangaNameMatch) {
-    console.error('Cannot extract manga name from URL');
-    await browser.close();
-    return;
+  console.log(`Creating ${settings.format.toUpperCase()} from downloaded chapters...`);
+  try {
+    const { outputPath } = await buildSeries(settings.format, mangaFolder, outputName, options);
+    console.log(`✅ ${settings.format.toUpperCase()} created successfully: ${outputPath}`);
+    return outputPath;
+  } catch (err) {
+    if (err instanceof JobCancelledError || options.signal?.aborted) throw err;
+    console.error(`❌ Error creating ${settings.format.toUpperCase()}: ${err.message}`);
+    return null;
   }
-  const mangaName = mangaNameMatch[1].replace(/[\/\\?%*:|"<>]/g, '-');
-  const mangaFolder = join(__dirname, mangaName);
+}
+
+/**
+ * Downloads chapters starting at startUrl, then builds the configured output (a PDF by default).
+ * Without a selection every chapter is downloaded by following "next chapter" links.
+ * With `chapters` (e.g. '30-40', 'latest:5', see parseChapterSelection) the site's
+ * chapter list is used when the adapter finds one; otherwise the scraper still walks
+ * "next" links, skipping unselected chapters and stopping after the last selected one.
+ *
+ * Options: chapters, outputDir (parent of the series folder, default: this directory),
+ * createPdf (default true), progress (ProgressEmitter), signal (AbortSignal)
+ * Unset options, the adapter, User-Agent, timeouts and output format come from the
+ * config's entry for the series slug.
+ * Every downloaded chapter and the built output are recorded in the folder's
+ * manifest.json, which updateManga uses to fetch only new chapters later.
+ *
+ * Resolves { mangaFolder, chaptersDownloaded, failedChapters, failedImages, outputPath }
+ */
+async function scrapeManga(startUrl, options = {}) {
+  const { progress, createPdf = true } = options;
+
+  // Pick the site adapter and extract manga name from URL (e.g., "my-bias-gets-on-the-last-train")
+  const detectedAdapter = getAdapterForUrl(startUrl);
+  const mangaName = getSeriesSlug(detectedAdapter, startUrl);
+  if (!mangaName) {
+    throw new Error(`Cannot extract manga name from URL using adapter "${detectedAdapter.name}"`);
+  }
+
+  const settings = getSeriesSettings(mangaName, options);
+  const adapter = settings.adapter ? getAdapter(settings.adapter) : detectedAdapter;
+  const selection = parseChapterSelection(settings.chapters);
+  const mangaFolder = join(options.outputDir || __dirname, mangaName);
   if (!existsSync(mangaFolder)) {
     mkdirSync(mangaFolder, { recursive: true });
   }
 
-  let currentUrl = startUrl;
-  let errorCount = 0;
-  const maxErrors = 3;
-  let chaptersDownloaded = 0;
+  const manifest = loadManifest(mangaFolder) || createManifest(mangaFolder, { sourceUrl: startUrl, adapter: adapter.name });
+  saveManifest(mangaFolder, manifest);
 
-  while (currentUrl && errorCount < maxErrors) {
-    try {
-      const nextUrl = await scrapeChapter(page, currentUrl, mangaFolder);
-      chaptersDownloaded++;
-      console.log(`Chapter ${chaptersDownloaded} downloaded.`);
+  const browser = await launch({ headless: true });
+  const { page, capture } = await openPage(browser, settings);
+
+  progress?.report(PROGRESS_EVENTS.SCRAPE_STARTED, { url: startUrl, adapter: adapter.name, series: mangaName });
+
+  const { download, totals } = chapterDownloader(mangaFolder, manifest, settings, options);
+  let failedChapters = 0;
+
+  try {
+    let errorCount = 0;
+    const { maxErrors } = settings;
+    const handleError = (err) => {
+      if (options.signal?.aborted) throw err;
+      console.error(`Error scraping chapter: ${err.message}`);
+      errorCount++;
+      failedChapters++;
+    };
 
-      if (nextUrl === currentUrl) {
-        console.log('Next chapter URL is same as current. Stopping.');
-        break;
+    let startChapter = null;
+    while (!startChapter && errorCount < maxErrors) {
+      try {
+        startChapter = await loadChapter(page, startUrl, adapter, settings, capture);
+      } catch (err) {
+        handleError(err);
       }
+    }
+
+    const listedUrls = selection
+      ? selectChapters(startChapter?.chapterUrls.filter(url => getChapterNumber(url) !== null) ?? [], selection)
+      : [];
 
-      if (!nextUrl) {
-        console.log('No next chapter found. Finished.');
-        break;
+    if (selection && listedUrls.length > 0) {
+      // The site lists its chapters - visit only the selected ones, in reading order
+      listedUrls.sort((a, b) => getChapterNumber(a) - getChapterNumber(b));
+      console.log(`Selected ${listedUrls.length} chapters from the chapter list.`);
+
+      for (const url of listedUrls) {
+        if (errorCount >= maxErrors) break;
+        try {
+          await download(url === startUrl ? startChapter : await loadChapter(page, url, adapter, settings, capture));
+          errorCount = 0;
+        } catch (err) {
+          handleError(err);
+        }
       }
+    } else {
+      // "latest N" is only known once the last chapter has been seen
+      const deferred = [];
+      let currentUrl = startChapter ? startUrl : null;
 
-      currentUrl = nextUrl;
-      errorCount = 0; // reset error count on success
+      while (currentUrl && errorCount < maxErrors) {
+        try {
+          const chapter = currentUrl === startUrl ? startChapter : await loadChapter(page, currentUrl, adapter, settings, capture);
 
-    } catch (err) {
+          if (isPastSelection(selection, chapter.number)) {
+            console.log(`Chapter ${chapter.number} is past the selected chapters. Stopping.`);
+            break;
+          }
+
+          if (selection?.latest) {
+            deferred.push(chapter);
+            // Only the newest chapters are kept in the end; don't hold the others' captured bytes
+            for (const older of deferred.slice(0, -selection.latest)) {
+              older.capturedImages?.forEach(image => { image.data = null; });
+            }
+          } else if (isChapterSelected(selection, chapter.number)) {
+            await download(chapter);
+          } else {
+            console.log(`Skipping ${chapter.title} (not selected).`);
+          }
+
+          const nextUrl = chapter.nextChapterUrl;
+          if (nextUrl === currentUrl) {
+            console.log('Next chapter URL is same as current. Stopping.');
+            break;
+          }
+
+          if (!nextUrl) {
+            console.log('No next chapter found. Finished.');
+            break;
+          }
+
+          currentUrl = nextUrl;
+          errorCount = 0; // reset error count on success
+
+        } catch (err) {
+          handleError(err);
+        }
+      }
+
+      for (const selected of selectChapters(deferred, selection, item => item.number)) {
+        await download(selected);
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  const { chaptersDownloaded, failedImages } = totals;
+  console.log(`Scraping complete. Total chapters downloaded: ${chaptersDownloaded}`);
+
+  // Generate PDF (or the configured format) after scraping is complete
+  const outputPath = createPdf && chaptersDownloaded > 0
+    ? await buildDownloaded(mangaFolder, mangaName, settings, { progress, signal: options.signal, chapters: options.chapters })
+    : null;
+
+  return { mangaFolder, chaptersDownloaded, failedChapters, failedImages, outputPath };
+}
+
+/**
+ * Fetches the chapters a series folder doesn't have yet and rebuilds the outputs
+ * that change because of them.
+ *
+ * Discovery starts at the newest chapter in the folder's manifest (or the source
+ * URL for a folder without one): when the site lists its chapters, every listed
+ * chapter not in the manifest is new; otherwise "next chapter" links are followed
+ * from there. Chapters already on disk count as known even without a manifest entry.
+ *
+ * Each build recorded in the manifest is redone with its original options, but only
+ * if its chapter list changed - and for volumes only the volumes that changed.
+ * Without recorded builds the configured format is built, as after scrapeManga.
+ *
+ * Options: sourceUrl (for folders without a manifest; default: config sourceUrl),
+ * chapters (selection applied to new chapters), build (default true), progress, signal
+ * A missing folder is created when a source URL is known, so following a new series
+ * downloads it from the source URL on.
+ *
+ * Resolves { mangaFolder, newChapters, chaptersDownloaded, chapters, failedChapters, failedImages, rebuilt },
+ * where `chapters` are the downloaded chapters ({ folder, title, number, url, failedImages })
+ */
+async function updateManga(mangaFolderPath, options = {}) {
+  const { progress, build = true } = options;
+  const mangaFolder = resolve(mangaFolderPath);
+  const mangaName = basename(mangaFolder);
+  const settings = getSeriesSettings(mangaName, options);
+  const selection = parseChapterSelection(options.chapters);
+  const existing = existsSync(mangaFolder) ? loadManifest(mangaFolder) : null;
+  const sourceUrl = existing?.sourceUrl || options.sourceUrl || settings.sourceUrl;
+  if (!sourceUrl) {
+    throw new Error(existsSync(mangaFolder)
+      ? `No source URL for "${mangaName}" - scrape it first or set sourceUrl in the config`
+      : `Manga folder not found: ${mangaFolder}`);
+  }
+  mkdirSync(mangaFolder, { recursive: true });
+
+  const adapter = getAdapter(settings.adapter || existing?.adapter) || getAdapterForUrl(sourceUrl);
+  const manifest = existing || createManifest(mangaFolder, { sourceUrl, adapter: adapter.name });
+
+  const knownUrls = new Set(manifest.chapters.map(chapter => chapter.url));
+  const knownNumbers = new Set([
+    ...manifest.chapters.map(chapter => chapter.number),
+    ...listChapters(mangaFolder).map(getChapterNumber)
+  ].filter(number => number !== null));
+  const isNew = (url, number) => !knownUrls.has(url) && (number === null || !knownNumbers.has(number));
+
+  const newest = manifest.chapters.filter(chapter => chapter.url).at(-1);
+  const startUrl = newest?.url || sourceUrl;
+  console.log(`🔄 Checking ${mangaName} for new chapters from ${startUrl}`);
+
+  const browser = await launch({ headless: true });
+  const { page, capture } = await openPage(browser, settings);
+
+  progress?.report(PROGRESS_EVENTS.SCRAPE_STARTED, { url: startUrl, adapter: adapter.name, series: mangaName });
+
+  const { download, totals } = chapterDownloader(mangaFolder, manifest, settings, options);
+  let newChapters = 0;
+  let failedChapters = 0;
+
+  try {
+    let errorCount = 0;
+    const handleError = (err) => {
+      if (options.signal?.aborted) throw err;
       console.error(`Error scraping chapter: ${err.message}`);
       errorCount++;
+      failedChapters++;
+    };
+
+    let startChapter = null;
+    while (!startChapter && errorCount < settings.maxErrors) {
+      try {
+        startChapter = await loadChapter(page, startUrl, adapter, settings, capture);
+      } catch (err) {
+        handleError(err);
+      }
+    }
+
+    const listedUrls = (startChapter?.chapterUrls ?? [])
+      .filter(url => getChapterNumber(url) !== null && isNew(url, getChapterNumber(url)));
+
+    if (listedUrls.length > 0) {
+      const selected = selectChapters(listedUrls, selection)
+        .sort((a, b) => getChapterNumber(a) - getChapterNumber(b));
+      newChapters = selected.length;
+      console.log(`Found ${listedUrls.length} new chapters in the chapter list, ${selected.length} selected.`);
+
+      for (const url of selected) {
+        if (errorCount >= settings.maxErrors) break;
+        try {
+          await download(url === startUrl ? startChapter : await loadChapter(page, url, adapter, settings, capture));
+          errorCount = 0;
+        } catch (err) {
+          handleError(err);
+        }
+      }
+    } else {
+      let chapter = startChapter;
+      while (chapter && errorCount < settings.maxErrors) {
+        try {
+          if (isNew(chapter.url, chapter.number) && isChapterSelected(selection, chapter.number)) {
+            newChapters++;
+            // Known from here on, so a failed "next" load retried below doesn't fetch it again
+            knownUrls.add(chapter.url);
+            await download(chapter);
+          }
+
+          const nextUrl = chapter.nextChapterUrl;
+          if (!nextUrl || nextUrl === chapter.url) break;
+          chapter = await loadChapter(page, nextUrl, adapter, settings, capture);
+          errorCount = 0;
+        } catch (err) {
+          handleError(err);
+        }
+      }
     }
+  } finally {
+    await browser.close();
   }
 
-  console.log(`Scraping complete. Total chapters downloaded: ${chaptersDownloaded}`);
+  const { chaptersDownloaded, failedImages, chapters } = totals;
+  console.log(newChapters === 0
+    ? `✅ ${mangaName} is up to date.`
+    : `Update complete. ${chaptersDownloaded} of ${newChapters} new chapters downloaded.`);
+  saveManifest(mangaFolder, manifest);
+
+  const rebuilt = build && chaptersDownloaded > 0
+    ? await rebuildOutputs(mangaFolder, mangaName, manifest, settings, options)
+    : [];
+
+  return { mangaFolder, newChapters, chaptersDownloaded, chapters, failedChapters, failedImages, rebuilt };
+}
 
-  await browser.close();
+/**
+ * Redoes the manifest's recorded builds whose chapter list changed; resolves the files written
+ */
+async function rebuildOutputs(mangaFolder, mangaName, manifest, settings, options) {
+  const { progress, signal } = options;
 
-  // Generate PDF after scraping is complete
-  if (chaptersDownloaded > 0) {
-    console.log('Creating PDF from downloaded chapters...');
+  if (manifest.builds.length === 0) {
+    const outputPath = await buildDownloaded(mangaFolder, mangaName, settings, { progress, signal });
+    return outputPath ? [outputPath] : [];
+  }
+
+  const rebuilt = [];
+  for (const { format, outputName, options: buildOptions, outputs } of [...manifest.builds]) {
+    const chapters = selectChapters(listChapters(mangaFolder), parseChapterSelection(getSeriesSettings(mangaName, buildOptions).chapters));
+    const builtChapters = outputs.flatMap(output => output.chapters);
+    if (chapters.join('\n') === builtChapters.join('\n')) {
+      console.log(`⏭️  ${outputs.map(output => output.file).join(', ')} unchanged`);
+      continue;
+    }
+
+    console.log(`🔨 Rebuilding ${format.toUpperCase()} (${outputName || 'default name'})`);
     try {
-      const pdfPath = await createMangaPDF(mangaFolder, `${mangaName}.pdf`);
-      console.log(`✅ PDF created successfully: ${pdfPath}`);
+      const existingVolumes = outputs
+        .filter(output => output.volume !== null)
+        .map(({ volume, chapters: volumeChapters, file }) => ({ volume, chapters: volumeChapters, outputPath: file }));
+      const result = await buildSeries(format, mangaFolder, outputName, { ...buildOptions, existingVolumes, progress, signal });
+      rebuilt.push(...(result.volumes
+        ? result.volumes.filter(volume => !volume.unchanged).map(volume => volume.outputPath)
+        : [result.outputPath]));
     } catch (err) {
-      console.error(`❌ Error creating PDF: ${err.message}`);
+      if (err instanceof JobCancelledError || signal?.aborted) throw err;
+      console.error(`❌ Error rebuilding ${format.toUpperCase()}: ${err.message}`);
     }
   }
+  return rebuilt;
 }
 
-// Example usage:
-const startChapterUrl = 'https://mangaoi.net/read-manga/my-bias-gets-on-the-last-train/chapter-1';
-
-scrapeManga(startChapterUrl);
+export { scrapeManga, updateManga };
@@ -0,0 +1,386 @@
+// Pages loaded ahead of the current one (and behind it in paged mode)
+const PRELOAD_PAGES = 2;
+
+// Position saves wait this long, so turning pages quickly saves once
+const SAVE_DELAY = 1000;
+
+// Pages at least this many times taller than wide are webtoon strips: paged mode
+// shows them at full width to scroll through instead of shrinking them to the screen
+const STRIP_RATIO = 3;
+
+// Widest image the vertical mode shows (matches .vertical img in reader.css)
+const VERTICAL_MAX_WIDTH = 960;
+
+// Preferred mode on this device
+const MODE_KEY = 'manga-reader-mode';
+
+// API key for servers that require one, asked for on the first 401
+const API_KEY = 'manga-reader-api-key';
+
+const app = document.getElementById('app');
+const toolbar = {
+    title: document.getElementById('title'),
+    controls: document.getElementById('controls'),
+    counter: document.getElementById('page-counter'),
+    previousChapter: document.getElementById('previous-chapter'),
+    nextChapter: document.getElementById('next-chapter'),
+    mode: document.getElementById('mode')
+};
+
+// The open chapter: { series, chapter, previous, next, direction, pages, page, mode }
+let reader = null;
+// Cleanup of the current view (observers), run before the next one renders
+let teardown = null;
+let saveTimer = null;
+
+function el(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+const libraryPath = (series, ...parts) => ['/library', series, ...parts].map((part, index) => index === 0 ? part : encodeURIComponent(part)).join('/');
+const readHash = (series, chapter, page) => `#/read/${encodeURIComponent(series)}/${encodeURIComponent(chapter)}/${page}`;
+
+function apiHeaders(headers = {}) {
+    const key = localStorage.getItem(API_KEY);
+    return key ? { ...headers, 'X-API-Key': key } : headers;
+}
+
+/**
+ * Image and link URLs can't carry headers, so the key goes in the query string
+ */
+function withKey(url) {
+    const key = localStorage.getItem(API_KEY);
+    if (!key) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}api_key=${encodeURIComponent(key)}`;
+}
+
+async function api(url, options = {}, retry = true) {
+    const response = await fetch(url, { ...options, headers: apiHeaders(options.headers) });
+    const body = await response.json();
+    if (response.status === 401 && retry) {
+        const key = prompt(`${body.error}. Enter the API key for this server:`);
+        if (key) {
+            localStorage.setItem(API_KEY, key.trim());
+            return api(url, options, false);
+        }
+    }
+    if (!response.ok) throw new Error(body.error || response.statusText);
+    return body;
+}
+
+function showMessage(text) {
+    app.replaceChildren(el('p', 'message', text));
+}
+
+function setTitle(text, readerControls = false) {
+    toolbar.title.textContent = text;
+    toolbar.controls.hidden = !readerControls;
+    document.title = text ? `${text} - Manga Reader` : 'Manga Reader';
+}
+
+// Library
+
+async function showLibrary() {
+    setTitle('');
+    const { series } = await api('/library');
+    if (series.length === 0) return showMessage('No series in the library yet.');
+
+    const grid = el('div', 'series-grid');
+    for (const entry of series) {
+        const card = el('a', 'series-card');
+        card.href = `#/series/${encodeURIComponent(entry.name)}`;
+        if (entry.coverUrl) {
+            const cover = el('img');
+            cover.loading = 'lazy';
+            cover.alt = '';
+            cover.src = withKey(entry.coverUrl);
+            card.append(cover);
+        } else {
+            card.append(el('div', 'no-cover'));
+        }
+        card.append(
+            el('div', 'name', entry.title),
+            el('div', 'details', `${entry.chapters} chapters · updated ${new Date(entry.updatedAt).toLocaleDateString()}`)
+        );
+        grid.append(card);
+    }
+    app.replaceChildren(grid);
+}
+
+// Series
+
+async function showSeries(series) {
+    const [{ chapters }, { position }] = await Promise.all([
+        api(libraryPath(series, 'chapters')),
+        api(libraryPath(series, 'position'))
+    ]);
+    setTitle(series);
+
+    const page = el('div', 'series-page');
+    if (position) {
+        // Another device's mode is a better guess than the default
+        if (!localStorage.getItem(MODE_KEY)) localStorage.setItem(MODE_KEY, position.mode);
+        const resume = el('a', 'continue', `▶ Continue ${position.chapter}, page ${position.page + 1}`);
+        resume.href = readHash(series, position.chapter, position.page);
+        page.append(resume);
+    }
+
+    const list = el('ul', 'chapter-list');
+    for (const chapter of chapters) {
+        const item = el('li', chapter.name === position?.chapter ? 'current' : '');
+        const link = el('a', '', chapter.name);
+        link.href = readHash(series, chapter.name, 0);
+        item.append(link, el('span', 'pages', `${chapter.pages} pages`));
+        list.append(item);
+    }
+    page.append(list);
+    app.replaceChildren(page);
+}
+
+// Reader
+
+async function showChapter(series, chapter, page) {
+    const data = await api(libraryPath(series, 'chapters', chapter, 'pages'));
+    if (data.pages.length === 0) return showMessage('This chapter has no pages.');
+
+    reader = {
+        ...data,
+        // -1 opens the last page (turning back from the next chapter)
+        page: page < 0 ? data.pages.length - 1 : Math.min(page, data.pages.length - 1),
+        mode: localStorage.getItem(MODE_KEY) || 'paged'
+    };
+    setTitle(`${series} - ${chapter}`, true);
+    toolbar.previousChapter.disabled = !reader.previous;
+    toolbar.nextChapter.disabled = !reader.next;
+    renderReader();
+}
+
+/**
+ * URL of a page scaled for the screen; the server rounds the width up to one of its
+ * cached sizes and sends smaller images as they are
+ */
+function pageSource(page) {
+    const shownWidth = reader.mode === 'vertical' ? Math.min(app.clientWidth, VERTICAL_MAX_WIDTH) : app.clientWidth;
+    return withKey(`${page.url}?width=${Math.ceil(shownWidth * (window.devicePixelRatio || 1))}`);
+}
+
+function preload(indexes) {
+    for (const index of indexes) {
+        const page = reader.pages[index];
+        if (page) new Image().src = pageSource(page);
+    }
+}
+
+function renderReader() {
+    teardown?.();
+    teardown = null;
+    toolbar.mode.textContent = reader.mode === 'paged' ? '📜 Vertical' : '📖 Paged';
+    if (reader.mode === 'paged') {
+        renderPaged();
+    } else {
+        renderVertical();
+    }
+}
+
+function renderPaged() {
+    const container = el('div', 'paged');
+    const image = el('img');
+    image.alt = '';
+    container.append(image);
+    container.addEventListener('click', (event) => {
+        const { left, width } = container.getBoundingClientRect();
+        const leftHalf = event.clientX - left < width / 2;
+        // Reading right to left, the next page is on the left
+        turnPage(leftHalf === (reader.direction === 'rtl') ? 1 : -1);
+    });
+    app.replaceChildren(container);
+
+    reader.show = (index) => {
+        reader.page = index;
+        const page = reader.pages[index];
+        image.classList.toggle('fit-height', !(page.height > page.width * STRIP_RATIO));
+        image.src = pageSource(page);
+        window.scrollTo(0, 0);
+
+        const nearby = [];
+        for (let offset = 1; offset <= PRELOAD_PAGES; offset++) nearby.push(index + offset, index - offset);
+        preload(nearby);
+        pageChanged();
+    };
+    reader.show(reader.page);
+}
+
+function renderVertical() {
+    const container = el('div', 'vertical');
+    const images = reader.pages.map((page, index) => {
+        const image = el('img');
+        image.alt = '';
+        image.loading = 'lazy';
+        image.decoding = 'async';
+        // Known dimensions reserve the page's space before it loads, so the scroll position holds
+        if (page.width && page.height) {
+            image.width = page.width;
+            image.height = page.height;
+        }
+        image.dataset.index = index;
+        image.src = pageSource(page);
+        return image;
+    });
+    container.append(...images);
+
+    const end = el('div', 'chapter-end');
+    if (reader.next) {
+        const next = el('a', '', `Next: ${reader.next} →`);
+        next.href = readHash(reader.series, reader.next, 0);
+        end.append(next);
+    } else {
+        end.textContent = 'End of the latest chapter';
+    }
+    container.append(end);
+    app.replaceChildren(container);
+
+    // The page crossing the middle of the screen is the current one
+    const observer = new IntersectionObserver((entries) => {
+        const visible = entries.find(entry => entry.isIntersecting);
+        if (!visible) return;
+        reader.page = Number(visible.target.dataset.index);
+        for (let offset = 1; offset <= PRELOAD_PAGES; offset++) {
+            const upcoming = images[reader.page + offset];
+            if (upcoming) upcoming.loading = 'eager';
+        }
+        pageChanged();
+    }, { rootMargin: '-50% 0px -50% 0px' });
+    images.forEach(image => observer.observe(image));
+    teardown = () => observer.disconnect();
+
+    reader.show = (index) => images[index].scrollIntoView();
+    if (reader.page > 0) {
+        images[reader.page].loading = 'eager';
+        reader.show(reader.page);
+    } else {
+        window.scrollTo(0, 0);
+        pageChanged();
+    }
+}
+
+function turnPage(delta) {
+    const target = reader.page + delta;
+    if (target < 0) {
+        if (reader.previous) location.hash = readHash(reader.series, reader.previous, -1);
+    } else if (target >= reader.pages.length) {
+        if (reader.next) location.hash = readHash(reader.series, reader.next, 0);
+    } else {
+        reader.show(target);
+    }
+}
+
+function pageChanged() {
+    toolbar.counter.textContent = `${reader.page + 1} / ${reader.pages.length}`;
+    history.replaceState(null, '', readHash(reader.series, reader.chapter, reader.page));
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(savePosition, SAVE_DELAY);
+}
+
+function savePosition() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!reader) return;
+    // keepalive lets the save finish when it is sent as the page closes
+    fetch(libraryPath(reader.series, 'position'), {
+        method: 'PUT',
+        headers: apiHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ chapter: reader.chapter, page: reader.page, mode: reader.mode }),
+        keepalive: true
+    }).catch(err => console.warn(`Could not save the reading position: ${err.message}`));
+}
+
+function toggleMode() {
+    reader.mode = reader.mode === 'paged' ? 'vertical' : 'paged';
+    localStorage.setItem(MODE_KEY, reader.mode);
+    renderReader();
+}
+
+function openChapter(chapter) {
+    if (chapter) location.hash = readHash(reader.series, chapter, 0);
+}
+
+/**
+ * Arrow keys turn pages (swapped when reading right to left), Space / Page Down
+ * scroll through a tall page before turning it, Home / End jump to the first and
+ * last page, N / P change chapter, M switches mode and Escape returns to the series
+ */
+function handleKey(event) {
+    if (!reader || event.ctrlKey || event.metaKey || event.altKey) return;
+    const forward = reader.direction === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+    const back = reader.direction === 'rtl' ? 'ArrowRight' : 'ArrowLeft';
+    const atBottom = window.innerHeight + window.scrollY >= document.body.scrollHeight - 2;
+
+    switch (event.key) {
+        case forward:
+            turnPage(1);
+            break;
+        case back:
+            turnPage(-1);
+            break;
+        case ' ':
+        case 'PageDown':
+            // Let the browser scroll until the end of the page (or chapter, scrolling vertically)
+            if (reader.mode === 'vertical' || !atBottom) return;
+            turnPage(1);
+            break;
+        case 'Home':
+            reader.show(0);
+            break;
+        case 'End':
+            reader.show(reader.pages.length - 1);
+            break;
+        case 'n':
+            openChapter(reader.next);
+            break;
+        case 'p':
+            openChapter(reader.previous);
+            break;
+        case 'm':
+            toggleMode();
+            break;
+        case 'Escape':
+            location.hash = `#/series/${encodeURIComponent(reader.series)}`;
+            break;
+        default:
+            return;
+    }
+    event.preventDefault();
+}
+
+async function route() {
+    if (saveTimer) savePosition();
+    teardown?.();
+    teardown = null;
+    reader = null;
+
+    try {
+        const [view, ...params] = location.hash.replace(/^#\/?/, '').split('/').map(decodeURIComponent);
+        if (view === 'series') {
+            await showSeries(params[0]);
+        } else if (view === 'read') {
+            await showChapter(params[0], params[1], Number(params[2]) || 0);
+        } else {
+            await showLibrary();
+        }
+    } catch (err) {
+        showMessage(`⚠️ ${err.message}`);
+    }
+}
+
+toolbar.previousChapter.addEventListener('click', () => openChapter(reader?.previous));
+toolbar.nextChapter.addEventListener('click', () => openChapter(reader?.next));
+toolbar.mode.addEventListener('click', () => reader && toggleMode());
+document.addEventListener('keydown', handleKey);
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden' && saveTimer) savePosition();
+});
+window.addEventListener('hashchange', route);
+route();
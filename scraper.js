@@ -1,22 +1,39 @@
-import { get } from 'axios';
+import axios from 'axios';
 import { load } from 'cheerio';
+import { getAdapterForUrl, extractWithCheerio } from './lib/adapters/index.js';
+import { PROGRESS_EVENTS } from './lib/progress.js';
+import { getSeriesSettings } from './lib/config.js';
 
-async function scrapeMangaImages(pageUrl) {
-    const { data } = await get(pageUrl, {
+/**
+ * Fetches a chapter page and extracts images, title and navigation links
+ * using the site adapter matching the URL (or `options.adapter`)
+ * The User-Agent comes from `options.userAgent` or the config
+ */
+async function scrapeChapterPage(pageUrl, options = {}) {
+    const { adapter = getAdapterForUrl(pageUrl), progress } = options;
+    const { userAgent } = getSeriesSettings(null, options);
+
+    progress?.report(PROGRESS_EVENTS.SCRAPE_STARTED, { url: pageUrl, adapter: adapter.name });
+    const { data } = await axios.get(pageUrl, {
         headers: {
-            'User-Agent': 'Mozilla/5.0'
+            'User-Agent': userAgent
         }
     });
 
     const $ = load(data);
-    const imageUrls = [];
+    const page = { adapter: adapter.name, ...extractWithCheerio($, adapter, pageUrl) };
 
-    $('#chapter-images .chapter-image img').each((_, img) => {
-        const src = $(img).attr('data-src') || $(img).attr('src');
-        if (src) imageUrls.push(src);
+    progress?.report(PROGRESS_EVENTS.PAGE_SCRAPED, {
+        url: pageUrl,
+        chapter: page.title,
+        imagesTotal: page.imageUrls.length
     });
+    return page;
+}
 
+async function scrapeMangaImages(pageUrl, options = {}) {
+    const { imageUrls } = await scrapeChapterPage(pageUrl, options);
     return imageUrls;
 }
 
-export { scrapeMangaImages };
+export { scrapeMangaImages, scrapeChapterPage };
@@ -1,47 +1,675 @@
 import express from 'express';
-import { json } from 'body-parser';
+import bodyParser from 'body-parser';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { scrapeMangaImages } from './scraper.js';
 import { downloadImages } from './downloader.js';
-import { createMangaPDF, createChapterPDF } from './lib/pdf-generator.js';
+import { diagnoseImages } from './diagnose-images.js';
+import { scrapeManga, updateManga } from './puppeteer-scrape.js';
+import { BUILDERS, BUILD_OPTIONS, buildSeries, resolveOutputPath } from './lib/builders.js';
+import { loadConfig, getConfig, getSeriesSettings } from './lib/config.js';
+import { JobQueue } from './lib/job-queue.js';
+import { WatchScheduler } from './lib/watch-scheduler.js';
+import { WebhookDispatcher } from './lib/webhooks.js';
+import { resolveLayout } from './lib/page-layout.js';
+import { resolveWebtoon } from './lib/webtoon.js';
+import { resolveVolumes } from './lib/volumes.js';
+import { parseChapterSelection } from './lib/chapter-selection.js';
+import { resolveJunk, isPageHash } from './lib/junk-pages.js';
+import { resolveOptimize } from './lib/image-optimizer.js';
+import { resolveDirection, resolveSpread } from './lib/spreads.js';
+import { readJsonReport } from './lib/reports.js';
+import {
+    OUTPUT_CONTENT_TYPES,
+    listSeriesFolders,
+    describeSeries,
+    listSeriesChapters,
+    listSeriesOutputs,
+    listChapterPages,
+    getPageImage,
+    getCoverThumbnail
+} from './lib/library.js';
+import { READER_MODES, ReadingPositions } from './lib/reading-positions.js';
+import { ApiAccess } from './lib/api-access.js';
+import { resolveLibraryPath, checkScrapeUrl } from './lib/sandbox.js';
+import { validateBody } from './lib/request-validation.js';
+
+// Get __dirname equivalent in ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 const app = express();
-app.use(json());
 
-app.post('/scrape', async (req, res) => {
-    const { url, folder } = req.body;
-    if (!url) return res.status(400).json({ error: 'URL is required' });
+// Browser reader for the library (see reader/); its files are public, the API it calls isn't
+app.use('/reader', express.static(path.join(__dirname, 'reader')));
+app.get('/', (req, res) => res.redirect('/reader/'));
+
+// Everything else needs an API key once the config has some, and is rate limited
+const access = new ApiAccess();
+app.use(access.middleware());
+app.use(bodyParser.json());
+
+// Long-running work happens in background jobs; state survives restarts
+const queue = new JobQueue({ stateFile: path.join(__dirname, 'data', 'jobs.json') });
+
+// Followed series are checked for new chapters in the background; the follow list
+// and the release feed live in data/watchlist.json
+const watcher = new WatchScheduler({
+    stateFile: path.join(__dirname, 'data', 'watchlist.json'),
+    queue,
+    update: updateManga,
+    libraryDir: __dirname
+});
+
+// Job and release events go out to the webhooks in the config; deliveries are
+// logged to data/webhook-deliveries.log
+const webhooks = new WebhookDispatcher({ logFile: path.join(__dirname, 'data', 'webhook-deliveries.log') });
+webhooks.attachQueue(queue);
+watcher.on('release', release => webhooks.dispatch('new-release', release));
+
+// Where the reader left off in each series, shared by every device
+const readingPositions = new ReadingPositions({ stateFile: path.join(__dirname, 'data', 'reading-positions.json') });
+
+queue.registerHandler('scrape', async (job, { signal, progress }) => {
+    const { url, folder, chapters } = job.params;
+
+    if (chapters) {
+        // A chapter selection walks the series from `url` instead of scraping one page
+        const result = await scrapeManga(url, { chapters, createPdf: false, outputDir: libraryRoot(), signal, progress });
+        return {
+            message: `Downloaded ${result.chaptersDownloaded} chapters.`,
+            chaptersDownloaded: result.chaptersDownloaded,
+            mangaFolder: result.mangaFolder
+        };
+    }
+
+    const images = await scrapeMangaImages(url, { progress });
+    const result = await downloadImages(images, folder, { signal, progress, downloadsDir: downloadsDir() });
+
+    return {
+        message: `Downloaded ${result.downloaded.length} images (${result.skipped.length} already present, ${result.failed.length} failed).`,
+        downloaded: result.downloaded.length,
+        skipped: result.skipped.length,
+        failed: result.failed
+    };
+});
+
+queue.registerHandler('update', async (job, { signal, progress }) => {
+    const { mangaFolder, chapters, build } = job.params;
+    const result = await updateManga(mangaFolder, { chapters, build, signal, progress });
+    return {
+        message: result.newChapters === 0
+            ? 'No new chapters.'
+            : `Downloaded ${result.chaptersDownloaded} of ${result.newChapters} new chapters.`,
+        ...result
+    };
+});
+
+queue.registerHandler('create-pdf', async (job, { signal, progress }) => {
+    const { mangaFolder, outputName, type, format = 'pdf', ...buildOptions } = job.params;
+    const [, buildChapter] = BUILDERS[format];
+    const label = format.toUpperCase();
+    // The file name can come from the outputName template and the metadata title,
+    // so the path the build will write to is what has to stay in the library
+    libraryPath(resolveOutputPath(format, mangaFolder, outputName, buildOptions, type), 'Output path');
+
+    if (type === 'chapter') {
+        // Create output for a single chapter
+        const { outputPath, stats, reportPath } = await buildChapter(mangaFolder, outputName, { signal, progress, ...buildOptions });
+        const downloadUrls = outputDownloadUrls(path.dirname(path.resolve(mangaFolder)), [outputPath]);
+        return { message: `${label} created successfully`, pdfPath: outputPath, outputPath, downloadUrls, format, stats, reportPaths: reportPath ? [reportPath] : [] };
+    }
+
+    // Create output for entire manga (default)
+    const { outputPath, stats, files = [outputPath], reportPaths = [] } = await buildSeries(format, mangaFolder, outputName, { signal, progress, ...buildOptions });
+    const downloadUrls = outputDownloadUrls(path.resolve(mangaFolder), files);
+    return { message: `${label} created successfully`, pdfPath: outputPath, outputPath, files, downloadUrls, format, stats, reportPaths };
+});
+
+queue.registerHandler('diagnose', async (job, { signal }) => {
+    const { mangaFolder, quarantine, deep, repair } = job.params;
+    const { corruptedImages, reportPath, report } = await diagnoseImages(path.resolve(mangaFolder), quarantine, { deep, repair, signal });
+    if (corruptedImages.length > 0) {
+        webhooks.dispatch('corrupted-images', { jobId: job.id, jobType: job.type, folder: mangaFolder, corruptedImages });
+    }
+    return {
+        message: `${corruptedImages.length} of ${report.summary.totalImages} images are corrupted` +
+            (repair ? `, ${report.summary.repairedImages} repaired.` : '.'),
+        summary: report.summary,
+        reportPaths: [reportPath]
+    };
+});
+
+// The folder the API works in: the config's server.libraryDir, else next to this
+// file. Paths in requests are resolved against it and may not leave it
+function libraryRoot() {
+    return getConfig().server.libraryDir || __dirname;
+}
 
+const downloadsDir = () => path.join(libraryRoot(), 'downloads');
+
+/**
+ * A client-supplied path inside the library folder; throws for one outside it
+ */
+function libraryPath(input, name) {
+    return resolveLibraryPath(libraryRoot(), input, name);
+}
+
+function isInLibrary(folder) {
     try {
-        const images = await scrapeMangaImages(url);
-        await downloadImages(images, folder || 'chapter-images');
-        res.json({ message: `Downloaded ${images.length} images.` });
+        libraryPath(folder);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Hosts scrapes may start from besides the site adapters': the config's
+// server.allowedHosts and the hosts of the series' configured source URLs
+function allowedScrapeHosts() {
+    const { server, series } = getConfig();
+    const sourceHosts = Object.values(series)
+        .filter(entry => entry.sourceUrl && URL.canParse(entry.sourceUrl))
+        .map(entry => new URL(entry.sourceUrl).hostname);
+    return [...server.allowedHosts, ...sourceHosts];
+}
+
+// Series the library catalog lists: the series folders in the library (where scrapes
+// download to) plus followed series kept in its subfolders
+function librarySeries() {
+    return listSeriesFolders(libraryRoot(), watcher.list().map(follow => follow.mangaFolder).filter(isInLibrary));
+}
+
+const libraryUrl = (...parts) => ['/library', ...parts.map(encodeURIComponent)].join('/');
+
+/**
+ * Catalog download URLs of generated files; files outside a library series get none
+ */
+function outputDownloadUrls(seriesFolder, files) {
+    const series = path.basename(seriesFolder);
+    if (librarySeries().get(series) !== seriesFolder) return [];
+    return files
+        .map(file => path.relative(seriesFolder, file))
+        .filter(file => !file.startsWith('..') && !path.isAbsolute(file))
+        .map(file => libraryUrl(series, 'outputs', file));
+}
+
+/**
+ * The request body checked against `fields` (see validateBody), or null after
+ * answering 400 with the problems
+ */
+function readBody(req, res, fields) {
+    try {
+        return validateBody(req.body, fields);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(400).json({ error: err.message, details: err.details });
+        return null;
     }
+}
+
+function jobAccepted(res, job) {
+    res.status(202).json({
+        message: 'Job queued',
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`
+    });
+}
+
+// Request bodies of the routes below; paths in them are relative to the library folder
+const SCRAPE_FIELDS = {
+    url: { type: 'string' },
+    series: { type: 'string' },
+    folder: { type: 'string' },
+    chapters: { check: parseChapterSelection }
+};
+
+const UPDATE_FIELDS = {
+    series: { type: 'string' },
+    mangaFolder: { type: 'string' },
+    chapters: { check: parseChapterSelection },
+    build: { type: 'boolean' }
+};
+
+const CREATE_PDF_FIELDS = {
+    mangaFolder: { type: 'string', required: true },
+    outputName: { type: 'string' },
+    type: { type: 'string', oneOf: ['manga', 'chapter'] },
+    format: { type: 'string', oneOf: Object.keys(BUILDERS) },
+    layout: { check: resolveLayout },
+    webtoon: { check: resolveWebtoon },
+    cover: { type: 'boolean' },
+    toc: { type: 'boolean' },
+    metadata: { type: 'object' },
+    volumes: { check: resolveVolumes },
+    chapters: { check: parseChapterSelection },
+    junk: { check: resolveJunk },
+    optimize: { check: resolveOptimize },
+    direction: { check: resolveDirection },
+    spread: { check: resolveSpread }
+};
+
+const DIAGNOSE_FIELDS = {
+    mangaFolder: { type: 'string', required: true },
+    quarantine: { type: 'boolean' },
+    deep: { type: 'boolean' },
+    repair: { type: 'boolean' }
+};
+
+const WATCHLIST_FIELDS = {
+    series: { type: 'string', required: true },
+    mangaFolder: { type: 'string' },
+    sourceUrl: { type: 'string' },
+    interval: { type: 'integer' }
+};
+
+const POSITION_FIELDS = {
+    chapter: { type: 'string', required: true },
+    page: { type: 'integer' },
+    mode: { type: 'string', oneOf: READER_MODES }
+};
+
+app.post('/scrape', (req, res) => {
+    const body = readBody(req, res, SCRAPE_FIELDS);
+    if (!body) return;
+    const { series, chapters } = body;
+    // A series name from the config can stand in for its source URL
+    const sourceUrl = body.url || getConfig().series[series]?.sourceUrl;
+    if (!sourceUrl) return res.status(400).json({ error: 'URL is required (or a series with a sourceUrl in the config)' });
+
+    let url, folder;
+    try {
+        url = checkScrapeUrl(sourceUrl, allowedScrapeHosts());
+        // Stored relative to the downloads folder, which downloadImages joins it to
+        folder = path.relative(downloadsDir(), resolveLibraryPath(downloadsDir(), body.folder || 'chapter-images', 'folder'));
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    const job = queue.enqueue('scrape', { url, folder, chapters });
+    jobAccepted(res, job);
 });
 
-app.post('/create-pdf', async (req, res) => {
-    const { mangaFolder, outputName, type } = req.body;
-    if (!mangaFolder) return res.status(400).json({ error: 'mangaFolder path is required' });
+// Fetches new chapters of a downloaded series and rebuilds the affected outputs
+app.post('/update', (req, res) => {
+    const body = readBody(req, res, UPDATE_FIELDS);
+    if (!body) return;
+    const { series, chapters, build } = body;
+    if (!body.mangaFolder && !series) return res.status(400).json({ error: 'mangaFolder (or series) is required' });
 
+    let mangaFolder;
     try {
-        let pdfPath;
-        
-        if (type === 'chapter') {
-            // Create PDF for a single chapter
-            pdfPath = await createChapterPDF(mangaFolder, outputName);
-        } else {
-            // Create PDF for entire manga (default)
-            pdfPath = await createMangaPDF(mangaFolder, outputName);
+        // Scrape jobs create series folders in the library folder
+        mangaFolder = body.mangaFolder ? libraryPath(body.mangaFolder, 'mangaFolder') : libraryPath(series, 'series');
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    const job = queue.enqueue('update', { mangaFolder, chapters, build });
+    jobAccepted(res, job);
+});
+
+app.post('/create-pdf', (req, res) => {
+    const body = readBody(req, res, CREATE_PDF_FIELDS);
+    if (!body) return;
+    const { outputName, type } = body;
+    const buildOptions = Object.fromEntries(
+        BUILD_OPTIONS.filter(key => body[key] !== undefined).map(key => [key, body[key]])
+    );
+
+    let mangaFolder, seriesFolder;
+    try {
+        mangaFolder = libraryPath(body.mangaFolder, 'mangaFolder');
+        seriesFolder = type === 'chapter' ? path.dirname(mangaFolder) : mangaFolder;
+        // Output, cover and blocklist files are read or written, so they stay in the library too
+        if (outputName) libraryPath(path.resolve(seriesFolder, outputName), 'outputName');
+        if (typeof buildOptions.metadata?.cover === 'string') {
+            libraryPath(path.resolve(seriesFolder, buildOptions.metadata.cover), 'metadata.cover');
+        }
+        if (Array.isArray(buildOptions.junk?.blocklist)) {
+            const blocklist = buildOptions.junk.blocklist.map(entry => isPageHash(entry) ? entry : libraryPath(entry, 'junk.blocklist'));
+            buildOptions.junk = { ...buildOptions.junk, blocklist };
         }
-        
-        res.json({ 
-            message: 'PDF created successfully', 
-            pdfPath: pdfPath 
-        });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        return res.status(400).json({ error: err.message });
+    }
+
+    // Unset format falls back to the config entry for the series folder
+    const format = body.format ?? getSeriesSettings(path.basename(seriesFolder)).format;
+    if (!BUILDERS[format]) {
+        return res.status(400).json({ error: `format must be one of: ${Object.keys(BUILDERS).join(', ')}` });
     }
+    if (buildOptions.volumes && format !== 'pdf') {
+        return res.status(400).json({ error: 'volumes is only supported for the pdf format' });
+    }
+
+    const job = queue.enqueue('create-pdf', { mangaFolder, outputName, type, format, ...buildOptions });
+    jobAccepted(res, job);
+});
+
+app.post('/diagnose', (req, res) => {
+    const body = readBody(req, res, DIAGNOSE_FIELDS);
+    if (!body) return;
+    const { quarantine = false, deep = false, repair = false } = body;
+
+    let mangaFolder;
+    try {
+        mangaFolder = libraryPath(body.mangaFolder, 'mangaFolder');
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    const job = queue.enqueue('diagnose', { mangaFolder, quarantine, deep, repair });
+    jobAccepted(res, job);
+});
+
+app.get('/watchlist', (req, res) => {
+    res.json({ series: watcher.list() });
+});
+
+// Follows a series (or changes its folder, source URL or interval) and checks it right away
+app.post('/watchlist', (req, res) => {
+    const body = readBody(req, res, WATCHLIST_FIELDS);
+    if (!body) return;
+    const { series, interval } = body;
+    try {
+        // Without a mangaFolder the series is followed in <library>/<series>
+        libraryPath(series, 'series');
+        const mangaFolder = body.mangaFolder && libraryPath(body.mangaFolder, 'mangaFolder');
+        const configuredUrl = body.sourceUrl || getConfig().series[series]?.sourceUrl;
+        const sourceUrl = configuredUrl && checkScrapeUrl(configuredUrl, allowedScrapeHosts(), 'sourceUrl');
+        res.status(201).json(watcher.follow({ series, mangaFolder, sourceUrl, interval }));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/watchlist/:series', (req, res) => {
+    if (!watcher.unfollow(req.params.series)) return res.status(404).json({ error: 'Series is not followed' });
+    res.status(204).end();
 });
 
-app.listen(3000, () => console.log('Server running on http://localhost:3000'));
+app.post('/watchlist/:series/check', (req, res) => {
+    const job = watcher.checkNow(req.params.series);
+    if (!job) return res.status(404).json({ error: 'Series is not followed' });
+    jobAccepted(res, job);
+});
+
+// New chapters found by the scheduler, newest first (?series=, ?since=<ISO date>, ?limit=)
+app.get('/feed', (req, res) => {
+    const { series, since } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+    if (limit !== undefined && !(limit > 0)) return res.status(400).json({ error: 'limit must be a positive integer' });
+    res.json({ releases: watcher.getFeed({ series, since, limit }) });
+});
+
+// Recent webhook deliveries, newest first (?event=, ?status=delivered|failed|pending, ?limit=)
+app.get('/webhooks/deliveries', (req, res) => {
+    const { event, status } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+    if (limit !== undefined && !(limit > 0)) return res.status(400).json({ error: 'limit must be a positive integer' });
+    res.json({ deliveries: webhooks.getDeliveries({ event, status, limit }) });
+});
+
+// Read-only catalog of the library: series, their chapters and generated files
+app.get('/library', (req, res) => {
+    const series = [...librarySeries()].map(([name, folder]) => {
+        const { hasCover, ...entry } = describeSeries(name, folder);
+        return { ...entry, coverUrl: hasCover ? libraryUrl(name, 'cover') : null };
+    });
+    res.json({ series });
+});
+
+// Resolves :series to its folder, or answers 404
+function findLibrarySeries(req, res) {
+    const folder = librarySeries().get(req.params.series);
+    if (!folder) res.status(404).json({ error: 'Series not found' });
+    return folder;
+}
+
+app.get('/library/:series/cover', async (req, res) => {
+    const folder = findLibrarySeries(req, res);
+    if (!folder) return;
+    try {
+        const thumbnail = await getCoverThumbnail(folder);
+        if (!thumbnail) return res.status(404).json({ error: 'Series has no images' });
+        // The cache folder is a dot folder, which sendFile refuses by default
+        res.type('jpeg').sendFile(thumbnail, { dotfiles: 'allow' });
+    } catch (err) {
+        res.status(500).json({ error: `Could not make a cover thumbnail: ${err.message}` });
+    }
+});
+
+app.get('/library/:series/chapters', (req, res) => {
+    const folder = findLibrarySeries(req, res);
+    if (!folder) return;
+    res.json({ series: req.params.series, chapters: listSeriesChapters(folder) });
+});
+
+app.get('/library/:series/outputs', (req, res) => {
+    const folder = findLibrarySeries(req, res);
+    if (!folder) return;
+    const outputs = listSeriesOutputs(folder).map(output => ({
+        ...output,
+        downloadUrl: libraryUrl(req.params.series, 'outputs', output.file)
+    }));
+    res.json({ series: req.params.series, outputs });
+});
+
+// Pages of a chapter for the reader, with the neighbouring chapters and the series'
+// reading direction; `url`s are of the original images (add ?width= for a smaller one)
+app.get('/library/:series/chapters/:chapter/pages', async (req, res) => {
+    const folder = findLibrarySeries(req, res);
+    if (!folder) return;
+    const { series, chapter } = req.params;
+    const pages = await listChapterPages(folder, chapter);
+    if (!pages) return res.status(404).json({ error: 'Chapter not found' });
+
+    const chapters = listSeriesChapters(folder).map(({ name }) => name);
+    const index = chapters.indexOf(chapter);
+    res.json({
+        series,
+        chapter,
+        previous: chapters[index - 1] ?? null,
+        next: chapters[index + 1] ?? null,
+        direction: getSeriesSettings(series).direction,
+        pages: pages.map(page => ({ ...page, url: libraryUrl(series, 'chapters', chapter, 'pages', page.file) }))
+    });
+});
+
+// A page image from its chapter folder; ?width=N serves a resized copy at least N
+// pixels wide (made once with sharp, then cached in the series' .thumbnails/)
+app.get('/library/:series/chapters/:chapter/pages/:file', async (req, res) => {
+    const folder = findLibrarySeries(req, res);
+    if (!folder) return;
+    const width = req.query.width === undefined ? null : Number(req.query.width);
+    if (width !== null && !(Number.isInteger(width) && width > 0)) {
+        return res.status(400).json({ error: 'width must be a positive integer' });
+    }
+
+    try {
+        const imagePath = await getPageImage(folder, req.params.chapter, req.params.file, width);
+        if (!imagePath) return res.status(404).json({ error: 'Page not found' });
+        res.sendFile(imagePath, { dotfiles: 'allow' });
+    } catch (err) {
+        res.status(500).json({ error: `Could not read page: ${err.message}` });
+    }
+});
+
+app.get('/library/:series/position', (req, res) => {
+    if (!findLibrarySeries(req, res)) return;
+    res.json({ series: req.params.series, position: readingPositions.get(req.params.series) });
+});
+
+// Saves the reading position: { chapter, page, mode: 'paged' | 'vertical' }
+app.put('/library/:series/position', (req, res) => {
+    const folder = findLibrarySeries(req, res);
+    if (!folder) return;
+    const position = readBody(req, res, POSITION_FIELDS);
+    if (!position) return;
+    if (!listSeriesChapters(folder).some(({ name }) => name === position.chapter)) {
+        return res.status(400).json({ error: 'chapter must be a chapter of the series' });
+    }
+    try {
+        res.json({ series: req.params.series, position: readingPositions.set(req.params.series, position) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Streams a generated file; only files the outputs listing offers can be fetched.
+// sendFile answers Range requests (206 / 416) and conditional GETs
+app.get('/library/:series/outputs/:file', (req, res) => {
+    const folder = findLibrarySeries(req, res);
+    if (!folder) return;
+    const output = listSeriesOutputs(folder).find(({ file }) => file === path.normalize(req.params.file));
+    if (!output) return res.status(404).json({ error: 'Output not found' });
+
+    res.attachment(path.basename(output.file));
+    res.sendFile(path.join(folder, output.file), {
+        headers: { 'Content-Type': OUTPUT_CONTENT_TYPES[output.format] }
+    }, (err) => {
+        if (err && !res.headersSent) res.status(err.status || 500).json({ error: err.message });
+    });
+});
+
+app.get('/jobs', (req, res) => {
+    const { status, type } = req.query;
+    res.json({ jobs: queue.list({ status, type }) });
+});
+
+app.get('/jobs/:id', (req, res) => {
+    const job = queue.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+});
+
+// JSON report(s) written by a finished create-pdf or diagnose job - one per volume
+app.get('/jobs/:id/report', (req, res) => {
+    const job = queue.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    const reportPaths = job.result?.reportPaths || [];
+    if (reportPaths.length === 0) return res.status(404).json({ error: 'Job has no report' });
+    try {
+        res.json({ reports: reportPaths.map(readJsonReport) });
+    } catch (err) {
+        res.status(410).json({ error: `Report is no longer available: ${err.message}` });
+    }
+});
+
+// Streams job progress as Server-Sent Events; buffered events are replayed first
+// and Last-Event-ID lets a reconnecting client skip the ones it already has
+app.get('/jobs/:id/events', (req, res) => {
+    const job = queue.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+
+    const send = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+    const isDone = () => !['queued', 'running'].includes(queue.get(job.id)?.status);
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') ?? '-1', 10);
+    queue.getEvents(job.id, Number.isNaN(lastEventId) ? -1 : lastEventId).forEach(send);
+
+    if (isDone()) {
+        // Jobs restored from disk have no buffered events - still report how they ended
+        if (queue.getEvents(job.id).length === 0) {
+            send({ id: 0, type: 'status', jobId: job.id, status: job.status, progress: job.progress });
+        }
+        return res.end();
+    }
+
+    const onEvent = (jobId, event) => {
+        if (jobId !== job.id) return;
+        send(event);
+        if (event.type === 'status' && isDone()) cleanup();
+    };
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        queue.off('job-event', onEvent);
+        res.end();
+    };
+
+    queue.on('job-event', onEvent);
+    req.on('close', cleanup);
+});
+
+// Cancels a queued/running job, or removes a finished one from the history
+app.delete('/jobs/:id', (req, res) => {
+    const job = queue.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    if (job.status === 'queued' || job.status === 'running') {
+        queue.cancel(job.id);
+        return res.json({ message: 'Cancellation requested', job });
+    }
+
+    queue.remove(job.id);
+    res.status(204).end();
+});
+
+// Unknown routes and the errors Express catches (malformed JSON, failed handlers)
+// are answered in the same { error } shape as the routes
+app.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+});
+
+app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON' });
+    }
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) console.error(`❌ ${req.method} ${req.path}: ${err.stack || err.message}`);
+    res.status(status).json({ error: status >= 500 ? 'Internal server error' : err.message });
+});
+
+/**
+ * Loads the config (unless the caller already did, e.g. `manga serve --config`),
+ * restores persisted jobs and the watch list, starts the scheduler and starts
+ * listening; resolves with the http.Server
+ */
+async function startServer(port = process.env.PORT || 3000, config = loadConfig()) {
+    // Fail at startup on an invalid config rather than in the first job
+    webhooks.configure(config.webhooks);
+    access.configure(config.server);
+    if (!fs.existsSync(libraryRoot())) {
+        throw new Error(`Library folder not found: ${libraryRoot()} (server.libraryDir in the config)`);
+    }
+    watcher.libraryDir = libraryRoot();
+    if (!access.enabled) {
+        console.warn('⚠️  No API keys in the config (server.apiKeys) - anyone who can reach the port can use the API');
+    }
+    // Follows first: restored watch-check jobs look their series up when they run
+    watcher.load();
+    readingPositions.load();
+    queue.load();
+    watcher.start();
+    return new Promise((resolve, reject) => {
+        // Express 5 passes listen errors (e.g. EADDRINUSE) to the callback
+        const server = app.listen(port, (err) => {
+            if (err) return reject(err);
+            console.log(`Server running on http://localhost:${port}`);
+            resolve(server);
+        });
+    });
+}
+
+export { app, startServer };
+
+// npm start
+if (process.argv[1] === __filename) {
+    startServer().catch((err) => {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    });
+}
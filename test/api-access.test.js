@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { ApiAccess } from '../lib/api-access.js';
+import { resolveLibraryPath, matchesHost, checkScrapeUrl } from '../lib/sandbox.js';
+
+// Serves GET /whoami behind the middleware; resolves the base URL
+async function startApp(t, serverConfig) {
+    const access = new ApiAccess();
+    access.configure(serverConfig);
+
+    const app = express();
+    app.use(access.middleware());
+    app.get('/whoami', (req, res) => res.json({ client: req.apiClient }));
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    t.after(() => server.close());
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('with API keys, requests need a valid key in a header or the query string', async (t) => {
+    const base = await startApp(t, { apiKeys: [{ name: 'reader', key: 'secret-key' }] });
+
+    const missing = await fetch(`${base}/whoami`);
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('WWW-Authenticate'), 'Bearer');
+    assert.deepEqual(await missing.json(), { error: 'API key required' });
+
+    const invalid = await fetch(`${base}/whoami`, { headers: { 'X-API-Key': 'wrong' } });
+    assert.equal(invalid.status, 401);
+    assert.deepEqual(await invalid.json(), { error: 'Invalid API key' });
+
+    for (const request of [
+        fetch(`${base}/whoami`, { headers: { 'X-API-Key': 'secret-key' } }),
+        fetch(`${base}/whoami`, { headers: { Authorization: 'Bearer secret-key' } }),
+        fetch(`${base}/whoami?api_key=secret-key`)
+    ]) {
+        const response = await request;
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), { client: 'reader' });
+    }
+});
+
+test('requests over the rate limit get 429 with Retry-After', async (t) => {
+    const base = await startApp(t, {
+        rateLimit: 100,
+        apiKeys: [{ name: 'script', key: 'limited', rateLimit: 2 }, { name: 'app', key: 'default' }]
+    });
+    const as = key => fetch(`${base}/whoami`, { headers: { 'X-API-Key': key } });
+
+    const first = await as('limited');
+    assert.equal(first.headers.get('RateLimit-Limit'), '2');
+    assert.equal(first.headers.get('RateLimit-Remaining'), '1');
+    assert.equal((await as('limited')).status, 200);
+
+    const limited = await as('limited');
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('Retry-After')) >= 1);
+    assert.deepEqual(await limited.json(), { error: 'Rate limit of 2 requests per minute exceeded' });
+
+    // Each key has its own window, with the section's limit unless it sets one
+    const other = await as('default');
+    assert.equal(other.status, 200);
+    assert.equal(other.headers.get('RateLimit-Limit'), '100');
+});
+
+test('without API keys the API is open and limited per IP address', async (t) => {
+    const base = await startApp(t, { rateLimit: 1 });
+
+    const first = await fetch(`${base}/whoami`);
+    assert.equal(first.status, 200);
+    assert.deepEqual(await first.json(), { client: null });
+    assert.equal((await fetch(`${base}/whoami`)).status, 429);
+});
+
+test('consume starts a new window once the old one has expired', () => {
+    const access = new ApiAccess();
+    assert.equal(access.consume('ip:1', 1, 0).allowed, true);
+    assert.equal(access.consume('ip:1', 1, 1000).allowed, false);
+    assert.deepEqual(access.consume('ip:1', 1, 60 * 1000), { allowed: true, remaining: 0, resetAt: 120 * 1000 });
+});
+
+test('resolveLibraryPath keeps paths inside the library folder', () => {
+    assert.equal(resolveLibraryPath('/library', 'solo-leveling'), '/library/solo-leveling');
+    assert.equal(resolveLibraryPath('/library', '/library/a/../b'), '/library/b');
+    assert.throws(() => resolveLibraryPath('/library', '../etc/passwd'), /must be inside the library folder/);
+    assert.throws(() => resolveLibraryPath('/library', '/etc'), /must be inside the library folder/);
+    assert.throws(() => resolveLibraryPath('/library', '/library-other/x'), /must be inside the library folder/);
+    assert.throws(() => resolveLibraryPath('/library', 'a\0b', 'folder'), /folder must be a path/);
+});
+
+test('checkScrapeUrl only allows http(s) URLs on adapter or configured hosts', () => {
+    assert.equal(matchesHost('img.Example.com', ['example.com']), true);
+    assert.equal(matchesHost('badexample.com', ['example.com']), false);
+
+    assert.equal(checkScrapeUrl('https://mangaoi.net/manga/1'), 'https://mangaoi.net/manga/1');
+    assert.equal(checkScrapeUrl('https://cdn.example.com/a', ['example.com']), 'https://cdn.example.com/a');
+    assert.throws(() => checkScrapeUrl('https://example.com/a'), /host example.com is not allowed/);
+    assert.throws(() => checkScrapeUrl('file:///etc/passwd'), /must be an http\(s\) URL/);
+    assert.throws(() => checkScrapeUrl('not a url'), /must be an http\(s\) URL/);
+});
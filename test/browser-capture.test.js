@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { DEFAULT_CAPTURE, AD_HOSTS, resolveCapture, resolveBlockAds } from '../lib/browser-capture.js';
+import { downloadFiles } from '../lib/download-engine.js';
+
+test('resolveCapture is off by default and fills in the defaults', () => {
+    for (const option of [undefined, null, false]) {
+        assert.equal(resolveCapture(option), null);
+    }
+    assert.deepEqual(resolveCapture(true), DEFAULT_CAPTURE);
+    assert.deepEqual(resolveCapture({ settleTime: 2000 }), { ...DEFAULT_CAPTURE, settleTime: 2000 });
+});
+
+test('resolveCapture rejects unknown and non-positive settings', () => {
+    assert.throws(() => resolveCapture('yes'), /capture must be true or an object/);
+    assert.throws(() => resolveCapture([]), /capture must be true or an object/);
+    assert.throws(() => resolveCapture({ delay: 10 }), /Unknown capture setting\(s\): delay/);
+    assert.throws(() => resolveCapture({ maxScrolls: 0 }), /capture.maxScrolls must be a positive integer/);
+    assert.throws(() => resolveCapture({ scrollDelay: 12.5 }), /capture.scrollDelay must be a positive integer/);
+});
+
+test('resolveBlockAds adds extra hosts to the built-in list', () => {
+    assert.equal(resolveBlockAds(undefined), null);
+    assert.deepEqual(resolveBlockAds(true), { hosts: AD_HOSTS, resourceTypes: ['media', 'font'] });
+    assert.deepEqual(resolveBlockAds({ hosts: ['ads.example.com'] }).hosts, [...AD_HOSTS, 'ads.example.com']);
+
+    assert.throws(() => resolveBlockAds('all'), /blockAds must be true or \{ hosts/);
+    assert.throws(() => resolveBlockAds({ types: ['font'] }), /Unknown blockAds setting\(s\): types/);
+    assert.throws(() => resolveBlockAds({ hosts: [''] }), /blockAds.hosts must be a list of host names/);
+});
+
+test('captured image bytes are saved without a download, and bad ones are fetched from the URL', async (t) => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'browser-capture-'));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    const image = await sharp({ create: { width: 40, height: 60, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+        requests++;
+        res.setHeader('Content-Type', 'image/jpeg');
+        res.end(image);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const url = `http://127.0.0.1:${server.address().port}/2.jpg`;
+
+    // What a blocked image response often holds instead of the image
+    const errorPage = Buffer.from('<html><body>403 Forbidden</body></html>');
+    const result = await downloadFiles([
+        { url: null, data: image, dest: path.join(folder, '1.jpg') },
+        { url, data: errorPage, dest: path.join(folder, '2.jpg') },
+        { url: null, data: errorPage, dest: path.join(folder, '3.jpg') }
+    ], { retries: 0 });
+
+    assert.equal(requests, 1);
+    assert.deepEqual(fs.readFileSync(path.join(folder, '1.jpg')), image);
+    assert.deepEqual(fs.readFileSync(path.join(folder, '2.jpg')), image);
+    assert.equal(result.downloaded.length, 2);
+    assert.equal(result.failed.length, 1);
+    assert.match(result.failed[0].error, /Captured image failed validation/);
+    assert.equal(fs.existsSync(path.join(folder, '3.jpg')), false);
+    assert.equal(fs.existsSync(path.join(folder, '3.jpg.part')), false);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { resolveOptimize, optimizeImages } from '../lib/image-optimizer.js';
+import { resolveLayout } from '../lib/page-layout.js';
+
+test('resolveOptimize fills in the defaults and rejects bad settings', () => {
+    assert.equal(resolveOptimize(undefined), null);
+    assert.deepEqual(resolveOptimize(true), {
+        width: null, dpi: 150, quality: 80, mozjpeg: true, grayscale: 'auto', pngToJpeg: true, workers: null
+    });
+    assert.equal(resolveOptimize({ width: 1200, dpi: null }).width, 1200);
+    assert.throws(() => resolveOptimize({ width: 0 }), /optimize.width/);
+    assert.throws(() => resolveOptimize({ quality: 101 }), /optimize.quality/);
+    assert.throws(() => resolveOptimize({ grayscale: 'yes' }), /optimize.grayscale/);
+});
+
+test('optimizeImages shrinks pages and reuses the cache on the next run', async (t) => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'image-optimizer-'));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+
+    // A wide, noisy grey PNG: downscaled and re-encoded as JPEG it gets much smaller
+    const width = 2400;
+    const height = 1600;
+    const pixels = Buffer.alloc(width * height * 3);
+    let seed = 1;
+    for (let i = 0; i < width * height; i++) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        pixels.fill(seed >> 23, i * 3, i * 3 + 3);
+    }
+    const page = path.join(folder, 'page.png');
+    await sharp(pixels, { raw: { width, height, channels: 3 } }).png().toFile(page);
+
+    const settings = resolveOptimize({ width: 800, dpi: null, workers: 1 });
+    const cacheDir = path.join(folder, '.optimized');
+    const first = await optimizeImages([page], settings, { cacheDir, layout: resolveLayout() });
+
+    const result = first.get(page);
+    assert.equal(result.cached, false);
+    assert.ok(result.bytes < result.originalBytes);
+    const metadata = await sharp(result.path).metadata();
+    assert.equal(metadata.format, 'jpeg');
+    assert.equal(metadata.width, 800);
+
+    const second = await optimizeImages([page], settings, { cacheDir, layout: resolveLayout() });
+    assert.deepEqual(second.get(page), { ...result, cached: true });
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { resolveJunk, hashImage, hammingDistance, findJunkPages, HASH_CACHE_FILE } from '../lib/junk-pages.js';
+
+// Greyscale page of 8×8 blocks whose brightness follows `seed`, so pages with
+// different seeds look nothing alike
+async function writePage(filePath, seed, { width = 320, height = 480, flat = null } = {}) {
+    const pixels = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const block = Math.floor(y / 40) * 8 + Math.floor(x / 40);
+            pixels[y * width + x] = flat ?? (block * 97 + seed * 53) % 256;
+        }
+    }
+    await sharp(pixels, { raw: { width, height, channels: 1 } }).png().toFile(filePath);
+}
+
+function makeSeries(t) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'junk-pages-'));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    for (const chapter of ['Chapter 1', 'Chapter 2']) {
+        fs.mkdirSync(path.join(folder, chapter));
+    }
+    return folder;
+}
+
+test('hammingDistance counts the differing bits of two hex hashes', () => {
+    assert.equal(hammingDistance('0000', '0000'), 0);
+    assert.equal(hammingDistance('0000', 'ffff'), 16);
+    assert.equal(hammingDistance('a5', '5a'), 8);
+    assert.equal(hammingDistance('10', '30'), 1);
+});
+
+test('resolveJunk fills in the defaults and rejects bad settings', () => {
+    assert.equal(resolveJunk(null), null);
+    assert.deepEqual(resolveJunk(true), { duplicates: true, blocklist: [], threshold: 32 });
+    assert.equal(resolveJunk({ threshold: 0 }).threshold, 0);
+    assert.throws(() => resolveJunk({ threshold: -1 }), /junk.threshold/);
+    assert.throws(() => resolveJunk({ blocklist: 'credits.png' }), /junk.blocklist/);
+});
+
+test('hashImage gives re-encoded copies nearby hashes and other pages distant ones', async (t) => {
+    const folder = makeSeries(t);
+    const original = path.join(folder, 'original.png');
+    const copy = path.join(folder, 'copy.jpg');
+    const other = path.join(folder, 'other.png');
+    await writePage(original, 1);
+    await sharp(original).resize(160).jpeg({ quality: 60 }).toFile(copy);
+    await writePage(other, 2);
+
+    const [a, b, c] = await Promise.all([original, copy, other].map(hashImage));
+    assert.match(a.hash, /^[0-9a-f]{64}$/);
+    assert.equal(a.flat, false);
+    assert.ok(hammingDistance(a.hash, b.hash) <= 32);
+    assert.ok(hammingDistance(a.hash, c.hash) > 32);
+});
+
+test('findJunkPages flags repeats of earlier pages but not blank pages', async (t) => {
+    const folder = makeSeries(t);
+    await writePage(path.join(folder, 'Chapter 1', '1.png'), 1);
+    await writePage(path.join(folder, 'Chapter 1', '2.png'), 0, { flat: 255 });
+    await writePage(path.join(folder, 'Chapter 2', '1.png'), 3);
+    await writePage(path.join(folder, 'Chapter 2', '2.png'), 0, { flat: 255 });
+    await sharp(path.join(folder, 'Chapter 1', '1.png')).jpeg().toFile(path.join(folder, 'Chapter 2', '3.jpg'));
+
+    const chapterImages = new Map([['Chapter 1', ['1.png', '2.png']], ['Chapter 2', ['1.png', '2.png', '3.jpg']]]);
+    const junkPages = await findJunkPages(folder, chapterImages, resolveJunk(true));
+
+    assert.deepEqual(junkPages.map(({ chapter, file, type, match }) => ({ chapter, file, type, match })), [
+        { chapter: 'Chapter 2', file: '3.jpg', type: 'duplicate', match: 'Chapter 1/1.png' }
+    ]);
+    assert.ok(fs.existsSync(path.join(folder, HASH_CACHE_FILE)));
+});
+
+test('findJunkPages flags blocklisted pages given as files or hashes', async (t) => {
+    const folder = makeSeries(t);
+    const credits = path.join(folder, 'credits.png');
+    await writePage(credits, 5);
+    await writePage(path.join(folder, 'Chapter 1', '1.png'), 1);
+    await sharp(credits).toFile(path.join(folder, 'Chapter 1', '2.png'));
+    const { hash } = await hashImage(credits);
+
+    const chapterImages = new Map([['Chapter 1', ['1.png', '2.png']]]);
+    for (const entry of [credits, hash]) {
+        const junkPages = await findJunkPages(folder, chapterImages, resolveJunk({ duplicates: false, blocklist: [entry] }));
+        assert.deepEqual(junkPages.map(({ file, type }) => ({ file, type })), [{ file: '2.png', type: 'blocklist' }]);
+    }
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import {
+    listSeriesFolders, describeSeries, listSeriesChapters, listSeriesOutputs, getCoverThumbnail,
+    listChapterPages, getPageImage, THUMBNAIL_DIR
+} from '../lib/library.js';
+
+async function writePage(filePath, width = 400, height = 600) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    await sharp({ create: { width, height, channels: 3, background: '#808080' } }).jpeg().toFile(filePath);
+}
+
+// library/
+//   solo-leveling/  Chapter 1 (2 pages), Chapter 2 (1 page), manga.pdf, notes.txt
+//   not-a-series/   a folder without chapters
+//   _trash/, .hidden/ - skipped even though they hold chapters
+// elsewhere/followed/Chapter 1 - a series outside the library
+async function makeLibrary(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'library-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const library = path.join(root, 'library');
+    const series = path.join(library, 'solo-leveling');
+    await writePage(path.join(series, 'Chapter 1', '1.jpg'), 2000, 3000);
+    await writePage(path.join(series, 'Chapter 1', '2.jpg'));
+    await writePage(path.join(series, 'Chapter 2', '1.jpg'));
+    fs.writeFileSync(path.join(series, 'manga.pdf'), '%PDF-1.3');
+    fs.writeFileSync(path.join(series, 'notes.txt'), 'not an output');
+    fs.mkdirSync(path.join(library, 'not-a-series', 'extras'), { recursive: true });
+    await writePage(path.join(library, '_trash', 'Chapter 1', '1.jpg'));
+    await writePage(path.join(library, '.hidden', 'Chapter 1', '1.jpg'));
+    await writePage(path.join(root, 'elsewhere', 'followed', 'Chapter 1', '1.jpg'));
+
+    return { root, library, series };
+}
+
+test('listSeriesFolders finds the series of the library and the extra folders', async (t) => {
+    const { root, library, series } = await makeLibrary(t);
+    const followed = path.join(root, 'elsewhere', 'followed');
+
+    const folders = listSeriesFolders(library, [followed, path.join(root, 'missing')]);
+    assert.deepEqual([...folders], [['solo-leveling', series], ['followed', followed]]);
+});
+
+test('describeSeries and listSeriesChapters summarise a series folder', async (t) => {
+    const { series } = await makeLibrary(t);
+
+    const entry = describeSeries('solo-leveling', series);
+    assert.equal(entry.title, 'Solo Leveling');
+    assert.equal(entry.chapters, 2);
+    assert.equal(entry.latestChapter, 'Chapter 2');
+    assert.equal(entry.outputs, 1);
+    assert.equal(entry.sourceUrl, null);
+
+    const chapters = listSeriesChapters(series);
+    assert.deepEqual(chapters.map(({ name, number, pages, outputs }) => ({ name, number, pages, outputs })), [
+        { name: 'Chapter 1', number: 1, pages: 2, outputs: [] },
+        { name: 'Chapter 2', number: 2, pages: 1, outputs: [] }
+    ]);
+});
+
+test('listSeriesOutputs lists only PDF, CBZ and EPUB files', async (t) => {
+    const { series } = await makeLibrary(t);
+    fs.writeFileSync(path.join(series, 'manga.cbz'), 'PK');
+
+    const outputs = listSeriesOutputs(series);
+    assert.deepEqual(outputs.map(({ file, format, bytes, volume }) => ({ file, format, bytes, volume })), [
+        { file: 'manga.cbz', format: 'cbz', bytes: 2, volume: null },
+        { file: 'manga.pdf', format: 'pdf', bytes: 8, volume: null }
+    ]);
+});
+
+test('getCoverThumbnail crops the first page to a cached cover', async (t) => {
+    const { library, series } = await makeLibrary(t);
+
+    const thumbnail = await getCoverThumbnail(series);
+    assert.equal(path.dirname(thumbnail), path.join(series, THUMBNAIL_DIR));
+    const { width, height, format } = await sharp(thumbnail).metadata();
+    assert.deepEqual({ width, height, format }, { width: 300, height: 420, format: 'jpeg' });
+    assert.equal(await getCoverThumbnail(series), thumbnail);
+
+    assert.equal(await getCoverThumbnail(path.join(library, 'not-a-series')), null);
+});
+
+test('listChapterPages and getPageImage only serve pages of the series', async (t) => {
+    const { series } = await makeLibrary(t);
+
+    assert.deepEqual(await listChapterPages(series, 'Chapter 1'), [
+        { file: '1.jpg', width: 2000, height: 3000 },
+        { file: '2.jpg', width: 400, height: 600 }
+    ]);
+    assert.equal(await listChapterPages(series, '..'), null);
+    assert.equal(await getPageImage(series, 'Chapter 1', '../../notes.txt'), null);
+    assert.equal(await getPageImage(series, 'Chapter 1', '2.jpg'), path.join(series, 'Chapter 1', '2.jpg'));
+});
+
+test('getPageImage resizes wide pages to the next standard width and caches them', async (t) => {
+    const { series } = await makeLibrary(t);
+
+    // 400px wide already fits 480
+    assert.equal(await getPageImage(series, 'Chapter 1', '2.jpg', 450), path.join(series, 'Chapter 1', '2.jpg'));
+
+    const variant = await getPageImage(series, 'Chapter 1', '1.jpg', 500);
+    assert.equal(path.dirname(variant), path.join(series, THUMBNAIL_DIR, 'pages'));
+    assert.equal((await sharp(variant).metadata()).width, 720);
+    assert.equal(await getPageImage(series, 'Chapter 1', '1.jpg', 700), variant);
+});
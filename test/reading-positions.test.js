@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ReadingPositions } from '../lib/reading-positions.js';
+
+function stateFile(t) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reading-positions-'));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    return path.join(folder, 'state', 'reading-positions.json');
+}
+
+test('set records a position with defaults for page and mode', (t) => {
+    const positions = new ReadingPositions({ stateFile: stateFile(t) });
+
+    const position = positions.set('solo-leveling', { chapter: 'Chapter 3' });
+    assert.equal(position.chapter, 'Chapter 3');
+    assert.equal(position.page, 0);
+    assert.equal(position.mode, 'paged');
+    assert.ok(!Number.isNaN(Date.parse(position.updatedAt)));
+    assert.deepEqual(positions.get('solo-leveling'), position);
+    assert.equal(positions.get('unknown'), null);
+});
+
+test('set rejects a malformed chapter, page or mode', (t) => {
+    const positions = new ReadingPositions({ stateFile: stateFile(t) });
+
+    assert.throws(() => positions.set('a', {}), /chapter must be/);
+    assert.throws(() => positions.set('a', { chapter: '' }), /chapter must be/);
+    assert.throws(() => positions.set('a', { chapter: 'Chapter 1', page: -1 }), /page must be/);
+    assert.throws(() => positions.set('a', { chapter: 'Chapter 1', page: 1.5 }), /page must be/);
+    assert.throws(() => positions.set('a', { chapter: 'Chapter 1', page: '2' }), /page must be/);
+    assert.throws(() => positions.set('a', { chapter: 'Chapter 1', mode: 'scroll' }), /mode must be one of: paged, vertical/);
+    assert.equal(positions.get('a'), null);
+});
+
+test('positions survive a restart through the state file', (t) => {
+    const file = stateFile(t);
+    const saved = new ReadingPositions({ stateFile: file });
+    const position = saved.set('solo-leveling', { chapter: 'Chapter 2', page: 14, mode: 'vertical' });
+
+    const restored = new ReadingPositions({ stateFile: file });
+    restored.load();
+    assert.deepEqual(restored.get('solo-leveling'), position);
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+});
+
+test('an unreadable state file is ignored', (t) => {
+    const file = stateFile(t);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, '{ not json');
+
+    const positions = new ReadingPositions({ stateFile: file });
+    positions.load();
+    assert.equal(positions.get('solo-leveling'), null);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PDFDocument from 'pdfkit';
+import { resolveDirection, resolveSpread, applyViewerPreferences, SpreadPager } from '../lib/spreads.js';
+
+const SINGLE = [600, 900];
+const DOUBLE = [1200, 900];
+
+// Adds pages the way the PDF builders do; returns the resulting pages as
+// 'single', 'double' or 'blank <width>x<height>' (for filler pages)
+function paginate(spread, pages) {
+    const doc = new PDFDocument({ autoFirstPage: false, bufferPages: true });
+    const pager = new SpreadPager(resolveSpread(spread));
+    const added = [];
+    for (const kind of pages) {
+        const size = kind === 'double' ? DOUBLE : SINGLE;
+        pager.beforePage(doc, size, ...size);
+        while (added.length < doc.bufferedPageRange().count) {
+            added.push(`blank ${doc.page.width}x${doc.page.height}`);
+        }
+        doc.addPage({ size, margin: 0 });
+        added.push(kind);
+    }
+    return added;
+}
+
+test('resolveDirection and resolveSpread validate their options', () => {
+    assert.equal(resolveDirection(), 'ltr');
+    assert.equal(resolveDirection('rtl'), 'rtl');
+    assert.throws(() => resolveDirection('ttb'), /Unknown reading direction/);
+
+    assert.equal(resolveSpread(false), null);
+    assert.deepEqual(resolveSpread(true), { cover: true, doublePageRatio: 1.2 });
+    assert.deepEqual(resolveSpread({ cover: false }), { cover: false, doublePageRatio: 1.2 });
+    assert.throws(() => resolveSpread({ cover: 'yes' }), /spread.cover/);
+    assert.throws(() => resolveSpread({ doublePageRatio: 0 }), /spread.doublePageRatio/);
+});
+
+test('isDoublePage compares the aspect ratio with doublePageRatio', () => {
+    const pager = new SpreadPager(resolveSpread(true));
+    assert.equal(pager.isDoublePage(1200, 1000), true);
+    assert.equal(pager.isDoublePage(1199, 1000), false);
+    assert.equal(pager.isDoublePage(...SINGLE), false);
+});
+
+test('single pages pair up without filler pages', () => {
+    assert.deepEqual(paginate(true, ['single', 'single', 'single']), ['single', 'single', 'single']);
+    assert.deepEqual(paginate({ cover: false }, ['single', 'single']), ['single', 'single']);
+});
+
+test('a double page on the second half of a spread gets a blank before it, sized like the page before', () => {
+    // With a cover, spreads are 1 | 2-3 | 4-5: the double page would be page 3
+    assert.deepEqual(paginate(true, ['single', 'single', 'double']), [
+        'single', 'single', 'blank 600x900', 'double'
+    ]);
+    // Without one, spreads are 1-2 | 3-4: the double page would be page 2
+    assert.deepEqual(paginate({ cover: false }, ['single', 'double']), [
+        'single', 'blank 600x900', 'double'
+    ]);
+});
+
+test('the page after a double page starts a new spread, after a blank sized like it', () => {
+    assert.deepEqual(paginate(true, ['single', 'single', 'double', 'single']), [
+        'single', 'single', 'blank 600x900', 'double', 'blank 600x900', 'single'
+    ]);
+    assert.deepEqual(paginate({ cover: false }, ['single', 'double', 'double', 'single']), [
+        'single', 'blank 600x900', 'double', 'blank 1200x900', 'double', 'blank 600x900', 'single'
+    ]);
+});
+
+test('a double page that already starts a spread needs no blank before it', () => {
+    assert.deepEqual(paginate(true, ['double', 'single', 'single']), ['double', 'single', 'single']);
+    assert.deepEqual(paginate(true, ['single', 'double', 'single', 'single']), [
+        'single', 'double', 'blank 600x900', 'single', 'single'
+    ]);
+});
+
+test('applyViewerPreferences sets the reading direction and two-page layout', () => {
+    const rtl = new PDFDocument({ autoFirstPage: false });
+    applyViewerPreferences(rtl, 'rtl', resolveSpread(true));
+    assert.equal(rtl._root.data.ViewerPreferences.data.Direction, 'R2L');
+    assert.equal(rtl._root.data.PageLayout, 'TwoPageRight');
+
+    const ltr = new PDFDocument({ autoFirstPage: false });
+    applyViewerPreferences(ltr, 'ltr', resolveSpread({ cover: false }));
+    assert.equal(ltr._root.data.ViewerPreferences.data.Direction, undefined);
+    assert.equal(ltr._root.data.PageLayout, 'TwoPageLeft');
+});